@@ -1,36 +1,164 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { Modal, Text, TouchableOpacity, StyleSheet } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
-import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
+import { createBottomTabNavigator, BottomTabBar } from '@react-navigation/bottom-tabs';
 import BusinessScreen from './src/screens/BusinessScreen';
 import ArticleScreen from './src/screens/ArticleScreen';
+import SalesScreen from './src/screens/SalesScreen';
+import ReportsScreen from './src/screens/ReportsScreen';
+import ReorderScreen from './src/screens/ReorderScreen';
+import TrashScreen from './src/screens/TrashScreen';
+import ConflictsScreen from './src/screens/ConflictsScreen';
+import SettingsScreen from './src/screens/SettingsScreen';
+import LoginScreen from './src/screens/LoginScreen';
+import { useSession } from './src/hooks/useSession';
+import { useArticlesToReorder } from './src/hooks/useArticlesToReorder';
+import { restoreSession, SESSION_STATUS } from './src/database/session';
 import Icon from 'react-native-vector-icons/Ionicons';
 
 const Tab = createBottomTabNavigator();
 
+// Sits right above the tab bar, which already keeps clear of the screen edges
+const SignInBanner = ({ expired, onPress }) => (
+  <TouchableOpacity style={styles.banner} onPress={onPress}>
+    <Text style={styles.bannerText}>
+      {expired
+        ? 'Session expired, sync is paused.'
+        : 'Not signed in, data stays on this device.'}
+    </Text>
+    <Text style={styles.bannerLink}>Sign In</Text>
+  </TouchableOpacity>
+);
+
+const renderTabBar = (banner) => (props) => (
+  <>
+    {banner}
+    <BottomTabBar {...props} />
+  </>
+);
+
+// Only mounted once the stored session is known, so the badge query never opens the database early
+const MainTabs = ({ banner }) => {
+  const { articles: articlesToReorder } = useArticlesToReorder();
+  const reorderCount = articlesToReorder.length;
+
+  return (
+    <Tab.Navigator
+      initialRouteName="Businesses"
+      tabBar={renderTabBar(banner)}
+      screenOptions={({ route }) => ({
+        tabBarIcon: ({ color, size }) => {
+          let iconName;
+          if (route.name === 'Businesses') {
+            iconName = 'business-outline';
+          } else if (route.name === 'Articles') {
+            iconName = 'newspaper-outline';
+          } else if (route.name === 'Sales') {
+            iconName = 'cart-outline';
+          } else if (route.name === 'Reorder') {
+            iconName = 'alert-circle-outline';
+          } else if (route.name === 'Reports') {
+            iconName = 'bar-chart-outline';
+          } else if (route.name === 'Trash') {
+            iconName = 'trash-outline';
+          } else if (route.name === 'Conflicts') {
+            iconName = 'git-compare-outline';
+          } else if (route.name === 'Settings') {
+            iconName = 'settings-outline';
+          }
+          return <Icon name={iconName} size={size} color={color} />;
+        },
+        tabBarActiveTintColor: '#007bff',
+        tabBarInactiveTintColor: 'gray',
+      })}
+    >
+      <Tab.Screen name="Businesses" component={BusinessScreen} />
+      <Tab.Screen name="Articles" component={ArticleScreen} />
+      <Tab.Screen name="Sales" component={SalesScreen} />
+      <Tab.Screen
+        name="Reorder"
+        component={ReorderScreen}
+        options={{ tabBarBadge: reorderCount > 0 ? reorderCount : undefined }}
+      />
+      <Tab.Screen name="Reports" component={ReportsScreen} />
+      <Tab.Screen name="Trash" component={TrashScreen} />
+      <Tab.Screen name="Conflicts" component={ConflictsScreen} />
+      <Tab.Screen name="Settings" component={SettingsScreen} />
+    </Tab.Navigator>
+  );
+};
+
 const App = () => {
+  const session = useSession();
+  const [reloginDismissed, setReloginDismissed] = useState(false);
+  const [loginRequested, setLoginRequested] = useState(false);
+
+  useEffect(() => {
+    restoreSession();
+  }, []);
+
+  useEffect(() => {
+    if (session.status !== SESSION_STATUS.EXPIRED) {
+      setReloginDismissed(false);
+    }
+    if (session.status === SESSION_STATUS.AUTHENTICATED) {
+      setLoginRequested(false);
+    }
+  }, [session.status]);
+
+  if (session.status === SESSION_STATUS.UNKNOWN) {
+    return null;
+  }
+
+  // Local data stays usable without an account; only sync waits for a sign-in
+  const expired = session.status === SESSION_STATUS.EXPIRED;
+  const signedIn = session.status === SESSION_STATUS.AUTHENTICATED;
+  const closeLogin = () => {
+    setLoginRequested(false);
+    setReloginDismissed(true);
+  };
+
   return (
     <NavigationContainer>
-      <Tab.Navigator
-        initialRouteName="Businesses"
-        screenOptions={({ route }) => ({
-          tabBarIcon: ({ color, size }) => {
-            let iconName;
-            if (route.name === 'Businesses') {
-              iconName = 'business-outline';
-            } else if (route.name === 'Articles') {
-              iconName = 'newspaper-outline';
-            }
-            return <Icon name={iconName} size={size} color={color} />;
-          },
-          tabBarActiveTintColor: '#007bff',
-          tabBarInactiveTintColor: 'gray',
-        })}
+      {/* Remounted when the user changes, e.g. after a sign-out wiped the local data */}
+      <MainTabs
+        key={session.username || ''}
+        banner={signedIn ? null : (
+          <SignInBanner expired={expired} onPress={() => setLoginRequested(true)} />
+        )}
+      />
+
+      <Modal
+        visible={loginRequested || (expired && !reloginDismissed)}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={closeLogin}
       >
-        <Tab.Screen name="Businesses" component={BusinessScreen} />
-        <Tab.Screen name="Articles" component={ArticleScreen} />
-      </Tab.Navigator>
+        <LoginScreen expired={expired} onDismiss={closeLogin} />
+      </Modal>
     </NavigationContainer>
   );
 };
 
-export default App;
\ No newline at end of file
+export default App;
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: '#FFF3E0',
+  },
+  bannerText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#E65100',
+  },
+  bannerLink: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#007bff',
+  },
+});
\ No newline at end of file
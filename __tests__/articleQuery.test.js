@@ -0,0 +1,46 @@
+/**
+ * @format
+ */
+
+import {
+  ARTICLE_SORT_FIELDS,
+  buildArticleQuery,
+} from '../src/database/articleQuery';
+
+test('scopes the query to a business sorted by name', () => {
+  expect(buildArticleQuery({ businessId: 'b1' })).toEqual({
+    selector: { business_id: 'b1', deleted_at: 0 },
+    sort: [{ name: 'asc' }, { id: 'asc' }],
+  });
+});
+
+test('matches the search term case-insensitively and literally', () => {
+  const { selector } = buildArticleQuery({ businessId: 'b1', search: ' oil (1L) ' });
+  expect(selector.name).toEqual({ $regex: 'oil \\(1L\\)', $options: 'i' });
+  expect(new RegExp(selector.name.$regex, 'i').test('Sunflower Oil (1L)')).toBe(true);
+});
+
+test('builds qty and price ranges from the filled bounds only', () => {
+  const { selector } = buildArticleQuery({
+    businessId: 'b1',
+    minQty: '5',
+    maxQty: '',
+    minPrice: 'abc',
+    maxPrice: '99,5',
+    currency: 'INR',
+    locale: 'en-US',
+  });
+  expect(selector.qty).toEqual({ $gte: 5 });
+  expect(selector.selling_price).toEqual({ $lte: 9950 });
+});
+
+test('sorts by the chosen field and falls back to name for unknown fields', () => {
+  expect(buildArticleQuery({
+    businessId: 'b1',
+    sortField: ARTICLE_SORT_FIELDS.LAST_MODIFIED,
+    sortDirection: 'desc',
+  }).sort).toEqual([{ updated_at: 'desc' }, { id: 'asc' }]);
+
+  expect(buildArticleQuery({ businessId: 'b1', sortField: 'business_id' }).sort)
+    .toEqual([{ name: 'asc' }, { id: 'asc' }]);
+});
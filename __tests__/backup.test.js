@@ -0,0 +1,139 @@
+/**
+ * @format
+ */
+
+import {
+  BACKUP_FORMAT,
+  RESTORE_MODES,
+  createBackup,
+  parseBackup,
+  planCollectionRestore,
+} from '../src/database/backup';
+import { articleSchema } from '../src/database/schemas';
+import v0Businesses from './fixtures/v0/businesses.json';
+import v0Articles from './fixtures/v0/articles.json';
+
+const article = (id, fields) => ({
+  id,
+  name: `Article ${id}`,
+  sku: '',
+  category_id: '',
+  qty: 1,
+  selling_price: 10,
+  cost_price: 5,
+  currency: 'INR',
+  tax_rate_id: '',
+  price_includes_tax: true,
+  reorder_level: 0,
+  reorder_qty: 0,
+  business_id: 'b1',
+  created_at: 100,
+  updated_at: 100,
+  updated_by: 'anna',
+  device_id: 'ios-1',
+  deleted_at: 0,
+  ...fields,
+});
+
+const shop = {
+  id: 'b1',
+  name: 'Shop',
+  currency: 'INR',
+  tax_rates: [],
+  address: { line1: '', line2: '', city: '', postal_code: '', region: '', country: '' },
+  phone: '',
+  email: '',
+  tax_id: '',
+  logo: '',
+  deleted_at: 0,
+  created_at: 100,
+  updated_at: 100,
+  updated_by: 'anna',
+  device_id: 'ios-1',
+};
+
+test('round-trips a backup with schema versions', () => {
+  const backup = createBackup({
+    collections: { businesses: [shop], articles: [article('a1')] },
+    deviceId: 'ios-1',
+    createdAt: 42,
+  });
+
+  expect(backup.format).toBe(BACKUP_FORMAT);
+  expect(backup.collections.articles.schemaVersion).toBe(articleSchema.version);
+  expect(backup.collections.sales.docs).toEqual([]);
+
+  const parsed = parseBackup(JSON.stringify(backup));
+  expect(parsed).toMatchObject({ createdAt: 42, deviceId: 'ios-1' });
+  expect(parsed.collections.articles).toEqual([article('a1')]);
+});
+
+test('migrates documents of backups made with older schemas', () => {
+  const parsed = parseBackup(JSON.stringify({
+    format: BACKUP_FORMAT,
+    formatVersion: 1,
+    collections: {
+      businesses: { schemaVersion: 0, docs: v0Businesses },
+      articles: { schemaVersion: 0, docs: v0Articles },
+    },
+  }));
+
+  expect(parsed.collections.articles).toHaveLength(v0Articles.length);
+  expect(parsed.collections.articles[1]).toMatchObject({ qty: 0, selling_price: 0, updated_at: 0 });
+  expect(parsed.collections.stock_movements).toEqual([]);
+});
+
+test('rejects files that are not valid backups', () => {
+  expect(() => parseBackup('{nope')).toThrow('not valid JSON');
+  expect(() => parseBackup('{"format":"other"}')).toThrow('not an inventory backup');
+  expect(() => parseBackup(JSON.stringify({ format: BACKUP_FORMAT, formatVersion: 99, collections: {} })))
+    .toThrow('newer app version');
+  expect(() => parseBackup(JSON.stringify({
+    format: BACKUP_FORMAT,
+    formatVersion: 1,
+    collections: { articles: { schemaVersion: articleSchema.version, docs: [{ id: 'a1' }] } },
+  }))).toThrow('Invalid document "a1" in articles');
+});
+
+describe('planCollectionRestore', () => {
+  const localDocs = [
+    article('same'),
+    article('older', { name: 'Local', updated_at: 200 }),
+    article('newer', { name: 'Local', updated_at: 100 }),
+    article('localOnly'),
+  ];
+  const backupDocs = [
+    article('same'),
+    article('older', { name: 'Backup', updated_at: 150 }),
+    article('newer', { name: 'Backup', updated_at: 300 }),
+    article('backupOnly'),
+  ];
+
+  test('merge adds missing documents and keeps newer local edits', () => {
+    const plan = planCollectionRestore({ backupDocs, localDocs, primaryKey: 'id', mode: RESTORE_MODES.MERGE });
+    expect(plan.insert.map(doc => doc.id)).toEqual(['backupOnly']);
+    expect(plan.update.map(doc => doc.id)).toEqual(['newer']);
+    expect(plan.remove).toEqual([]);
+    expect(plan.unchanged).toBe(2);
+  });
+
+  test('replace updates in place and removes what the backup lacks', () => {
+    const plan = planCollectionRestore({ backupDocs, localDocs, primaryKey: 'id', mode: RESTORE_MODES.REPLACE });
+    expect(plan.insert.map(doc => doc.id)).toEqual(['backupOnly']);
+    expect(plan.update.map(doc => doc.id)).toEqual(['older', 'newer']);
+    expect(plan.remove).toEqual(['localOnly']);
+    expect(plan.unchanged).toBe(1);
+  });
+
+  test('compares nested values, not references', () => {
+    const sale = { id: 's1', items: [{ article_id: 'a1', qty: 2 }] };
+    const plan = planCollectionRestore({
+      backupDocs: [JSON.parse(JSON.stringify(sale))],
+      localDocs: [sale],
+      primaryKey: 'id',
+      mode: RESTORE_MODES.REPLACE,
+    });
+    expect(plan.update).toEqual([]);
+    expect(plan.unchanged).toBe(1);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * @format
+ */
+
+import {
+  EMPTY_PROFILE,
+  MAX_LOGO_LENGTH,
+  formatAddressLines,
+  normalizeProfile,
+  validateProfile,
+} from '../src/database/businessProfile';
+
+const profile = (fields) => normalizeProfile({ ...EMPTY_PROFILE, ...fields });
+
+test('trims profile fields and fills in missing ones', () => {
+  expect(normalizeProfile({ phone: ' 020 1234 ', tax_id: ' 27aapfu0939f1zv', address: { city: ' Pune ' } }))
+    .toEqual({
+      address: { line1: '', line2: '', city: 'Pune', postal_code: '', region: '', country: '' },
+      phone: '020 1234',
+      email: '',
+      tax_id: '27AAPFU0939F1ZV',
+      logo: '',
+    });
+});
+
+test('accepts an empty profile and valid contact details', () => {
+  expect(validateProfile(profile({}))).toBeNull();
+  expect(validateProfile(profile({
+    phone: '+44 (0)20 7946-0958',
+    email: 'accounts@example.co.uk',
+    tax_id: 'GB 123 4567 89',
+    logo: 'data:image/png;base64,iVBORw0KGgo=',
+  }))).toBeNull();
+});
+
+test('rejects malformed contact details and logos', () => {
+  expect(validateProfile(profile({ phone: 'call me' }))).toMatch(/Phone numbers/);
+  expect(validateProfile(profile({ email: 'shop@' }))).toBe('"shop@" is not a valid email address');
+  expect(validateProfile(profile({ tax_id: 'GST#1' }))).toMatch(/Tax registration numbers/);
+  expect(validateProfile(profile({ logo: 'https://example.com/logo.png' })))
+    .toBe('The logo must be a PNG, JPEG, GIF or WebP image');
+  expect(validateProfile(profile({ logo: `data:image/png;base64,${'A'.repeat(MAX_LOGO_LENGTH)}` })))
+    .toBe('The logo is too large; use an image under 72 KB');
+});
+
+test('formats an address without its empty parts', () => {
+  expect(formatAddressLines({
+    line1: '12 MG Road',
+    line2: '',
+    city: 'Pune',
+    postal_code: '411001',
+    region: '',
+    country: 'India',
+  })).toEqual(['12 MG Road', '411001 Pune', 'India']);
+});
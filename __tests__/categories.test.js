@@ -0,0 +1,82 @@
+/**
+ * @format
+ */
+
+import {
+  UNCATEGORIZED_KEY,
+  buildCategoryTree,
+  getDescendantIds,
+  groupArticlesByCategory,
+  nextSortOrder,
+  wouldCreateCycle,
+} from '../src/database/categories';
+
+const category = (id, name, parentId = '', sortOrder = 0) => ({
+  id,
+  name,
+  parent_id: parentId,
+  sort_order: sortOrder,
+  business_id: 'b1',
+});
+
+const categories = [
+  category('food', 'Food', '', 1),
+  category('drinks', 'Drinks', '', 0),
+  category('tea', 'Tea', 'drinks', 1),
+  category('coffee', 'Coffee', 'drinks', 0),
+  category('green', 'Green', 'tea', 0),
+];
+
+test('orders parents before children by sort order', () => {
+  expect(buildCategoryTree(categories).map(item => [item.id, item.depth, item.path])).toEqual([
+    ['drinks', 0, 'Drinks'],
+    ['coffee', 1, 'Drinks › Coffee'],
+    ['tea', 1, 'Drinks › Tea'],
+    ['green', 2, 'Drinks › Tea › Green'],
+    ['food', 0, 'Food'],
+  ]);
+});
+
+test('shows orphans and cycles at the top level instead of hiding them', () => {
+  const tree = buildCategoryTree([
+    category('orphan', 'Orphan', 'deleted'),
+    category('a', 'A', 'b'),
+    category('b', 'B', 'a'),
+  ]);
+  expect(tree.map(item => [item.id, item.depth])).toEqual([
+    ['orphan', 0],
+    ['a', 0],
+    ['b', 0],
+  ]);
+});
+
+test('prevents moving a category below itself', () => {
+  expect([...getDescendantIds(categories, 'drinks')].sort()).toEqual(['coffee', 'drinks', 'green', 'tea']);
+  expect(wouldCreateCycle(categories, 'drinks', 'green')).toBe(true);
+  expect(wouldCreateCycle(categories, 'tea', 'tea')).toBe(true);
+  expect(wouldCreateCycle(categories, 'tea', 'food')).toBe(false);
+  expect(wouldCreateCycle(categories, 'tea', '')).toBe(false);
+});
+
+test('places new categories after their siblings', () => {
+  expect(nextSortOrder(categories, 'drinks')).toBe(2);
+  expect(nextSortOrder(categories, 'coffee')).toBe(0);
+});
+
+test('groups articles in tree order with uncategorized last', () => {
+  const sections = groupArticlesByCategory(
+    [
+      { id: 'a1', category_id: '' },
+      { id: 'a2', category_id: 'green' },
+      { id: 'a3', category_id: 'food' },
+      { id: 'a4', category_id: 'deleted-elsewhere' },
+      { id: 'a5', category_id: 'green' },
+    ],
+    categories
+  );
+  expect(sections.map(section => [section.key, section.title, section.data.map(item => item.id)])).toEqual([
+    ['green', 'Drinks › Tea › Green', ['a2', 'a5']],
+    ['food', 'Food', ['a3']],
+    [UNCATEGORIZED_KEY, 'Uncategorized', ['a1', 'a4']],
+  ]);
+});
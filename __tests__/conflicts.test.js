@@ -0,0 +1,123 @@
+/**
+ * @format
+ */
+
+import {
+  CONFLICT_SIDES,
+  buildResolutionPatch,
+  mergeDocuments,
+} from '../src/database/conflicts';
+
+const base = {
+  id: 'a1',
+  name: 'Basmati Rice 5kg',
+  qty: 24,
+  selling_price: 549.5,
+  business_id: 'b1',
+  _deleted: false,
+  _rev: '1-abc',
+};
+
+test('merges changes to different fields', () => {
+  const local = { ...base, qty: 20, _rev: '2-local' };
+  const remote = { ...base, selling_price: 599, _rev: '2-remote' };
+
+  const { merged, conflictingFields } = mergeDocuments(base, local, remote);
+
+  expect(conflictingFields).toEqual([]);
+  expect(merged).toMatchObject({ qty: 20, selling_price: 599 });
+  expect(merged._rev).toBeUndefined();
+});
+
+test('reports fields changed differently on both sides and keeps the server value', () => {
+  const local = { ...base, qty: 20, name: 'Rice' };
+  const remote = { ...base, qty: 18 };
+
+  const { merged, conflictingFields } = mergeDocuments(base, local, remote);
+
+  expect(conflictingFields).toEqual(['qty']);
+  expect(merged).toMatchObject({ qty: 18, name: 'Rice' });
+});
+
+test('treats every difference as a conflict without a common base', () => {
+  const local = { ...base, qty: 20 };
+  const remote = { ...base, selling_price: 599 };
+
+  const { conflictingFields } = mergeDocuments(undefined, local, remote);
+
+  expect(conflictingFields.sort()).toEqual(['qty', 'selling_price']);
+});
+
+test('accepts a deletion when the other side did not edit the document', () => {
+  const local = { ...base, _deleted: true };
+
+  const { merged, conflictingFields } = mergeDocuments(base, local, base);
+
+  expect(conflictingFields).toEqual([]);
+  expect(merged._deleted).toBe(true);
+});
+
+test('reports a deletion that races an edit', () => {
+  const local = { ...base, _deleted: true };
+  const remote = { ...base, qty: 30 };
+
+  const { merged, conflictingFields } = mergeDocuments(base, local, remote);
+
+  expect(conflictingFields).toEqual(['_deleted']);
+  expect(merged).toMatchObject({ qty: 30, _deleted: false });
+});
+
+test('keeps the later edit timestamp without reporting a conflict', () => {
+  const local = { ...base, qty: 20, updated_at: 2000, _rev: '2-local' };
+  const remote = { ...base, selling_price: 599, updated_at: 3000, _rev: '2-remote' };
+
+  const { merged, conflictingFields } = mergeDocuments(
+    { ...base, updated_at: 1000 },
+    local,
+    remote
+  );
+  expect(conflictingFields).toEqual([]);
+  expect(merged).toMatchObject({ qty: 20, selling_price: 599, updated_at: 3000 });
+});
+
+test('attributes the merge to the editor of the later edit', () => {
+  const edited = { ...base, updated_at: 1000, updated_by: 'anna', device_id: 'ios-1' };
+  const local = { ...edited, qty: 20, updated_at: 3000, updated_by: 'ben', device_id: 'android-2' };
+  const remote = { ...edited, selling_price: 599, updated_at: 2000, updated_by: 'carl', device_id: 'ios-3' };
+
+  const { merged, conflictingFields } = mergeDocuments(edited, local, remote);
+  expect(conflictingFields).toEqual([]);
+  expect(merged).toMatchObject({ updated_at: 3000, updated_by: 'ben', device_id: 'android-2' });
+});
+
+test('takes the server value of derived fields and reports them as stale', () => {
+  const local = { ...base, qty: 20 };
+  const remote = { ...base, qty: 18 };
+
+  const { merged, conflictingFields, staleFields } = mergeDocuments(
+    base,
+    local,
+    remote,
+    { derivedFields: ['qty'] }
+  );
+  expect(conflictingFields).toEqual([]);
+  expect(staleFields).toEqual(['qty']);
+  expect(merged.qty).toBe(18);
+});
+
+test('resolves only the conflicting fields chosen from this device', () => {
+  const conflict = {
+    fields: ['name', 'selling_price'],
+    local: { id: 'a1', name: 'Tea', selling_price: 1200, qty: 3, sku: 'T-1' },
+    remote: { id: 'a1', name: 'Green Tea', selling_price: 1500, qty: 5, sku: 'T-2' },
+  };
+
+  expect(buildResolutionPatch(conflict, {
+    name: CONFLICT_SIDES.LOCAL,
+    selling_price: CONFLICT_SIDES.REMOTE,
+  })).toEqual({ name: 'Tea' });
+  expect(buildResolutionPatch(conflict, {
+    name: CONFLICT_SIDES.REMOTE,
+    selling_price: CONFLICT_SIDES.REMOTE,
+  })).toEqual({});
+});
@@ -0,0 +1,56 @@
+/**
+ * @format
+ */
+
+import { articlesToCsv, businessesToCsv, parseCsv, toCsv } from '../src/database/csv';
+
+test('quotes fields with commas, quotes and line breaks', () => {
+  expect(toCsv([['a', 'b,c', 'say "hi"', 'two\nlines', null]])).toBe(
+    'a,"b,c","say ""hi""","two\nlines",\r\n'
+  );
+});
+
+test('parses what it writes', () => {
+  const rows = [
+    ['id', 'name', 'note'],
+    ['1', 'Rice, basmati', 'He said "fresh"'],
+    ['2', 'Oil', 'line one\r\nline two'],
+  ];
+  expect(parseCsv(toCsv(rows))).toEqual(rows);
+});
+
+test('accepts a byte order mark, LF endings and blank lines', () => {
+  expect(parseCsv('\uFEFFname,qty\nTea,4\n\nSalt,1')).toEqual([
+    ['name', 'qty'],
+    ['Tea', '4'],
+    ['Salt', '1'],
+  ]);
+});
+
+test('exports articles with prices in major units and the business name next to its id', () => {
+  const csv = articlesToCsv(
+    [{ id: 'a1', name: 'Tea', sku: 'T-1', qty: 4, selling_price: 250, cost_price: 100, currency: 'INR', reorder_level: 0, reorder_qty: 0, business_id: 'b1' }],
+    [{ id: 'b1', name: 'Corner Shop' }]
+  );
+  expect(parseCsv(csv)).toEqual([
+    ['id', 'name', 'sku', 'qty', 'selling_price', 'cost_price', 'currency', 'reorder_level', 'reorder_qty', 'business_id', 'business_name'],
+    ['a1', 'Tea', 'T-1', '4', '2.50', '1.00', 'INR', '0', '0', 'b1', 'Corner Shop'],
+  ]);
+});
+
+test('exports business profiles with the address on one line and without the logo', () => {
+  const csv = businessesToCsv([{
+    id: 'b1',
+    name: 'Corner Shop',
+    currency: 'INR',
+    tax_id: '27AAPFU0939F1ZV',
+    phone: '+91 20 1234 5678',
+    email: 'shop@example.com',
+    address: { line1: '12 MG Road', line2: '', city: 'Pune', postal_code: '411001', region: 'MH', country: 'India' },
+    logo: 'data:image/png;base64,AAAA',
+  }]);
+  expect(parseCsv(csv)).toEqual([
+    ['id', 'name', 'currency', 'tax_id', 'phone', 'email', 'address'],
+    ['b1', 'Corner Shop', 'INR', '27AAPFU0939F1ZV', '+91 20 1234 5678', 'shop@example.com', '12 MG Road, 411001 Pune, MH, India'],
+  ]);
+});
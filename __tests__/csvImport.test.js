@@ -0,0 +1,241 @@
+/**
+ * @format
+ */
+
+import { guessColumnMapping, planArticleImport } from '../src/database/csvImport';
+import { articlesToCsv, parseCsv } from '../src/database/csv';
+
+const existing = [
+  {
+    id: 'a1',
+    name: 'Tea',
+    sku: '8901',
+    qty: 4,
+    selling_price: 250,
+    cost_price: 100,
+    currency: 'INR',
+    tax_rate_id: '',
+    price_includes_tax: true,
+    reorder_level: 0,
+    reorder_qty: 0,
+    business_id: 'b1',
+    category_id: '',
+    created_at: 100,
+    updated_at: 100,
+    updated_by: 'anna',
+    device_id: 'ios-1',
+    deleted_at: 0,
+  },
+  {
+    id: 'other',
+    name: 'Coffee',
+    sku: '',
+    qty: 1,
+    selling_price: 500,
+    cost_price: 0,
+    currency: 'INR',
+    tax_rate_id: '',
+    price_includes_tax: true,
+    reorder_level: 0,
+    reorder_qty: 0,
+    business_id: 'b2',
+    category_id: '',
+    created_at: 100,
+    updated_at: 100,
+    updated_by: 'anna',
+    device_id: 'ios-1',
+    deleted_at: 0,
+  },
+  {
+    id: 'trashed',
+    name: 'Cocoa',
+    sku: '777',
+    qty: 2,
+    selling_price: 300,
+    cost_price: 0,
+    currency: 'INR',
+    tax_rate_id: '',
+    price_includes_tax: true,
+    reorder_level: 0,
+    reorder_qty: 0,
+    business_id: 'b1',
+    category_id: '',
+    created_at: 100,
+    updated_at: 200,
+    updated_by: 'anna',
+    device_id: 'ios-1',
+    deleted_at: 200,
+  },
+];
+
+const plan = (rows, headers = ['Name', 'Quantity', 'Price']) => {
+  let nextId = 0;
+  return planArticleImport({
+    rows,
+    mapping: guessColumnMapping(headers),
+    businessId: 'b1',
+    currency: 'INR',
+    locale: 'en-US',
+    existingArticles: existing,
+    createId: () => `new-${++nextId}`,
+  });
+};
+
+test('maps columns by header name and alias', () => {
+  expect(guessColumnMapping(['Article Name', 'Stock', 'Unit Price', 'Notes', 'Cost'])).toEqual({
+    id: null,
+    name: 0,
+    sku: null,
+    qty: 1,
+    selling_price: 2,
+    cost_price: 4,
+    reorder_level: null,
+    reorder_qty: null,
+  });
+});
+
+test('updates articles matched by name and creates the rest', () => {
+  const result = plan([
+    ['tea', '10', '2.5'],
+    ['Sugar', '3', '1.2'],
+  ]);
+
+  expect(result.update).toHaveLength(1);
+  expect(result.update[0]).toMatchObject({ rowNumber: 2, article: { id: 'a1', name: 'tea', qty: 10 } });
+  expect(result.create).toEqual([
+    {
+      rowNumber: 3,
+      article: {
+        id: 'new-1',
+        name: 'Sugar',
+        sku: '',
+        qty: 3,
+        selling_price: 120,
+        cost_price: 0,
+        currency: 'INR',
+        tax_rate_id: '',
+        price_includes_tax: true,
+        reorder_level: 0,
+        reorder_qty: 0,
+        business_id: 'b1',
+        category_id: '',
+        deleted_at: 0,
+        created_at: 0,
+        updated_at: 0,
+        updated_by: '',
+        device_id: '',
+      },
+    },
+  ]);
+});
+
+test('matches on id before name and keeps unknown ids', () => {
+  const result = plan(
+    [
+      ['a1', 'Green Tea', '2.5'],
+      ['kept-id', 'Tea', '3'],
+    ],
+    ['id', 'name', 'selling_price']
+  );
+  expect(result.update[0].article).toMatchObject({ id: 'a1', name: 'Green Tea' });
+  expect(result.create[0].article).toMatchObject({ id: 'kept-id', name: 'Tea' });
+});
+
+test('reports rows without changes as unchanged', () => {
+  const result = plan([['Tea', '4', '2.5']]);
+  expect(result.unchanged).toHaveLength(1);
+  expect(result.update).toHaveLength(0);
+});
+
+test('rejects invalid rows, foreign ids and duplicates', () => {
+  const result = plan(
+    [
+      ['', '', '1', '2'],
+      ['', 'Milk', 'lots', '2'],
+      ['', 'Bread', '1.5', '2'],
+      ['', 'Butter', '1', '-2'],
+      ['', 'Jam', '1', ''],
+      ['other', 'Coffee', '1', '5'],
+      ['', 'Sugar', '1', '1'],
+      ['', 'sugar', '2', '1'],
+    ],
+    ['id', 'name', 'qty', 'price']
+  );
+
+  expect(result.create.map(entry => entry.article.name)).toEqual(['Sugar']);
+  expect(result.rejected.map(({ rowNumber, errors }) => [rowNumber, errors])).toEqual([
+    [2, ['Name is missing']],
+    [3, ['Quantity "lots" is not a number']],
+    [4, ['Quantity must be a whole number']],
+    [5, ['Selling price must not be negative']],
+    [6, ['Selling price is missing']],
+    [7, ['ID belongs to an article of another business']],
+    [9, ['Same article as row 8']],
+  ]);
+});
+
+test('validates against the article schema', () => {
+  const result = plan([['x'.repeat(201), '1', '1']]);
+  expect(result.rejected[0].errors).toEqual(['name must NOT have more than 200 characters']);
+});
+
+test('matches on SKU and rejects SKUs used by another article', () => {
+  const result = plan(
+    [
+      ['8901', 'Black Tea', '2.5'],
+      ['8901', 'Green Tea', '3'],
+      ['555', 'Honey', '4'],
+      ['555', 'Jam', '4'],
+    ],
+    ['barcode', 'name', 'price']
+  );
+  expect(result.update.map(entry => entry.article)).toMatchObject([{ id: 'a1', name: 'Black Tea' }]);
+  expect(result.create.map(entry => entry.article.name)).toEqual(['Honey']);
+  expect(result.rejected.map(({ rowNumber, errors }) => [rowNumber, errors])).toEqual([
+    [3, ['Same article as row 2']],
+    [5, ['SKU 555 is also used in row 4']],
+  ]);
+});
+
+test('ignores trashed articles when matching but rejects their ids', () => {
+  const result = plan(
+    [
+      ['trashed', '', 'Cocoa Powder', '3'],
+      ['', '777', 'Cocoa', '3'],
+    ],
+    ['id', 'sku', 'name', 'price']
+  );
+  expect(result.create.map(entry => entry.article)).toMatchObject([{ id: 'new-1', sku: '777', name: 'Cocoa' }]);
+  expect(result.rejected).toEqual([
+    { rowNumber: 2, name: 'Cocoa Powder', errors: ['Article is in the trash; restore it first'] },
+  ]);
+});
+
+test('reads prices with either decimal separator into minor units', () => {
+  const result = plan([
+    ['Sugar', '3', '1,20'],
+    ['Salt', '1', '1.234,50'],
+    ['Honey', '1', '4.999'],
+  ]);
+  expect(result.create.map(entry => entry.article.selling_price)).toEqual([120, 123450]);
+  expect(result.rejected[0].errors).toEqual(['Selling price "4.999" is not a valid amount']);
+});
+
+test('reads exported prices back the same in every locale', () => {
+  const exported = { ...existing[0], selling_price: 1500, cost_price: 12250, currency: 'KWD' };
+  const [headers, ...rows] = parseCsv(articlesToCsv([exported], [{ id: 'b1', name: 'Shop' }]));
+
+  ['en-US', 'de-DE'].forEach(locale => {
+    const result = planArticleImport({
+      rows,
+      mapping: guessColumnMapping(headers),
+      businessId: 'b1',
+      currency: 'KWD',
+      locale,
+      existingArticles: [exported],
+      createId: () => 'new',
+    });
+    expect(result.unchanged).toHaveLength(1);
+    expect(result.rejected).toEqual([]);
+  });
+});
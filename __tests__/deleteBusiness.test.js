@@ -0,0 +1,175 @@
+/**
+ * @format
+ */
+
+import {
+  BUSINESS_DELETE_MODES,
+  addArticle,
+  addBusiness,
+  addCategory,
+  deleteBusiness,
+  getArticleById,
+  getBusinessById,
+  initDatabase,
+  logout,
+} from '../src/database/database';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+// The package only ships an ESM build to React Native
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+jest.mock('@react-native-community/netinfo', () => ({
+  fetch: jest.fn(async () => ({ isConnected: false })),
+  addEventListener: jest.fn(() => () => {}),
+}));
+
+jest.mock('../src/config/secureStore', () => ({
+  getSecureItem: jest.fn(async () => null),
+  setSecureItem: jest.fn(async () => {}),
+  removeSecureItem: jest.fn(async () => {}),
+}));
+
+// The documents stay in memory; the SQLite adapter has its own tests
+jest.mock('../src/database/sqliteAdapter', () => ({
+  createSQLiteAdapter: () => {
+    const { LokiMemoryAdapter } = require('lokijs');
+    const adapter = new LokiMemoryAdapter();
+    adapter.flush = () => {};
+    adapter.setDebounceEnabled = () => {};
+    return adapter;
+  },
+}));
+
+let shop;
+let cafe;
+
+const addTestBusiness = async (name, currency = 'USD') => {
+  await addBusiness({ id: `${name.toLowerCase()}-${Date.now()}`, name, currency });
+  const db = await initDatabase();
+  return db.businesses.findOne({ selector: { name } }).exec();
+};
+
+const addTestArticle = (business, article) =>
+  addArticle({
+    id: `${business.id}-${article.name}`,
+    business_id: business.id,
+    qty: 0,
+    selling_price: 0,
+    ...article,
+  });
+
+// Rejected deletes are logged, and RxDB advertises its premium storages
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+beforeEach(async () => {
+  shop = await addTestBusiness('Shop');
+  cafe = await addTestBusiness('Cafe', 'JPY');
+});
+
+afterEach(async () => {
+  // Wiping also stops the timers and listeners set up with the database
+  await logout({ wipeLocalData: true });
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+test('blocks deleting a business that still has articles', async () => {
+  await addTestArticle(shop, { name: 'Tea' });
+
+  await expect(deleteBusiness(shop)).rejects.toThrow(
+    'Business still has 1 article(s). Delete or reassign them first.',
+  );
+  expect((await getBusinessById(shop.id)).deleted_at).toBe(0);
+});
+
+test('deletes a business without articles in any mode', async () => {
+  const result = await deleteBusiness(shop);
+
+  expect(result).toEqual({ success: true, affectedArticles: 0, skuCleared: [] });
+  expect((await getBusinessById(shop.id)).deleted_at).toBeGreaterThan(0);
+});
+
+test('trashes the articles together with the business', async () => {
+  await addTestArticle(shop, { name: 'Tea' });
+  await addTestArticle(shop, { name: 'Rice' });
+
+  const result = await deleteBusiness(shop, { mode: BUSINESS_DELETE_MODES.CASCADE });
+
+  expect(result.affectedArticles).toBe(2);
+  const business = await getBusinessById(shop.id);
+  expect(business.deleted_at).toBeGreaterThan(0);
+  for (const name of ['Tea', 'Rice']) {
+    const article = await getArticleById(`${shop.id}-${name}`);
+    expect(article.deleted_at).toBe(business.deleted_at);
+  }
+});
+
+test('moves articles, categories and stock to the target business', async () => {
+  const category = await addCategory({ businessId: shop.id, name: 'Drinks' });
+  await addTestArticle(shop, {
+    name: 'Tea',
+    qty: 5,
+    selling_price: 250,
+    category_id: category.id,
+  });
+
+  const result = await deleteBusiness(shop, {
+    mode: BUSINESS_DELETE_MODES.REASSIGN,
+    targetBusinessId: cafe.id,
+  });
+
+  expect(result).toEqual({ success: true, affectedArticles: 1, skuCleared: [] });
+  const article = await getArticleById(`${shop.id}-Tea`);
+  // USD 2.50 becomes JPY 3, the nearest whole yen
+  expect(article.toJSON()).toMatchObject({
+    business_id: cafe.id,
+    currency: 'JPY',
+    selling_price: 3,
+    deleted_at: 0,
+    qty: 5,
+  });
+  const db = await initDatabase();
+  expect((await db.categories.findOne(category.id).exec()).business_id).toBe(cafe.id);
+  const movements = await db.stock_movements
+    .find({ selector: { article_id: article.id } })
+    .exec();
+  expect(movements.map(movement => movement.business_id)).toEqual([cafe.id]);
+});
+
+test('clears the SKUs the target business already uses', async () => {
+  await addTestArticle(cafe, { name: 'Green Tea', sku: 'TEA-1' });
+  await addTestArticle(shop, { name: 'Tea', sku: 'TEA-1' });
+  await addTestArticle(shop, { name: 'Rice', sku: 'RICE-1' });
+
+  const result = await deleteBusiness(shop, {
+    mode: BUSINESS_DELETE_MODES.REASSIGN,
+    targetBusinessId: cafe.id,
+  });
+
+  expect(result.skuCleared).toEqual(['Tea']);
+  expect((await getArticleById(`${shop.id}-Tea`)).sku).toBe('');
+  expect((await getArticleById(`${shop.id}-Rice`)).sku).toBe('RICE-1');
+  expect((await getArticleById(`${cafe.id}-Green Tea`)).sku).toBe('TEA-1');
+});
+
+test('refuses to reassign to the same or a missing business', async () => {
+  await addTestArticle(shop, { name: 'Tea' });
+
+  await expect(
+    deleteBusiness(shop, { mode: BUSINESS_DELETE_MODES.REASSIGN, targetBusinessId: shop.id }),
+  ).rejects.toThrow('Please select another business for the articles');
+  await expect(
+    deleteBusiness(shop, { mode: BUSINESS_DELETE_MODES.REASSIGN, targetBusinessId: 'missing' }),
+  ).rejects.toThrow('Target business not found');
+  expect((await getBusinessById(shop.id)).deleted_at).toBe(0);
+  expect((await getArticleById(`${shop.id}-Tea`)).business_id).toBe(shop.id);
+});
@@ -0,0 +1,83 @@
+/**
+ * @format
+ */
+
+import {
+  getSubnetHosts,
+  isCouchDBWelcome,
+  rankServers,
+  runWithConcurrency,
+} from '../src/database/discovery';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () => ({
+  fetch: jest.fn(),
+}));
+
+test('recognizes the CouchDB welcome document', () => {
+  expect(isCouchDBWelcome({ couchdb: 'Welcome', version: '3.3.3' })).toBe(true);
+  expect(isCouchDBWelcome({ status: 'ok' })).toBe(false);
+  expect(isCouchDBWelcome(null)).toBe(false);
+});
+
+test('lists the hosts of a /24 subnet without the device itself', () => {
+  const hosts = getSubnetHosts('192.168.1.42', '255.255.255.0');
+  expect(hosts).toHaveLength(253);
+  expect(hosts[0]).toBe('192.168.1.1');
+  expect(hosts[hosts.length - 1]).toBe('192.168.1.254');
+  expect(hosts).not.toContain('192.168.1.42');
+});
+
+test('narrows wide subnets to the block around the device', () => {
+  const hosts = getSubnetHosts('10.0.7.9', '255.255.0.0');
+  expect(hosts).toHaveLength(253);
+  expect(hosts[0]).toBe('10.0.7.1');
+});
+
+test('scans small subnets completely', () => {
+  expect(getSubnetHosts('172.16.0.5', '255.255.255.248')).toEqual([
+    '172.16.0.1',
+    '172.16.0.2',
+    '172.16.0.3',
+    '172.16.0.4',
+    '172.16.0.6',
+  ]);
+});
+
+test('returns no hosts for a missing or invalid address', () => {
+  expect(getSubnetHosts(null, '255.255.255.0')).toEqual([]);
+  expect(getSubnetHosts('fe80::1', '255.255.255.0')).toEqual([]);
+});
+
+test('never runs more workers than the concurrency limit', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async item => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+    return item * 2;
+  });
+
+  expect(peak).toBe(3);
+  expect(results).toEqual([2, 4, 6, 8, 10, 12, 14]);
+});
+
+test('ranks by latency with a head start for known servers', () => {
+  const servers = [
+    { url: 'http://192.168.1.20:5984', latency: 40 },
+    { url: 'http://192.168.1.10:5984', latency: 90 },
+    { url: 'http://192.168.1.30:5984', latency: 200 },
+  ];
+  const known = [{ url: 'http://192.168.1.10:5984', successCount: 3 }];
+
+  expect(rankServers(servers, known).map(server => server.url)).toEqual([
+    'http://192.168.1.10:5984',
+    'http://192.168.1.20:5984',
+    'http://192.168.1.30:5984',
+  ]);
+  expect(rankServers(servers)[0].url).toBe('http://192.168.1.20:5984');
+});
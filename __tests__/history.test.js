@@ -0,0 +1,128 @@
+/**
+ * @format
+ */
+
+import {
+  HISTORY_ACTIONS,
+  createHistoryEntry,
+  describeChange,
+  describeEditor,
+} from '../src/database/history';
+
+const audit = { updated_at: 5000, updated_by: 'anna', device_id: 'ios-5f2c7a1e-9b' };
+
+const article = {
+  id: 'a1',
+  name: 'Tea',
+  sku: '',
+  category_id: '',
+  business_id: 'b1',
+  qty: 4,
+  selling_price: 2.5,
+  cost_price: 1,
+  reorder_level: 0,
+  reorder_qty: 0,
+  deleted_at: 0,
+  updated_at: 1000,
+};
+
+test('logs the changed tracked fields with the editor', () => {
+  const entry = createHistoryEntry({
+    id: 'h1',
+    collection: 'articles',
+    before: article,
+    after: { ...article, qty: 6, selling_price: 3, updated_at: 5000 },
+    audit,
+  });
+
+  expect(entry).toEqual({
+    id: 'h1',
+    collection: 'articles',
+    document_id: 'a1',
+    business_id: 'b1',
+    action: HISTORY_ACTIONS.UPDATE,
+    changes: [
+      { field: 'qty', from: 4, to: 6 },
+      { field: 'selling_price', from: 2.5, to: 3 },
+    ],
+    created_at: 5000,
+    updated_by: 'anna',
+    device_id: 'ios-5f2c7a1e-9b',
+  });
+});
+
+test('skips writes that change no tracked field', () => {
+  expect(createHistoryEntry({
+    id: 'h1',
+    collection: 'articles',
+    before: article,
+    after: { ...article, updated_at: 5000 },
+    audit,
+  })).toBeNull();
+});
+
+test('logs the initial values of a new document', () => {
+  const entry = createHistoryEntry({
+    id: 'h1',
+    collection: 'businesses',
+    before: null,
+    after: { id: 'b1', name: 'Shop', deleted_at: 0 },
+    audit,
+  });
+  expect(entry).toMatchObject({
+    document_id: 'b1',
+    business_id: 'b1',
+    action: HISTORY_ACTIONS.CREATE,
+    changes: [{ field: 'name', from: null, to: 'Shop' }],
+  });
+});
+
+test('describes changes and editors for display', () => {
+  expect(describeChange({ field: 'selling_price', from: 2.5, to: 3 })).toBe('Selling price: 2.5 → 3');
+  expect(describeChange({ field: 'sku', from: '', to: '8901' })).toBe('SKU: — → 8901');
+  expect(describeChange({ field: 'deleted_at', from: 0, to: 5000 })).toBe('Moved to the trash');
+  expect(describeChange({ field: 'category_id', from: '', to: 'c1' })).toBe('Category changed');
+  expect(describeEditor(audit)).toBe('anna · ios-5f2c7a1e…');
+  expect(describeEditor({ updated_by: '', device_id: '' })).toBe('Unknown user');
+});
+
+test('logs tax settings as readable values', () => {
+  const business = { id: 'b1', name: 'Shop', currency: 'INR', tax_rates: [], deleted_at: 0 };
+  const entry = createHistoryEntry({
+    id: 'h1',
+    collection: 'businesses',
+    before: business,
+    after: { ...business, tax_rates: [{ id: 't1', name: 'GST', rate: 1800 }] },
+    audit,
+  });
+  expect(entry.changes).toEqual([{ field: 'tax_rates', from: '', to: 'GST 18%' }]);
+
+  expect(describeChange({ field: 'price_includes_tax', from: true, to: false }))
+    .toBe('Price includes tax: Yes → No');
+  expect(describeChange({ field: 'tax_rate_id', from: '', to: 't1' })).toBe('Tax rate changed');
+});
+
+test('logs an address as one line and a logo by its size only', () => {
+  const business = {
+    id: 'b1',
+    name: 'Shop',
+    address: { line1: '', line2: '', city: '', postal_code: '', region: '', country: '' },
+    logo: '',
+    deleted_at: 0,
+  };
+  const entry = createHistoryEntry({
+    id: 'h1',
+    collection: 'businesses',
+    before: business,
+    after: {
+      ...business,
+      address: { ...business.address, line1: '12 MG Road', city: 'Pune', postal_code: '411001' },
+      logo: `data:image/png;base64,${'A'.repeat(2048)}`,
+    },
+    audit,
+  });
+  expect(entry.changes).toEqual([
+    { field: 'address', from: '', to: '12 MG Road, 411001 Pune' },
+    { field: 'logo', from: '', to: 'Image of 3 KB' },
+  ]);
+});
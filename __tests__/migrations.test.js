@@ -0,0 +1,197 @@
+/**
+ * @format
+ */
+
+import Ajv from 'ajv';
+import { articleSchema, businessSchema } from '../src/database/schemas';
+import {
+  articleMigrationStrategies,
+  businessMigrationStrategies,
+  historyMigrationStrategies,
+  saleMigrationStrategies,
+  migrateDocumentData,
+} from '../src/database/migrations';
+import v0Businesses from './fixtures/v0/businesses.json';
+import v0Articles from './fixtures/v0/articles.json';
+
+const ajv = new Ajv({ strict: false });
+
+const collections = [
+  {
+    name: 'businesses',
+    schema: businessSchema,
+    strategies: businessMigrationStrategies,
+    fixtures: v0Businesses,
+  },
+  {
+    name: 'articles',
+    schema: articleSchema,
+    strategies: articleMigrationStrategies,
+    fixtures: v0Articles,
+  },
+];
+
+describe.each(collections)(
+  '$name migration chain',
+  ({ schema, strategies, fixtures }) => {
+    const migrate = doc =>
+      migrateDocumentData(strategies, 0, schema.version, doc);
+
+    test('has a strategy for every schema version', () => {
+      for (let version = 1; version <= schema.version; version++) {
+        expect(typeof strategies[version]).toBe('function');
+      }
+    });
+
+    test('migrates v0 fixtures to documents valid for the current schema', () => {
+      const validate = ajv.compile(schema);
+      fixtures.forEach(doc => {
+        const migrated = migrate(doc);
+        expect(validate(migrated)).toBe(true);
+        expect(migrated[schema.primaryKey]).toBe(doc[schema.primaryKey]);
+      });
+    });
+
+    test('is idempotent for already migrated documents', () => {
+      fixtures.forEach(doc => {
+        const migrated = migrate(doc);
+        expect(migrate(migrated)).toEqual(migrated);
+      });
+    });
+  },
+);
+
+test('article v1 coerces unparsable qty and price', () => {
+  const [, nullValues, stringValues] = v0Articles;
+  expect(migrateDocumentData(articleMigrationStrategies, 0, 1, nullValues))
+    .toMatchObject({ qty: 0, selling_price: 0 });
+  expect(migrateDocumentData(articleMigrationStrategies, 0, 1, stringValues))
+    .toMatchObject({ qty: 7, selling_price: 189.99 });
+});
+
+test('article v2 adds updated_at and bounds indexed strings', () => {
+  const [rice] = v0Articles;
+  const migrated = migrateDocumentData(articleMigrationStrategies, 0, 2, {
+    ...rice,
+    name: 'x'.repeat(250),
+  });
+  expect(migrated.updated_at).toBe(0);
+  expect(migrated.name).toHaveLength(200);
+});
+
+test('article v3 defaults a missing cost price to 0', () => {
+  const [rice] = v0Articles;
+  expect(migrateDocumentData(articleMigrationStrategies, 0, 3, rice).cost_price).toBe(0);
+  expect(migrateDocumentData(articleMigrationStrategies, 2, 3, { ...rice, cost_price: '420' }).cost_price)
+    .toBe(420);
+});
+
+test('article v4 adds reorder settings without alerts', () => {
+  const [rice] = v0Articles;
+  expect(migrateDocumentData(articleMigrationStrategies, 0, 4, rice))
+    .toMatchObject({ reorder_level: 0, reorder_qty: 0 });
+  expect(migrateDocumentData(articleMigrationStrategies, 3, 4, { ...rice, reorder_level: '5', reorder_qty: -2 }))
+    .toMatchObject({ reorder_level: 5, reorder_qty: 0 });
+});
+
+test('article v5 adds an empty SKU and trims existing ones', () => {
+  const [rice] = v0Articles;
+  expect(migrateDocumentData(articleMigrationStrategies, 0, 5, rice).sku).toBe('');
+  expect(migrateDocumentData(articleMigrationStrategies, 4, 5, { ...rice, sku: ' 8901234567890 ' }).sku)
+    .toBe('8901234567890');
+});
+
+test('article v6 leaves existing articles uncategorized', () => {
+  const [rice] = v0Articles;
+  expect(migrateDocumentData(articleMigrationStrategies, 0, 6, rice).category_id).toBe('');
+  expect(migrateDocumentData(articleMigrationStrategies, 5, 6, { ...rice, category_id: 'c1' }).category_id)
+    .toBe('c1');
+});
+
+test('business v1 and article v7 keep existing documents out of the trash', () => {
+  const [shop] = v0Businesses;
+  const [rice] = v0Articles;
+  expect(migrateDocumentData(businessMigrationStrategies, 0, 1, shop).deleted_at).toBe(0);
+  expect(migrateDocumentData(articleMigrationStrategies, 0, 7, rice).deleted_at).toBe(0);
+  expect(migrateDocumentData(articleMigrationStrategies, 6, 7, { ...rice, deleted_at: 1700000000000 }).deleted_at)
+    .toBe(1700000000000);
+});
+
+test('business v2 and article v8 add unattributed audit fields', () => {
+  const [shop] = v0Businesses;
+  const [rice] = v0Articles;
+  expect(migrateDocumentData(businessMigrationStrategies, 0, 2, shop)).toMatchObject({
+    created_at: 0,
+    updated_at: 0,
+    updated_by: '',
+    device_id: '',
+  });
+  expect(migrateDocumentData(articleMigrationStrategies, 7, 8, { ...rice, updated_at: 1700000000000 }))
+    .toMatchObject({ created_at: 0, updated_at: 1700000000000, updated_by: '', device_id: '' });
+});
+
+test('moves legacy rupee amounts to minor units exactly once', () => {
+  const [rice] = v0Articles;
+  const article = migrateDocumentData(articleMigrationStrategies, 8, 9, { ...rice, selling_price: 549.5, cost_price: 0.1 + 0.2 });
+  expect(article).toMatchObject({ selling_price: 54950, cost_price: 30, currency: 'INR' });
+  expect(migrateDocumentData(articleMigrationStrategies, 8, 9, article)).toEqual(article);
+
+  const sale = migrateDocumentData(saleMigrationStrategies, 0, 1, {
+    id: 's1',
+    items: [{ article_id: 'a1', name: 'Rice', qty: 3, unit_price: 189.99, line_total: 569.97 }],
+    total: 569.97,
+  });
+  expect(sale).toMatchObject({
+    items: [{ unit_price: 18999, line_total: 56997 }],
+    total: 56997,
+    currency: 'INR',
+  });
+  expect(migrateDocumentData(saleMigrationStrategies, 0, 1, sale)).toEqual(sale);
+
+  const entry = migrateDocumentData(historyMigrationStrategies, 0, 1, {
+    id: 'h1',
+    collection: 'articles',
+    changes: [{ field: 'selling_price', from: null, to: 2.5 }, { field: 'qty', from: 1, to: 2 }],
+  });
+  expect(entry).toMatchObject({
+    currency: 'INR',
+    changes: [{ field: 'selling_price', from: null, to: 250 }, { field: 'qty', from: 1, to: 2 }],
+  });
+  expect(migrateDocumentData(historyMigrationStrategies, 0, 1, entry)).toEqual(entry);
+});
+
+test('leaves existing articles and sales untaxed', () => {
+  const [rice] = v0Articles;
+  const article = migrateDocumentData(articleMigrationStrategies, 0, articleSchema.version, rice);
+  expect(article).toMatchObject({ tax_rate_id: '', price_includes_tax: true });
+
+  const sale = migrateDocumentData(saleMigrationStrategies, 1, 2, {
+    id: 's1',
+    items: [{ article_id: 'a1', name: 'Rice', qty: 3, unit_price: 18999, line_total: 56997 }],
+    total: 56997,
+    currency: 'INR',
+  });
+  expect(sale).toMatchObject({
+    items: [{ tax_rate: 0, net_total: 56997, tax_total: 0 }],
+    net_total: 56997,
+    tax_total: 0,
+  });
+  expect(migrateDocumentData(saleMigrationStrategies, 1, 2, sale)).toEqual(sale);
+});
+
+test('adds an empty profile to businesses and keeps a partial one', () => {
+  const [shop] = v0Businesses;
+  const business = migrateDocumentData(businessMigrationStrategies, 0, businessSchema.version, shop);
+  expect(business).toMatchObject({ phone: '', email: '', tax_id: '', logo: '' });
+  expect(business.address.city).toBe('');
+
+  const partial = migrateDocumentData(businessMigrationStrategies, 4, 5, {
+    ...business,
+    address: { city: 'Pune' },
+    phone: '020 1234',
+  });
+  expect(partial.address).toEqual({
+    line1: '', line2: '', city: 'Pune', postal_code: '', region: '', country: '',
+  });
+  expect(partial.phone).toBe('020 1234');
+});
@@ -0,0 +1,56 @@
+/**
+ * @format
+ */
+
+import {
+  convertMinorUnits,
+  formatMoney,
+  formatMoneyInput,
+  fromMinorUnits,
+  getCurrencyDecimals,
+  parseMoney,
+  parseWholeNumber,
+  toMinorUnits,
+} from '../src/database/money';
+
+test('converts between major and minor units per currency', () => {
+  expect(getCurrencyDecimals('JPY')).toBe(0);
+  expect(toMinorUnits(0.1 + 0.2, 'INR')).toBe(30);
+  expect(toMinorUnits(12.345, 'KWD')).toBe(12345);
+  expect(fromMinorUnits(1250, 'USD')).toBe(12.5);
+  expect(convertMinorUnits(1250, 'INR', 'JPY')).toBe(13);
+  expect(convertMinorUnits(500, 'JPY', 'USD')).toBe(50000);
+});
+
+test('formats amounts with the currency symbol and fixed decimals', () => {
+  expect(formatMoney(123456, 'USD', 'en-US')).toBe('$1,234.56');
+  expect(formatMoney(500, 'JPY', 'en-US')).toBe('¥500');
+  expect(formatMoney(1250, 'EUR', 'de-DE')).toMatch(/^12,50\s€$/);
+  expect(formatMoneyInput(1250, 'EUR', 'de-DE')).toBe('12,50');
+  expect(formatMoneyInput(1250, 'USD', 'en-US')).toBe('12.50');
+});
+
+test('parses amounts with either decimal separator', () => {
+  expect(parseMoney('12.5', 'INR', 'en-US')).toBe(1250);
+  expect(parseMoney('12,50', 'INR', 'en-US')).toBe(1250);
+  expect(parseMoney('1,234', 'USD', 'en-US')).toBe(123400);
+  expect(parseMoney('1.234', 'EUR', 'de-DE')).toBe(123400);
+  expect(parseMoney('1.234,56', 'EUR', 'de-DE')).toBe(123456);
+  expect(parseMoney('1,23,456.70', 'INR', 'en-IN')).toBe(12345670);
+  expect(parseMoney(' 500 ', 'JPY', 'en-US')).toBe(500);
+});
+
+test('rejects amounts that are negative, malformed or too precise', () => {
+  expect(parseMoney('', 'INR', 'en-US')).toBeNull();
+  expect(parseMoney('-1', 'INR', 'en-US')).toBeNull();
+  expect(parseMoney('12abc', 'INR', 'en-US')).toBeNull();
+  expect(parseMoney('1.234', 'INR', 'en-US')).toBeNull();
+  expect(parseMoney('5.5', 'JPY', 'en-US')).toBeNull();
+});
+
+test('parses whole numbers without truncating', () => {
+  expect(parseWholeNumber(' 12 ')).toBe(12);
+  expect(parseWholeNumber('12abc')).toBeNull();
+  expect(parseWholeNumber('1.5')).toBeNull();
+  expect(parseWholeNumber('')).toBeNull();
+});
@@ -0,0 +1,40 @@
+/**
+ * @format
+ */
+
+import {
+  calculateMargin,
+  calculateMarkup,
+  calculateStockValue,
+  formatPercent,
+} from '../src/database/pricing';
+
+test('calculates margin on selling price and markup on cost', () => {
+  expect(calculateMargin(75, 100)).toBe(25);
+  expect(calculateMarkup(75, 100)).toBeCloseTo(33.33, 2);
+});
+
+test('has no margin without a selling price and no markup without a cost', () => {
+  expect(calculateMargin(10, 0)).toBeNull();
+  expect(calculateMarkup(0, 100)).toBeNull();
+  expect(formatPercent(null)).toBe('–');
+  expect(formatPercent(12.345)).toBe('12.3%');
+});
+
+test('values stock on hand at cost and at selling price', () => {
+  const value = calculateStockValue([
+    { qty: 10, cost_price: 40, selling_price: 50 },
+    { qty: 2, cost_price: 0, selling_price: 100 },
+    { qty: -3, cost_price: 5, selling_price: 10 },
+  ]);
+  expect(value).toEqual({ atCost: 400, atSelling: 700, taxAtSelling: 0, articlesWithoutCost: 1 });
+});
+
+test('values stock at selling price including tax', () => {
+  const taxRates = [{ id: 'vat', name: 'VAT', rate: 2000 }];
+  const value = calculateStockValue([
+    { qty: 10, cost_price: 40, selling_price: 60, tax_rate_id: 'vat', price_includes_tax: true },
+    { qty: 2, cost_price: 50, selling_price: 100, tax_rate_id: 'vat', price_includes_tax: false },
+  ], taxRates);
+  expect(value).toMatchObject({ atSelling: 840, taxAtSelling: 140 });
+});
@@ -0,0 +1,55 @@
+/**
+ * @format
+ */
+
+import {
+  findArticlesToReorder,
+  isLowStock,
+  suggestedOrderQty,
+} from '../src/database/reorder';
+
+const article = (fields) => ({
+  id: 'a1',
+  name: 'Rice',
+  business_id: 'b1',
+  qty: 10,
+  reorder_level: 5,
+  reorder_qty: 20,
+  ...fields,
+});
+
+test('flags articles at or below their reorder level', () => {
+  expect(isLowStock(article({ qty: 6 }))).toBe(false);
+  expect(isLowStock(article({ qty: 5 }))).toBe(true);
+  expect(isLowStock(article({ qty: -1 }))).toBe(true);
+});
+
+test('never flags articles without a reorder level', () => {
+  expect(isLowStock(article({ qty: 0, reorder_level: 0 }))).toBe(false);
+});
+
+test('suggests the reorder quantity, or enough to get above the level', () => {
+  expect(suggestedOrderQty(article({ qty: 5 }))).toBe(20);
+  expect(suggestedOrderQty(article({ qty: -30 }))).toBe(36);
+  expect(suggestedOrderQty(article({ qty: 2, reorder_qty: 0 }))).toBe(4);
+});
+
+test('lists low-stock articles across businesses by business and name', () => {
+  const result = findArticlesToReorder(
+    [{ id: 'b1', name: 'Shop' }, { id: 'b2', name: 'Kiosk' }],
+    [
+      article({ id: 'a1', name: 'Tea', qty: 1 }),
+      article({ id: 'a2', name: 'Sugar', qty: 3 }),
+      article({ id: 'a3', name: 'Milk', qty: 50 }),
+      article({ id: 'a4', name: 'Salt', business_id: 'b2', qty: 0 }),
+      article({ id: 'a5', name: 'Orphan', business_id: 'gone', qty: 0 }),
+    ]
+  );
+
+  expect(result.map(item => [item.business_name, item.name])).toEqual([
+    ['Kiosk', 'Salt'],
+    ['Shop', 'Sugar'],
+    ['Shop', 'Tea'],
+  ]);
+  expect(result[0].suggested_qty).toBe(20);
+});
@@ -0,0 +1,69 @@
+/**
+ * @format
+ */
+
+import {
+  buildBusinessReport,
+  buildInventoryReports,
+  TOP_ARTICLES_LIMIT,
+} from '../src/database/reports';
+
+const article = (id, fields) => ({
+  id,
+  name: `Article ${id}`,
+  business_id: 'b1',
+  qty: 1,
+  selling_price: 10,
+  cost_price: 5,
+  ...fields,
+});
+
+test('sums units and stock value of a business', () => {
+  const report = buildBusinessReport({ id: 'b1', name: 'Shop', currency: 'INR' }, [
+    article('a', { qty: 4 }),
+    article('b', { qty: -2 }),
+  ]);
+  expect(report).toMatchObject({
+    businessId: 'b1',
+    businessName: 'Shop',
+    currency: 'INR',
+    articleCount: 2,
+    lowStockCount: 0,
+    totalUnits: 4,
+    valueAtCost: 20,
+    valueAtSelling: 40,
+    taxAtSelling: 0,
+  });
+});
+
+test('ranks top articles by value and lists articles out of stock', () => {
+  const articles = [
+    article('low', { qty: 1, selling_price: 1 }),
+    article('high', { qty: 5, selling_price: 100 }),
+    article('zero', { name: 'Zed', qty: 0 }),
+    article('neg', { name: 'Alpha', qty: -1 }),
+    ...Array.from({ length: TOP_ARTICLES_LIMIT }, (_, i) => article(`x${i}`, { qty: 2 })),
+  ];
+  const report = buildBusinessReport({ id: 'b1', name: 'Shop' }, articles);
+
+  expect(report.topArticles).toHaveLength(TOP_ARTICLES_LIMIT);
+  expect(report.topArticles[0]).toEqual({ id: 'high', name: 'Article high', value: 500 });
+  expect(report.topArticles.map(item => item.id)).not.toContain('low');
+  expect(report.zeroStock.map(item => item.name)).toEqual(['Alpha', 'Zed']);
+});
+
+test('builds one report per business, including empty ones', () => {
+  const reports = buildInventoryReports(
+    [{ id: 'b1', name: 'One' }, { id: 'b2', name: 'Two' }],
+    [article('a', { qty: 3 }), article('b', { business_id: 'b2', qty: 1 })]
+  );
+  expect(reports.map(report => [report.businessId, report.totalUnits])).toEqual([
+    ['b1', 3],
+    ['b2', 1],
+  ]);
+  expect(buildInventoryReports([{ id: 'b3', name: 'Empty' }], [])[0]).toMatchObject({
+    articleCount: 0,
+    topArticles: [],
+    zeroStock: [],
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * @format
+ */
+
+import {
+  addToCart,
+  setCartQty,
+  buildSaleLines,
+  calculateSaleTotals,
+  findShortages,
+} from '../src/database/sales';
+
+const untaxed = { tax_rate_id: '', price_includes_tax: true };
+const rice = { id: 'a1', name: 'Basmati Rice 5kg', qty: 24, selling_price: 54950, ...untaxed };
+const oil = { id: 'a2', name: 'Sunflower Oil 1L', qty: 2, selling_price: 18999, ...untaxed };
+
+test('merges repeated articles into one cart entry', () => {
+  let cart = addToCart([], rice);
+  cart = addToCart(cart, oil);
+  cart = addToCart(cart, rice, 2);
+
+  expect(cart.map(entry => [entry.article.id, entry.qty])).toEqual([
+    ['a1', 3],
+    ['a2', 1],
+  ]);
+});
+
+test('removes an entry when its quantity drops to 0', () => {
+  const cart = addToCart(addToCart([], rice), oil);
+  expect(setCartQty(cart, 'a2', 0).map(entry => entry.article.id)).toEqual(['a1']);
+});
+
+test('prices lines from the stored selling price and totals them in minor units', () => {
+  const lines = buildSaleLines([{ article: rice, qty: 2 }, { article: oil, qty: 3 }]);
+
+  expect(lines[1]).toEqual({
+    article_id: 'a2',
+    name: 'Sunflower Oil 1L',
+    qty: 3,
+    unit_price: 18999,
+    line_total: 56997,
+    tax_rate: 0,
+    net_total: 56997,
+    tax_total: 0,
+  });
+  expect(calculateSaleTotals(lines)).toEqual({
+    item_count: 5,
+    total: 166897,
+    net_total: 166897,
+    tax_total: 0,
+  });
+});
+
+test('adds tax to net prices and takes it out of gross ones per line', () => {
+  const taxRates = [
+    { id: 'gst5', name: 'GST', rate: 500 },
+    { id: 'gst18', name: 'GST', rate: 1800 },
+  ];
+  const lines = buildSaleLines([
+    { article: { ...rice, tax_rate_id: 'gst5', price_includes_tax: false }, qty: 2 },
+    { article: { ...oil, tax_rate_id: 'gst18' }, qty: 3 },
+  ], taxRates);
+
+  expect(lines.map(({ net_total, tax_total, line_total }) => [net_total, tax_total, line_total]))
+    .toEqual([[109900, 5495, 115395], [48303, 8694, 56997]]);
+  expect(calculateSaleTotals(lines)).toMatchObject({
+    total: 172392,
+    net_total: 158203,
+    tax_total: 14189,
+  });
+});
+
+test('reports entries exceeding the stock on hand', () => {
+  const shortages = findShortages([{ article: rice, qty: 2 }, { article: oil, qty: 3 }]);
+  expect(shortages).toEqual([{ article: oil, qty: 3, available: 2 }]);
+});
@@ -0,0 +1,76 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import CryptoJS from 'crypto-js';
+import * as Keychain from 'react-native-keychain';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('react-native-keychain', () => {
+  const entries = {};
+  return {
+    ACCESSIBLE: { AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AfterFirstUnlockThisDeviceOnly' },
+    getGenericPassword: jest.fn(async ({ service }) => entries[service] || false),
+    setGenericPassword: jest.fn(async (username, password, { service }) => {
+      entries[service] = { username, password };
+      return { service };
+    }),
+    resetEntries: () => Object.keys(entries).forEach(key => delete entries[key]),
+  };
+});
+
+// The store caches its key, so every test starts from a fresh module
+const loadSecureStore = () => {
+  let store;
+  jest.isolateModules(() => {
+    store = require('../src/config/secureStore');
+  });
+  return store;
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  Keychain.resetEntries();
+  jest.clearAllMocks();
+});
+
+test('keeps the key in the keychain and only ciphertext in AsyncStorage', async () => {
+  const { getSecureItem, setSecureItem } = loadSecureStore();
+  await setSecureItem('couchdb_credentials', { username: 'anna', password: 's3cret' });
+
+  const stored = await AsyncStorage.getItem('couchdb_credentials');
+  expect(stored).not.toContain('s3cret');
+  expect(await AsyncStorage.getItem('server_settings_key')).toBeNull();
+  expect(Keychain.setGenericPassword).toHaveBeenCalledTimes(1);
+  expect(await getSecureItem('couchdb_credentials')).toEqual({
+    username: 'anna',
+    password: 's3cret',
+  });
+});
+
+test('creates a single key for concurrent first writes', async () => {
+  const { getSecureItem, setSecureItem } = loadSecureStore();
+  await Promise.all([setSecureItem('a', 1), setSecureItem('b', 2)]);
+
+  expect(Keychain.setGenericPassword).toHaveBeenCalledTimes(1);
+  expect(await getSecureItem('a')).toBe(1);
+  expect(await getSecureItem('b')).toBe(2);
+});
+
+test('moves the key of older versions out of AsyncStorage', async () => {
+  const legacyKey = 'legacy-key';
+  await AsyncStorage.setItem(
+    'server_settings',
+    CryptoJS.AES.encrypt(JSON.stringify({ url: 'http://10.0.0.2:5984' }), legacyKey).toString()
+  );
+  await AsyncStorage.setItem('server_settings_key', legacyKey);
+
+  const { getSecureItem } = loadSecureStore();
+  expect(await getSecureItem('server_settings')).toEqual({ url: 'http://10.0.0.2:5984' });
+  expect(await AsyncStorage.getItem('server_settings_key')).toBeNull();
+  expect((await Keychain.getGenericPassword({ service: 'server_settings_key' })).password)
+    .toBe(legacyKey);
+});
@@ -0,0 +1,58 @@
+/**
+ * @format
+ */
+
+import {
+  DATABASE_SETTINGS,
+  DEFAULT_SERVER_SETTINGS,
+  loadServerSettings,
+  saveServerSettings,
+} from '../src/config/serverSettings';
+import { setSecureItem } from '../src/config/secureStore';
+
+jest.mock('../src/config/secureStore', () => {
+  const items = {};
+  return {
+    getSecureItem: jest.fn(async key => items[key] ?? null),
+    setSecureItem: jest.fn(async (key, value) => {
+      items[key] = value;
+    }),
+  };
+});
+
+test('has a database name for every replicated collection', () => {
+  expect(DATABASE_SETTINGS.map(({ key }) => key)).toEqual([
+    'businessesDB',
+    'categoriesDB',
+    'articlesDB',
+    'stockMovementsDB',
+    'salesDB',
+    'historyDB',
+  ]);
+  DATABASE_SETTINGS.forEach(({ key }) => {
+    expect(DEFAULT_SERVER_SETTINGS[key]).toBeTruthy();
+  });
+});
+
+test('stores every database name and trims the server URL', async () => {
+  const tenant = Object.fromEntries(
+    DATABASE_SETTINGS.map(({ key }) => [key, ` shop1_${key} `])
+  );
+  const saved = await saveServerSettings({ url: ' http://10.0.0.2:5984/ ', ...tenant });
+
+  expect(saved.url).toBe('http://10.0.0.2:5984');
+  expect(saved.salesDB).toBe('shop1_salesDB');
+  expect(await loadServerSettings()).toEqual(saved);
+});
+
+test('fills database names missing from older settings with the defaults', async () => {
+  await setSecureItem('server_settings', {
+    url: 'http://10.0.0.2:5984',
+    businessesDB: 'shop1_businesses',
+    articlesDB: 'shop1_articles',
+  });
+
+  const settings = await loadServerSettings();
+  expect(settings.businessesDB).toBe('shop1_businesses');
+  expect(settings.historyDB).toBe(DEFAULT_SERVER_SETTINGS.historyDB);
+});
@@ -0,0 +1,152 @@
+/**
+ * @format
+ */
+
+import * as secureStore from '../src/config/secureStore';
+
+jest.mock('../src/config/secureStore', () => {
+  const items = {};
+  return {
+    getSecureItem: jest.fn(async key => items[key] ?? null),
+    setSecureItem: jest.fn(async (key, value) => {
+      items[key] = value;
+    }),
+    removeSecureItem: jest.fn(async key => {
+      delete items[key];
+    }),
+    clearItems: () => Object.keys(items).forEach(key => delete items[key]),
+  };
+});
+
+const SERVER = 'http://10.0.0.2:5984';
+
+const response = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+const sessionAccepted = () => response(200, { ok: true, name: 'anna', roles: ['staff'] });
+
+// The session keeps its state in the module, so every test starts from a fresh one
+const loadSession = () => {
+  let session;
+  jest.isolateModules(() => {
+    session = require('../src/database/session');
+  });
+  return session;
+};
+
+const signedIn = async () => {
+  const session = loadSession();
+  global.fetch.mockResolvedValueOnce(sessionAccepted());
+  await session.signIn(`${SERVER}/`, 'anna', 's3cret');
+  global.fetch.mockClear();
+  return session;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  secureStore.clearItems();
+  global.fetch = jest.fn();
+});
+
+test('restores a stored login without asking the server', async () => {
+  const first = await signedIn();
+  expect(first.getSession()).toEqual({ status: 'authenticated', username: 'anna', roles: ['staff'] });
+
+  const restarted = loadSession();
+  expect((await restarted.restoreSession()).status).toBe(restarted.SESSION_STATUS.AUTHENTICATED);
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('starts signed out without stored credentials', async () => {
+  const session = loadSession();
+  expect((await session.restoreSession()).status).toBe(session.SESSION_STATUS.SIGNED_OUT);
+});
+
+test('runs onAccepted only once the server accepted the credentials', async () => {
+  const session = loadSession();
+  const onAccepted = jest.fn();
+
+  global.fetch.mockResolvedValueOnce(response(401));
+  await expect(session.signIn(SERVER, 'anna', 'wrong', { onAccepted }))
+    .rejects.toThrow('Invalid username or password');
+  expect(onAccepted).not.toHaveBeenCalled();
+  expect(secureStore.setSecureItem).not.toHaveBeenCalled();
+  expect(session.getSession().status).toBe(session.SESSION_STATUS.UNKNOWN);
+
+  global.fetch.mockResolvedValueOnce(sessionAccepted());
+  await session.signIn(SERVER, 'anna', 's3cret', { onAccepted });
+  expect(onAccepted).toHaveBeenCalledTimes(1);
+  expect(session.getSession().status).toBe(session.SESSION_STATUS.AUTHENTICATED);
+});
+
+test('renews an expired cookie once and retries the request', async () => {
+  const session = await signedIn();
+  global.fetch
+    .mockResolvedValueOnce(response(401))
+    .mockResolvedValueOnce(sessionAccepted())
+    .mockResolvedValueOnce(response(200));
+
+  const result = await session.sessionFetch(`${SERVER}/articles/_changes`);
+
+  expect(result.status).toBe(200);
+  expect(global.fetch.mock.calls.map(([url, options]) => [url, options.method])).toEqual([
+    [`${SERVER}/articles/_changes`, undefined],
+    [`${SERVER}/_session`, 'POST'],
+    [`${SERVER}/articles/_changes`, undefined],
+  ]);
+  expect(session.getSession().status).toBe(session.SESSION_STATUS.AUTHENTICATED);
+});
+
+test('shares one renewal between concurrent requests', async () => {
+  const session = await signedIn();
+  global.fetch.mockImplementation(async (url) =>
+    (url.endsWith('/_session') ? sessionAccepted() : response(401))
+  );
+
+  await Promise.all([
+    session.sessionFetch(`${SERVER}/articles`),
+    session.sessionFetch(`${SERVER}/sales`),
+  ]);
+
+  const renewals = global.fetch.mock.calls.filter(([url]) => url.endsWith('/_session'));
+  expect(renewals).toHaveLength(1);
+});
+
+test('expires the session when the server rejects the stored password', async () => {
+  const session = await signedIn();
+  global.fetch
+    .mockResolvedValueOnce(response(401))
+    .mockResolvedValueOnce(response(401));
+
+  const result = await session.sessionFetch(`${SERVER}/articles`);
+
+  expect(result.status).toBe(401);
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  expect(session.getSession()).toMatchObject({ status: 'expired', username: 'anna' });
+});
+
+test('keeps the session when the renewal fails for lack of network', async () => {
+  const session = await signedIn();
+  global.fetch
+    .mockResolvedValueOnce(response(401))
+    .mockRejectedValueOnce(new TypeError('Network request failed'));
+
+  const result = await session.sessionFetch(`${SERVER}/articles`);
+
+  expect(result.status).toBe(401);
+  expect(session.getSession().status).toBe(session.SESSION_STATUS.AUTHENTICATED);
+});
+
+test('signs out and forgets the credentials', async () => {
+  const session = await signedIn();
+  global.fetch.mockResolvedValueOnce(response(200));
+
+  await session.signOut();
+
+  expect(global.fetch).toHaveBeenCalledWith(`${SERVER}/_session`, expect.objectContaining({ method: 'DELETE' }));
+  expect(secureStore.removeSecureItem).toHaveBeenCalledWith('couchdb_credentials');
+  expect(session.getSession().status).toBe(session.SESSION_STATUS.SIGNED_OUT);
+});
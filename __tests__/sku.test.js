@@ -0,0 +1,30 @@
+/**
+ * @format
+ */
+
+import { findSkuClash, normalizeSku, validateSku } from '../src/database/sku';
+
+const articles = [
+  { id: 'a1', name: 'Tea', sku: '8901', business_id: 'b1' },
+  { id: 'a2', name: 'Salt', sku: '', business_id: 'b1' },
+  { id: 'a3', name: 'Tea', sku: '8902', business_id: 'b2' },
+];
+
+test('trims scanned and pasted codes', () => {
+  expect(normalizeSku(' 8901\n')).toBe('8901');
+  expect(normalizeSku(undefined)).toBe('');
+});
+
+test('rejects overlong codes and codes with line breaks', () => {
+  expect(validateSku('')).toBeNull();
+  expect(validateSku('x'.repeat(101))).toMatch('at most 100');
+  expect(validateSku('89\n01')).toMatch('line breaks');
+});
+
+test('finds another article of the business using the SKU', () => {
+  expect(findSkuClash(articles, { sku: '8901 ', businessId: 'b1', articleId: 'new' }).name)
+    .toBe('Tea');
+  expect(findSkuClash(articles, { sku: '8901', businessId: 'b1', articleId: 'a1' })).toBeNull();
+  expect(findSkuClash(articles, { sku: '8902', businessId: 'b1', articleId: 'new' })).toBeNull();
+  expect(findSkuClash(articles, { sku: '', businessId: 'b1', articleId: 'new' })).toBeNull();
+});
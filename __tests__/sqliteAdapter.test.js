@@ -0,0 +1,233 @@
+/**
+ * @format
+ */
+
+import Loki from 'lokijs';
+import SQLite from 'react-native-sqlite-storage';
+import { createSQLiteAdapter } from '../src/database/sqliteAdapter';
+
+// In-memory stand-in for the statements the adapter issues
+jest.mock('react-native-sqlite-storage', () => {
+  const PRIMARY_KEYS = {
+    loki_meta: ['name', 'key'],
+    loki_documents: ['name', 'collection', 'loki_id'],
+    loki_chunks: ['name', 'chunk'],
+  };
+  const tables = {};
+  const executed = [];
+
+  const toResult = (rows) => ({ rows: { length: rows.length, item: i => rows[i] } });
+
+  const matches = (row, where, params) =>
+    where.every((column, i) => row[column] === params[i]);
+
+  const parseWhere = (clause = '') =>
+    clause ? clause.split(' AND ').map(condition => condition.split(' = ')[0].trim()) : [];
+
+  const run = (rawSql, params = []) => {
+    const sql = rawSql.replace(/\s+/g, ' ').trim();
+    executed.push({ sql, params });
+    let match;
+
+    if ((match = /^CREATE TABLE IF NOT EXISTS (\w+)/.exec(sql))) {
+      tables[match[1]] = tables[match[1]] || [];
+      return toResult([]);
+    }
+    if ((match = /^DROP TABLE IF EXISTS (\w+)$/.exec(sql))) {
+      delete tables[match[1]];
+      return toResult([]);
+    }
+    if (sql.includes('FROM sqlite_master')) {
+      return toResult(tables[params[0]] ? [{ name: params[0] }] : []);
+    }
+    if ((match = /^INSERT (?:OR REPLACE )?INTO (\w+) \(([^)]+)\)/.exec(sql))) {
+      const [, table, columnList] = match;
+      const row = {};
+      columnList.split(',').forEach((column, i) => {
+        row[column.trim()] = params[i];
+      });
+      const key = PRIMARY_KEYS[table];
+      const existing = tables[table].findIndex(other => key.every(column => other[column] === row[column]));
+      if (existing !== -1) {
+        if (!sql.includes('OR REPLACE')) throw new Error('UNIQUE constraint failed');
+        tables[table].splice(existing, 1);
+      }
+      tables[table].push(row);
+      return toResult([]);
+    }
+    if ((match = /^DELETE FROM (\w+) WHERE (.+)$/.exec(sql))) {
+      const where = parseWhere(match[2]);
+      tables[match[1]] = tables[match[1]].filter(row => !matches(row, where, params));
+      return toResult([]);
+    }
+    if ((match = /^SELECT (.+) FROM (\w+) WHERE (.+?)(?: ORDER BY (.+))?$/.exec(sql))) {
+      const [, columnList, table, whereClause, orderBy] = match;
+      const where = parseWhere(whereClause);
+      const rows = tables[table].filter(row => matches(row, where, params));
+      const order = orderBy ? orderBy.split(',').map(column => column.trim()) : [];
+      rows.sort((a, b) => {
+        for (const column of order) {
+          if (a[column] < b[column]) return -1;
+          if (a[column] > b[column]) return 1;
+        }
+        return 0;
+      });
+      const columns = columnList.split(',').map(column => column.trim());
+      return toResult(rows.map(row =>
+        Object.fromEntries(columns.map(column => [column, row[column]]))
+      ));
+    }
+    throw new Error(`Unsupported statement: ${sql}`);
+  };
+
+  const database = {
+    executeSql: async (sql, params) => [run(sql, params)],
+    // Statements are collected first and applied together, like a transaction
+    transaction: async (callback) => {
+      const statements = [];
+      callback({ executeSql: (sql, params) => statements.push([sql, params]) });
+      statements.forEach(([sql, params]) => run(sql, params));
+    },
+  };
+
+  return {
+    enablePromise: jest.fn(),
+    openDatabase: jest.fn(async () => database),
+    mock: {
+      tables,
+      executed,
+      // The adapter creates its tables once per app start, so only rows are cleared
+      reset: () => {
+        Object.values(tables).forEach(rows => {
+          rows.length = 0;
+        });
+        executed.length = 0;
+      },
+    },
+  };
+});
+
+const DB_NAME = 'test.db';
+
+const save = (db) => new Promise((resolve, reject) =>
+  db.saveDatabase(error => (error ? reject(error) : resolve()))
+);
+
+const load = (db) => new Promise((resolve, reject) =>
+  db.loadDatabase({}, error => (error ? reject(error) : resolve()))
+);
+
+// A database on a fresh adapter, as after an app restart
+const openDatabase = async ({ debounce = false } = {}) => {
+  const adapter = createSQLiteAdapter();
+  adapter.setDebounceEnabled(debounce);
+  const db = new Loki(DB_NAME, { adapter });
+  await load(db);
+  return { db, adapter };
+};
+
+const documentWrites = () =>
+  SQLite.mock.executed.filter(({ sql }) => sql.includes('INTO loki_documents'));
+
+beforeEach(() => {
+  SQLite.mock.reset();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('stores every document in its own row and loads them back', async () => {
+  const { db } = await openDatabase();
+  const items = db.addCollection('items');
+  items.insert([{ name: 'Tea' }, { name: 'Rice' }]);
+  await save(db);
+
+  expect(SQLite.mock.tables.loki_documents).toHaveLength(2);
+
+  const { db: reopened } = await openDatabase();
+  expect(reopened.getCollection('items').find().map(doc => doc.name)).toEqual(['Tea', 'Rice']);
+});
+
+test('writes only the documents changed since the previous save', async () => {
+  const { db } = await openDatabase();
+  const items = db.addCollection('items');
+  items.insert([{ name: 'Tea' }, { name: 'Rice' }, { name: 'Salt' }]);
+  await save(db);
+  SQLite.mock.executed.length = 0;
+
+  const tea = items.findOne({ name: 'Tea' });
+  tea.qty = 4;
+  items.update(tea);
+  items.remove(items.findOne({ name: 'Salt' }));
+  await save(db);
+
+  expect(documentWrites()).toEqual([
+    expect.objectContaining({ params: [DB_NAME, 'items', tea.$loki, expect.stringContaining('"qty":4')] }),
+  ]);
+  expect(SQLite.mock.executed).toContainEqual({
+    sql: 'DELETE FROM loki_documents WHERE name = ? AND collection = ? AND loki_id = ?',
+    params: [DB_NAME, 'items', 3],
+  });
+
+  const { db: reopened } = await openDatabase();
+  expect(reopened.getCollection('items').find().map(({ name, qty }) => ({ name, qty })))
+    .toEqual([{ name: 'Tea', qty: 4 }, { name: 'Rice', qty: undefined }]);
+});
+
+test('debounces saves until the window passes or flush is called', async () => {
+  const { db, adapter } = await openDatabase();
+  db.addCollection('items').insert({ name: 'Tea' });
+  adapter.setDebounceEnabled(true);
+  jest.useFakeTimers();
+
+  const saved = save(db);
+  await jest.advanceTimersByTimeAsync(500);
+  expect(documentWrites()).toHaveLength(0);
+
+  // Going to the background flushes right away instead of waiting for the window
+  adapter.flush();
+  await jest.runAllTimersAsync();
+  await saved;
+  expect(documentWrites()).toHaveLength(1);
+
+  db.getCollection('items').insert({ name: 'Rice' });
+  const debounced = save(db);
+  await jest.advanceTimersByTimeAsync(999);
+  expect(documentWrites()).toHaveLength(1);
+  await jest.runAllTimersAsync();
+  await debounced;
+  expect(documentWrites()).toHaveLength(2);
+});
+
+test('upgrades a snapshot of the first adapter version with a full save', async () => {
+  const legacy = new Loki(DB_NAME);
+  legacy.addCollection('items').insert([{ name: 'Tea' }, { name: 'Rice' }]);
+  const snapshot = legacy.serialize();
+  SQLite.mock.tables.loki_chunks = [
+    { name: DB_NAME, chunk: 1, value: snapshot.substring(0, 50) },
+    { name: DB_NAME, chunk: 2, value: snapshot.substring(50) },
+  ];
+
+  const { db } = await openDatabase();
+  expect(db.getCollection('items').find().map(doc => doc.name)).toEqual(['Tea', 'Rice']);
+
+  await save(db);
+  expect(SQLite.mock.tables.loki_chunks).toBeUndefined();
+  expect(SQLite.mock.tables.loki_documents).toHaveLength(2);
+
+  const { db: reopened } = await openDatabase();
+  expect(reopened.getCollection('items').count()).toBe(2);
+});
+
+test('deletes a database', async () => {
+  const { db, adapter } = await openDatabase();
+  db.addCollection('items').insert({ name: 'Tea' });
+  await save(db);
+
+  await new Promise((resolve, reject) =>
+    adapter.deleteDatabase(DB_NAME, error => (error ? reject(error) : resolve()))
+  );
+  expect(SQLite.mock.tables.loki_documents).toEqual([]);
+  expect(SQLite.mock.tables.loki_meta).toEqual([]);
+});
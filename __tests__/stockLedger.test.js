@@ -0,0 +1,28 @@
+/**
+ * @format
+ */
+
+import {
+  STOCK_MOVEMENT_TYPES,
+  signedQuantity,
+  sumMovements,
+} from '../src/database/stockLedger';
+
+test('applies the direction implied by the movement type', () => {
+  expect(signedQuantity(STOCK_MOVEMENT_TYPES.RECEIPT, 5)).toBe(5);
+  expect(signedQuantity(STOCK_MOVEMENT_TYPES.RETURN, -2)).toBe(2);
+  expect(signedQuantity(STOCK_MOVEMENT_TYPES.SALE, 3)).toBe(-3);
+  expect(signedQuantity(STOCK_MOVEMENT_TYPES.DAMAGE, 1)).toBe(-1);
+  expect(signedQuantity(STOCK_MOVEMENT_TYPES.ADJUSTMENT, -4)).toBe(-4);
+});
+
+test('adds up movements recorded offline on different devices', () => {
+  const movements = [
+    { qty: 10, device_id: 'android-a' },
+    { qty: -3, device_id: 'android-a' },
+    { qty: -2, device_id: 'ios-b' },
+    { qty: 5, device_id: 'ios-b' },
+  ];
+  expect(sumMovements(movements)).toBe(10);
+  expect(sumMovements([])).toBe(0);
+});
@@ -0,0 +1,71 @@
+/**
+ * @format
+ */
+
+import { BehaviorSubject, Subject } from 'rxjs';
+import {
+  SYNC_STATUS,
+  getSyncState,
+  setOnline,
+  trackReplication,
+} from '../src/database/syncState';
+
+const createReplicationState = () => ({
+  active$: new BehaviorSubject(false),
+  sent$: new Subject(),
+  received$: new Subject(),
+  error$: new Subject(),
+});
+
+const statusOf = name => getSyncState().collections[name].status;
+
+let replication;
+let stopTracking;
+
+beforeEach(() => {
+  setOnline(true);
+  replication = createReplicationState();
+  stopTracking = trackReplication('articles', replication);
+});
+
+afterEach(() => {
+  stopTracking();
+});
+
+test('reports a failed replication cycle as an error', () => {
+  replication.active$.next(true);
+  replication.error$.next(new Error('socket hang up'));
+  replication.active$.next(false);
+
+  expect(statusOf('articles')).toBe(SYNC_STATUS.ERROR);
+  expect(getSyncState().collections.articles.lastError.message).toBe('socket hang up');
+});
+
+test('recovers when a retry succeeds without moving any documents', () => {
+  replication.active$.next(true);
+  replication.error$.next(new Error('socket hang up'));
+  replication.active$.next(false);
+
+  replication.active$.next(true);
+  expect(statusOf('articles')).toBe(SYNC_STATUS.ERROR);
+  replication.active$.next(false);
+
+  expect(statusOf('articles')).toBe(SYNC_STATUS.IDLE);
+  expect(getSyncState().collections.articles.lastError).toBeNull();
+});
+
+test('keeps an error reported after its cycle ended', () => {
+  replication.active$.next(true);
+  replication.active$.next(false);
+  replication.error$.next(new Error('Unauthorized'));
+
+  expect(statusOf('articles')).toBe(SYNC_STATUS.ERROR);
+});
+
+test('clears the error when documents move again', () => {
+  replication.error$.next(new Error('socket hang up'));
+  replication.received$.next({ id: 'a1' });
+
+  expect(statusOf('articles')).toBe(SYNC_STATUS.IDLE);
+  expect(getSyncState().collections.articles.lastPullAt).not.toBeNull();
+});
@@ -0,0 +1,68 @@
+/**
+ * @format
+ */
+
+import {
+  calculateArticlePrice,
+  findMatchingTaxRateId,
+  formatTaxRate,
+  parseTaxRate,
+  splitTax,
+  validateTaxRates,
+} from '../src/database/tax';
+
+const taxRates = [
+  { id: 'gst5', name: 'GST', rate: 500 },
+  { id: 'gst18', name: 'GST', rate: 1800 },
+];
+
+test('adds tax to net prices and takes it out of gross ones', () => {
+  expect(splitTax(10000, 1800, false)).toEqual({ net: 10000, tax: 1800, gross: 11800 });
+  expect(splitTax(11800, 1800, true)).toEqual({ net: 10000, tax: 1800, gross: 11800 });
+  // Rounded to the nearest minor unit, net + tax stays the gross price
+  expect(splitTax(999, 1250, true)).toEqual({ net: 888, tax: 111, gross: 999 });
+  expect(splitTax(999, 0, true)).toEqual({ net: 999, tax: 0, gross: 999 });
+});
+
+test('prices a line of an article at its business rate', () => {
+  const article = { selling_price: 2500, tax_rate_id: 'gst5', price_includes_tax: false };
+  expect(calculateArticlePrice(article, taxRates, 3)).toEqual({
+    net: 7500,
+    tax: 375,
+    gross: 7875,
+    rate: 500,
+  });
+  // A removed rate leaves the article untaxed
+  expect(calculateArticlePrice({ ...article, tax_rate_id: 'gone' }, taxRates)).toMatchObject({
+    tax: 0,
+    gross: 2500,
+  });
+});
+
+test('finds the same rate in another business', () => {
+  const otherRates = [{ id: 'x18', name: 'gst', rate: 1800 }, { id: 'x12', name: 'GST', rate: 1200 }];
+  expect(findMatchingTaxRateId(taxRates, 'gst18', otherRates)).toBe('x18');
+  expect(findMatchingTaxRateId(taxRates, 'gst5', otherRates)).toBe('');
+  expect(findMatchingTaxRateId(taxRates, '', otherRates)).toBe('');
+});
+
+test('reads and formats rates in hundredths of a percent', () => {
+  expect(parseTaxRate('18')).toBe(1800);
+  expect(parseTaxRate('12,5')).toBe(1250);
+  expect(parseTaxRate(' 0.25% ')).toBe(25);
+  expect(parseTaxRate('100')).toBe(10000);
+  expect(parseTaxRate('100.01')).toBeNull();
+  expect(parseTaxRate('5.125')).toBeNull();
+  expect(parseTaxRate('-5')).toBeNull();
+  expect(formatTaxRate(1250)).toBe('12.5%');
+  expect(formatTaxRate(25)).toBe('0.25%');
+});
+
+test('validates the rates of a business', () => {
+  expect(validateTaxRates(taxRates)).toBeNull();
+  expect(validateTaxRates([{ id: 'x', name: ' ', rate: 500 }])).toBe('Every tax rate needs a name');
+  expect(validateTaxRates([...taxRates, { id: 'x', name: 'gst ', rate: 500 }]))
+    .toBe('"gst 5%" is listed twice');
+  expect(validateTaxRates([{ id: 'x', name: 'VAT', rate: 10001 }]))
+    .toBe('The rate of "VAT" must be between 0 and 100%');
+});
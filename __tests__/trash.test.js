@@ -0,0 +1,50 @@
+/**
+ * @format
+ */
+
+import { buildTrashList, getPurgeCutoff, isTrashed } from '../src/database/trash';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('flags documents with a deletion time as trashed', () => {
+  expect(isTrashed({ deleted_at: 0 })).toBe(false);
+  expect(isTrashed({ deleted_at: 1700000000000 })).toBe(true);
+});
+
+test('computes the purge cutoff, or none when the trash is kept', () => {
+  expect(getPurgeCutoff(40 * DAY, 30)).toBe(10 * DAY);
+  expect(getPurgeCutoff(40 * DAY, 0)).toBeNull();
+});
+
+test('lists trashed items newest first and folds articles into their business', () => {
+  const businesses = [
+    { id: 'b1', name: 'Shop', deleted_at: 0 },
+    { id: 'b2', name: 'Cafe', deleted_at: 300 },
+  ];
+  const articles = [
+    { id: 'a1', name: 'Tea', business_id: 'b1', deleted_at: 100 },
+    { id: 'a2', name: 'Rice', business_id: 'b1', deleted_at: 0 },
+    { id: 'a3', name: 'Coffee', business_id: 'b2', deleted_at: 300 },
+    { id: 'a4', name: 'Milk', business_id: 'b2', deleted_at: 200 },
+  ];
+
+  expect(buildTrashList(businesses, articles)).toEqual([
+    { type: 'business', id: 'b2', name: 'Cafe', deleted_at: 300, article_count: 1 },
+    {
+      type: 'article',
+      id: 'a4',
+      name: 'Milk',
+      deleted_at: 200,
+      business_name: 'Cafe',
+      business_trashed: true,
+    },
+    {
+      type: 'article',
+      id: 'a1',
+      name: 'Tea',
+      deleted_at: 100,
+      business_name: 'Shop',
+      business_trashed: false,
+    },
+  ]);
+});
@@ -0,0 +1,145 @@
+/**
+ * @format
+ */
+
+import {
+  addArticle,
+  addBusiness,
+  getArticleById,
+  importArticles,
+  initDatabase,
+  logout,
+  previewArticleImport,
+  recordStockMovement,
+  updateArticleData,
+} from '../src/database/database';
+import { STOCK_MOVEMENT_TYPES } from '../src/database/stockLedger';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+// The package only ships an ESM build to React Native
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+jest.mock('@react-native-community/netinfo', () => ({
+  fetch: jest.fn(async () => ({ isConnected: false })),
+  addEventListener: jest.fn(() => () => {}),
+}));
+
+jest.mock('../src/config/secureStore', () => ({
+  getSecureItem: jest.fn(async () => null),
+  setSecureItem: jest.fn(async () => {}),
+  removeSecureItem: jest.fn(async () => {}),
+}));
+
+// The documents stay in memory; the SQLite adapter has its own tests
+jest.mock('../src/database/sqliteAdapter', () => ({
+  createSQLiteAdapter: () => {
+    const { LokiMemoryAdapter } = require('lokijs');
+    const adapter = new LokiMemoryAdapter();
+    adapter.flush = () => {};
+    adapter.setDebounceEnabled = () => {};
+    return adapter;
+  },
+}));
+
+const BUSINESS_ID = 'shop';
+const ARTICLE_ID = 'tea';
+
+// What the edit modal was opened with
+let opened;
+
+const movementsOf = async (articleId) => {
+  const db = await initDatabase();
+  const movements = await db.stock_movements
+    .find({ selector: { article_id: articleId } })
+    .exec();
+  return movements.map(movement => ({ type: movement.type, qty: movement.qty }));
+};
+
+// A sale made on another device replicates in while the article is being edited
+const sellOnAnotherDevice = qty =>
+  recordStockMovement({ articleId: ARTICLE_ID, type: STOCK_MOVEMENT_TYPES.SALE, qty: -qty });
+
+// Rejected updates are logged, and RxDB advertises its premium storages
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+beforeEach(async () => {
+  await addBusiness({ id: BUSINESS_ID, name: 'Shop', currency: 'USD' });
+  await addArticle({
+    id: ARTICLE_ID,
+    business_id: BUSINESS_ID,
+    name: 'Tea',
+    sku: 'TEA-1',
+    qty: 10,
+    selling_price: 250,
+  });
+  opened = (await getArticleById(ARTICLE_ID)).toJSON();
+});
+
+afterEach(async () => {
+  // Wiping also stops the timers and listeners set up with the database
+  await logout({ wipeLocalData: true });
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+test('keeps stock that moved while only other fields were edited', async () => {
+  await sellOnAnotherDevice(3);
+
+  const updated = await updateArticleData(ARTICLE_ID, {
+    ...opened,
+    qty: undefined,
+    name: 'Green Tea',
+  });
+
+  expect(updated.toJSON()).toMatchObject({ name: 'Green Tea', qty: 7 });
+  const movements = await movementsOf(ARTICLE_ID);
+  expect(movements).toHaveLength(2);
+  expect(movements).toContainEqual({ type: STOCK_MOVEMENT_TYPES.SALE, qty: -3 });
+});
+
+test('adjusts by the change the user made to the quantity they saw', async () => {
+  await sellOnAnotherDevice(3);
+
+  const updated = await updateArticleData(ARTICLE_ID, {
+    ...opened,
+    qty: 12,
+    expectedQty: opened.qty,
+  });
+
+  expect(updated.qty).toBe(9);
+  expect(await movementsOf(ARTICLE_ID)).toContainEqual({
+    type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+    qty: 2,
+  });
+});
+
+test('refuses a quantity without the one it was changed from', async () => {
+  await expect(updateArticleData(ARTICLE_ID, { ...opened, qty: 12 })).rejects.toThrow(
+    'The quantity the article was edited from is missing',
+  );
+  expect((await getArticleById(ARTICLE_ID)).qty).toBe(10);
+});
+
+test('imports quantities relative to the previewed stock', async () => {
+  const plan = await previewArticleImport({
+    rows: [['TEA-1', 'Green Tea', '10']],
+    mapping: { sku: 0, name: 1, qty: 2 },
+    businessId: BUSINESS_ID,
+  });
+  await sellOnAnotherDevice(3);
+
+  expect(await importArticles(plan)).toEqual({ created: 0, updated: 1, failed: [] });
+  expect((await getArticleById(ARTICLE_ID)).toJSON()).toMatchObject({
+    name: 'Green Tea',
+    qty: 7,
+  });
+});
@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { ARTICLE_SORT_OPTIONS } from '../database/articleQuery';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+export const EMPTY_ARTICLE_FILTERS = {
+  search: '',
+  minQty: '',
+  maxQty: '',
+  minPrice: '',
+  maxPrice: '',
+  sortField: ARTICLE_SORT_OPTIONS[0].field,
+  sortDirection: 'asc',
+};
+
+const RANGE_FIELDS = ['minQty', 'maxQty', 'minPrice', 'maxPrice'];
+
+const countRangeFilters = (filters) =>
+  RANGE_FIELDS.filter(field => String(filters[field]).trim() !== '').length;
+
+export const hasActiveFilters = (filters) =>
+  filters.search.trim() !== '' || countRangeFilters(filters) > 0;
+
+const ArticleFilterBar = ({ filters, onChange }) => {
+  const [searchText, setSearchText] = useState(filters.search);
+  const [showFilters, setShowFilters] = useState(false);
+
+  // Query once typing pauses instead of on every keystroke
+  useEffect(() => {
+    if (searchText === filters.search) return undefined;
+    const timeoutId = setTimeout(() => {
+      onChange({ ...filters, search: searchText });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [searchText, filters, onChange]);
+
+  const update = (field, value) => onChange({ ...filters, [field]: value });
+
+  const activeFilterCount = countRangeFilters(filters);
+
+  const renderRangeInput = (field, placeholder) => (
+    <TextInput
+      value={filters[field]}
+      onChangeText={value => update(field, value)}
+      placeholder={placeholder}
+      keyboardType="numeric"
+      style={styles.rangeInput}
+    />
+  );
+
+  return (
+    <View style={styles.container}>
+      <TextInput
+        value={searchText}
+        onChangeText={setSearchText}
+        placeholder="🔍 Search articles"
+        autoCorrect={false}
+        clearButtonMode="while-editing"
+        style={styles.search}
+      />
+
+      <View style={styles.row}>
+        <View style={styles.sortPicker}>
+          <Picker
+            selectedValue={filters.sortField}
+            onValueChange={value => update('sortField', value)}
+          >
+            {ARTICLE_SORT_OPTIONS.map(option => (
+              <Picker.Item key={option.field} label={option.label} value={option.field} />
+            ))}
+          </Picker>
+        </View>
+        <TouchableOpacity
+          onPress={() => update('sortDirection', filters.sortDirection === 'asc' ? 'desc' : 'asc')}
+          style={styles.toggle}
+        >
+          <Text style={styles.toggleText}>
+            {filters.sortDirection === 'asc' ? '⬆️' : '⬇️'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => setShowFilters(!showFilters)}
+          style={[styles.toggle, activeFilterCount > 0 && styles.toggleActive]}
+        >
+          <Text style={styles.toggleText}>
+            Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {showFilters && (
+        <View>
+          <View style={styles.row}>
+            <Text style={styles.rangeLabel}>Qty</Text>
+            {renderRangeInput('minQty', 'Min')}
+            {renderRangeInput('maxQty', 'Max')}
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.rangeLabel}>Price</Text>
+            {renderRangeInput('minPrice', 'Min')}
+            {renderRangeInput('maxPrice', 'Max')}
+          </View>
+          <TouchableOpacity
+            onPress={() => {
+              setSearchText('');
+              onChange(EMPTY_ARTICLE_FILTERS);
+            }}
+          >
+            <Text style={styles.clearText}>Clear all</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+export default ArticleFilterBar;
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 12,
+  },
+  search: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  sortPicker: {
+    flex: 1,
+    backgroundColor: '#eee',
+    borderRadius: 8,
+  },
+  toggle: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginLeft: 6,
+  },
+  toggleActive: {
+    borderColor: '#007bff',
+    backgroundColor: '#e8f1ff',
+  },
+  toggleText: {
+    fontSize: 14,
+  },
+  rangeLabel: {
+    width: 48,
+    fontWeight: 'bold',
+  },
+  rangeInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 8,
+    marginLeft: 6,
+  },
+  clearText: {
+    color: '#007bff',
+    textAlign: 'right',
+    marginTop: 6,
+  },
+});
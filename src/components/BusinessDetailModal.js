@@ -0,0 +1,211 @@
+import React from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Linking,
+} from 'react-native';
+import { formatAddressLines } from '../database/businessProfile';
+import { formatMoney } from '../database/money';
+import { describeTaxRate } from '../database/tax';
+import { useBusinessReport } from '../hooks/useBusinessReport';
+
+const ProfileRow = ({ label, value, onPress }) => (
+  <View style={styles.row}>
+    <Text style={styles.rowLabel}>{label}</Text>
+    {onPress ? (
+      <TouchableOpacity onPress={onPress} style={styles.rowValueContainer}>
+        <Text style={[styles.rowValue, styles.link]}>{value}</Text>
+      </TouchableOpacity>
+    ) : (
+      <Text style={[styles.rowValue, styles.rowValueContainer]}>{value}</Text>
+    )}
+  </View>
+);
+
+const Stat = ({ label, value }) => (
+  <View style={styles.stat}>
+    <Text style={styles.statValue}>{value}</Text>
+    <Text style={styles.statLabel}>{label}</Text>
+  </View>
+);
+
+// Profile of a business with its article counts and stock value
+const BusinessDetailModal = ({ visible, business, onClose, onEdit }) => {
+  const { report } = useBusinessReport(visible ? business?.id : null);
+  const addressLines = formatAddressLines(business?.address);
+  const currency = business?.currency;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{business?.name}</Text>
+          <TouchableOpacity onPress={() => onEdit(business)} style={styles.headerButton}>
+            <Text style={styles.editButtonText}>Edit</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={onClose} style={styles.headerButton}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        {business && (
+          <ScrollView contentContainerStyle={styles.content}>
+            {!!business.logo && (
+              <Image source={{ uri: business.logo }} style={styles.logo} resizeMode="contain" />
+            )}
+
+            <Text style={styles.heading}>Profile</Text>
+            <ProfileRow
+              label="Address"
+              value={addressLines.length > 0 ? addressLines.join('\n') : '—'}
+            />
+            <ProfileRow
+              label="Phone"
+              value={business.phone || '—'}
+              onPress={business.phone ? () => Linking.openURL(`tel:${business.phone}`) : null}
+            />
+            <ProfileRow
+              label="Email"
+              value={business.email || '—'}
+              onPress={business.email ? () => Linking.openURL(`mailto:${business.email}`) : null}
+            />
+            <ProfileRow label="Tax registration" value={business.tax_id || '—'} />
+            <ProfileRow label="Currency" value={currency} />
+            <ProfileRow
+              label="Tax rates"
+              value={business.tax_rates.length > 0
+                ? business.tax_rates.map(describeTaxRate).join('\n')
+                : 'None'}
+            />
+
+            <Text style={styles.heading}>Stock</Text>
+            {report ? (
+              <>
+                <View style={styles.stats}>
+                  <Stat label="Articles" value={report.articleCount} />
+                  <Stat label="Units" value={report.totalUnits} />
+                  <Stat label="Low stock" value={report.lowStockCount} />
+                  <Stat label="Out of stock" value={report.zeroStock.length} />
+                </View>
+                <ProfileRow label="Value at cost" value={formatMoney(report.valueAtCost, currency)} />
+                <ProfileRow
+                  label="Value at selling"
+                  value={report.taxAtSelling > 0
+                    ? `${formatMoney(report.valueAtSelling, currency)}\nincl. ${formatMoney(report.taxAtSelling, currency)} tax`
+                    : formatMoney(report.valueAtSelling, currency)}
+                />
+              </>
+            ) : (
+              <Text style={styles.empty}>Loading...</Text>
+            )}
+          </ScrollView>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+export default BusinessDetailModal;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    flex: 1,
+  },
+  headerButton: {
+    padding: 8,
+  },
+  editButtonText: {
+    color: '#007bff',
+    fontSize: 16,
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+  content: {
+    padding: 16,
+  },
+  logo: {
+    width: 96,
+    height: 96,
+    alignSelf: 'center',
+    marginBottom: 8,
+  },
+  heading: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  rowLabel: {
+    width: 130,
+    color: '#666',
+  },
+  rowValueContainer: {
+    flex: 1,
+  },
+  rowValue: {
+    color: '#333',
+  },
+  link: {
+    color: '#007bff',
+  },
+  stats: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    paddingVertical: 10,
+    marginHorizontal: 3,
+  },
+  statValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#666',
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 12,
+    color: '#666',
+    fontStyle: 'italic',
+  },
+});
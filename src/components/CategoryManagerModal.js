@@ -0,0 +1,279 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  Button,
+  StyleSheet,
+  Alert,
+  FlatList,
+  TouchableOpacity,
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import {
+  addCategory,
+  deleteCategory,
+  moveCategory,
+  updateCategory,
+} from '../database/database';
+import {
+  CATEGORY_DELETE_MODES,
+  getDescendantIds,
+} from '../database/categories';
+import { useCategories } from '../hooks/useCategories';
+
+const TOP_LEVEL = '';
+
+const CategoryManagerModal = ({ visible, businessId, businessName, onClose }) => {
+  const { categories, tree } = useCategories(visible ? businessId : null);
+  const [name, setName] = useState('');
+  const [parentId, setParentId] = useState(TOP_LEVEL);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const resetForm = () => {
+    setName('');
+    setParentId(TOP_LEVEL);
+    setEditingId(null);
+  };
+
+  useEffect(() => {
+    if (visible) {
+      setName('');
+      setParentId(TOP_LEVEL);
+      setEditingId(null);
+    }
+  }, [visible, businessId]);
+
+  // A category can't be moved below itself
+  const excludedParents = editingId ? getDescendantIds(categories, editingId) : new Set();
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      Alert.alert('Error', 'Please enter a category name');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await updateCategory(editingId, { name: name.trim(), parent_id: parentId });
+      } else {
+        await addCategory({ businessId, name: name.trim(), parentId });
+      }
+      resetForm();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save category: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (category) => {
+    setEditingId(category.id);
+    setName(category.name);
+    setParentId(category.parent_id);
+  };
+
+  const handleMove = async (category, direction) => {
+    try {
+      await moveCategory(category.id, direction);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to move category: ' + error.message);
+    }
+  };
+
+  const runDelete = async (category, mode) => {
+    try {
+      await deleteCategory(category.id, mode);
+      if (editingId === category.id) resetForm();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to delete category: ' + error.message);
+    }
+  };
+
+  const handleDelete = (category) => {
+    const parent = categories.find(item => item.id === category.parent_id);
+    Alert.alert(
+      'Delete Category',
+      `What should happen to the articles in "${category.name}"? ` +
+      'Its subcategories move up one level.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        ...(parent ? [{
+          text: `Move to "${parent.name}"`,
+          onPress: () => runDelete(category, CATEGORY_DELETE_MODES.MOVE_TO_PARENT)
+        }] : []),
+        {
+          text: 'Make Uncategorized',
+          style: 'destructive',
+          onPress: () => runDelete(category, CATEGORY_DELETE_MODES.UNCATEGORIZE)
+        }
+      ]
+    );
+  };
+
+  const renderCategory = ({ item }) => (
+    <View style={[styles.category, { paddingLeft: 8 + item.depth * 20 }]}>
+      <Text style={styles.categoryName} numberOfLines={1}>
+        {item.depth > 0 ? '└ ' : ''}{item.name}
+      </Text>
+      <TouchableOpacity onPress={() => handleMove(item, -1)} style={styles.action}>
+        <Text>⬆️</Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={() => handleMove(item, 1)} style={styles.action}>
+        <Text>⬇️</Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={() => handleEdit(item)} style={styles.action}>
+        <Text>✏️</Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={() => handleDelete(item)} style={styles.action}>
+        <Text>🗑️</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Categories: {businessName}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.content}>
+          <TextInput
+            value={name}
+            onChangeText={setName}
+            placeholder="Category name"
+            style={styles.input}
+            editable={!saving}
+          />
+          <View style={styles.pickerContainer}>
+            <Picker
+              selectedValue={parentId}
+              onValueChange={setParentId}
+              style={styles.picker}
+              enabled={!saving}
+            >
+              <Picker.Item label="Top level" value={TOP_LEVEL} />
+              {tree
+                .filter(category => !excludedParents.has(category.id))
+                .map(category => (
+                  <Picker.Item key={category.id} label={category.path} value={category.id} />
+                ))}
+            </Picker>
+          </View>
+          <View style={styles.buttonRow}>
+            {editingId && (
+              <>
+                <Button title="Cancel" onPress={resetForm} color="#666" disabled={saving} />
+                <View style={styles.buttonSpacer} />
+              </>
+            )}
+            <Button
+              title={editingId ? 'Save Category' : 'Add Category'}
+              onPress={handleSave}
+              disabled={saving}
+            />
+          </View>
+
+          <FlatList
+            data={tree}
+            keyExtractor={item => item.id}
+            renderItem={renderCategory}
+            ListEmptyComponent={
+              <Text style={styles.empty}>No categories yet.</Text>
+            }
+          />
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default CategoryManagerModal;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    flex: 1,
+  },
+  closeButton: {
+    padding: 8,
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+  },
+  pickerContainer: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  picker: {
+    height: 50,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginBottom: 12,
+  },
+  buttonSpacer: {
+    width: 12,
+  },
+  category: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingRight: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  categoryName: {
+    flex: 1,
+    fontSize: 16,
+  },
+  action: {
+    padding: 6,
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 20,
+    color: 'gray',
+  },
+});
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  Alert,
+  TouchableOpacity,
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { exportArticlesCsv, exportBusinessesCsv } from '../database/database';
+import { getCsvFileName, shareCsvFile } from '../database/csvFile';
+import { useBusinesses } from '../hooks/useBusinesses';
+
+const ALL_BUSINESSES = '';
+
+const CsvExportModal = ({ visible, onClose }) => {
+  const { businesses } = useBusinesses();
+  const [businessId, setBusinessId] = useState(ALL_BUSINESSES);
+  const [exporting, setExporting] = useState(false);
+
+  const share = async (kind, createCsv) => {
+    setExporting(true);
+    try {
+      const csv = await createCsv(businessId || null);
+      await shareCsvFile(csv, getCsvFileName(kind, scopeName));
+    } catch (error) {
+      Alert.alert('Error', 'Failed to export: ' + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const scopeName = businesses.find(biz => biz.id === businessId)?.name || 'all';
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Export CSV</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.content}>
+          <Text style={styles.label}>Business</Text>
+          <View style={styles.pickerContainer}>
+            <Picker
+              selectedValue={businessId}
+              onValueChange={setBusinessId}
+              style={styles.picker}
+              enabled={!exporting}
+            >
+              <Picker.Item label="All businesses" value={ALL_BUSINESSES} />
+              {businesses.map(biz => (
+                <Picker.Item key={biz.id} label={biz.name} value={biz.id} />
+              ))}
+            </Picker>
+          </View>
+          <Text style={styles.hint}>
+            The .csv file opens in the share sheet, so it can be mailed, saved to
+            files or opened in a spreadsheet app.
+          </Text>
+
+          <View style={styles.button}>
+            <Button
+              title="Share Businesses CSV"
+              onPress={() => share('businesses', exportBusinessesCsv)}
+              disabled={exporting}
+            />
+          </View>
+          <View style={styles.button}>
+            <Button
+              title="Share Articles CSV"
+              onPress={() => share('articles', exportArticlesCsv)}
+              disabled={exporting}
+            />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default CsvExportModal;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  pickerContainer: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  picker: {
+    height: 50,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 16,
+  },
+  button: {
+    marginBottom: 12,
+  },
+});
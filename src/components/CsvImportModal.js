@@ -0,0 +1,337 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  Alert,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { importArticles, previewArticleImport } from '../database/database';
+import { parseCsv } from '../database/csv';
+import { pickCsvFile } from '../database/csvFile';
+import { ARTICLE_IMPORT_FIELDS, guessColumnMapping } from '../database/csvImport';
+import { useBusinesses } from '../hooks/useBusinesses';
+import { formatMoney } from '../database/money';
+
+// Picker values can't be null, so unmapped fields use -1
+const SKIP_COLUMN = -1;
+const PREVIEW_ROWS = 20;
+
+const MONEY_FIELDS = ARTICLE_IMPORT_FIELDS
+  .filter(({ money }) => money)
+  .map(({ field }) => field);
+
+const formatValue = (article, field) =>
+  MONEY_FIELDS.includes(field) ? formatMoney(article[field], article.currency) : article[field];
+
+const describeChanges = (article, previous) =>
+  Object.keys(article)
+    .filter(field => article[field] !== previous[field])
+    .map(field => `${field} ${formatValue(previous, field)} → ${formatValue(article, field)}`)
+    .join(', ');
+
+const CsvImportModal = ({ visible, onClose }) => {
+  const { businesses } = useBusinesses();
+  const [businessId, setBusinessId] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [plan, setPlan] = useState(null);
+  const [picking, setPicking] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setFileName('');
+      setHeaders(null);
+      setRows([]);
+      setPlan(null);
+    }
+  }, [visible]);
+
+  useEffect(() => {
+    if (!businesses.some(biz => biz.id === businessId)) {
+      setBusinessId(businesses.length > 0 ? businesses[0].id : '');
+    }
+  }, [businesses, businessId]);
+
+  // Re-plan whenever the mapping or target business changes
+  useEffect(() => {
+    if (!headers || !businessId) {
+      setPlan(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    previewArticleImport({ rows, mapping, businessId })
+      .then(result => {
+        if (!cancelled) setPlan(result);
+      })
+      .catch(error => {
+        console.error('Error previewing import:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [headers, rows, mapping, businessId]);
+
+  const handlePick = async () => {
+    setPicking(true);
+    try {
+      const picked = await pickCsvFile();
+      if (!picked) return;
+      const [headerRow, ...dataRows] = parseCsv(picked.text);
+      if (!headerRow || dataRows.length === 0) {
+        Alert.alert('Error', 'Choose a CSV file with a header row and at least one article');
+        return;
+      }
+      setFileName(picked.name);
+      setHeaders(headerRow);
+      setRows(dataRows);
+      setMapping(guessColumnMapping(headerRow));
+    } catch (error) {
+      Alert.alert('Error', 'Failed to read the file: ' + error.message);
+    } finally {
+      setPicking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const result = await importArticles(plan);
+      const failed = result.failed.length > 0
+        ? `\n${result.failed.length} row(s) failed: ` +
+          result.failed.map(item => `row ${item.rowNumber} (${item.error})`).join(', ')
+        : '';
+      Alert.alert(
+        'Import Finished',
+        `${result.created} created, ${result.updated} updated${failed}`
+      );
+      onClose();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to import: ' + error.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const renderMapping = ({ field, label, required }) => (
+    <View key={field} style={styles.mappingRow}>
+      <Text style={styles.mappingLabel}>
+        {label}{required ? ' *' : ''}
+      </Text>
+      <View style={styles.mappingPicker}>
+        <Picker
+          selectedValue={mapping[field] ?? SKIP_COLUMN}
+          onValueChange={value =>
+            setMapping({ ...mapping, [field]: value === SKIP_COLUMN ? null : value })
+          }
+          enabled={!importing}
+        >
+          <Picker.Item label="— not imported —" value={SKIP_COLUMN} />
+          {headers.map((header, index) => (
+            <Picker.Item key={index} label={header || `Column ${index + 1}`} value={index} />
+          ))}
+        </Picker>
+      </View>
+    </View>
+  );
+
+  const renderPlanRows = (entries, describe) => (
+    <>
+      {entries.slice(0, PREVIEW_ROWS).map(entry => (
+        <Text key={entry.rowNumber} style={styles.planRow}>
+          Row {entry.rowNumber}: {describe(entry)}
+        </Text>
+      ))}
+      {entries.length > PREVIEW_ROWS && (
+        <Text style={styles.planRow}>…and {entries.length - PREVIEW_ROWS} more</Text>
+      )}
+    </>
+  );
+
+  const importCount = plan ? plan.create.length + plan.update.length : 0;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Import Articles CSV</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+          <Text style={styles.label}>Import into</Text>
+          <View style={styles.pickerContainer}>
+            <Picker
+              selectedValue={businessId}
+              onValueChange={setBusinessId}
+              style={styles.picker}
+              enabled={!importing}
+            >
+              {businesses.map(biz => (
+                <Picker.Item key={biz.id} label={biz.name} value={biz.id} />
+              ))}
+            </Picker>
+          </View>
+
+          <Text style={styles.label}>CSV file</Text>
+          <Button
+            title={picking ? 'Opening...' : 'Choose CSV File'}
+            onPress={handlePick}
+            disabled={importing || picking}
+          />
+          {headers ? (
+            <Text style={styles.hint}>{fileName} · {rows.length} row(s)</Text>
+          ) : (
+            <Text style={styles.hint}>
+              Save the spreadsheet as CSV with the header row first.
+            </Text>
+          )}
+
+          {headers && (
+            <>
+              <Text style={styles.label}>Columns</Text>
+              {ARTICLE_IMPORT_FIELDS.map(renderMapping)}
+              <Text style={styles.hint}>
+                Rows update the article with the same ID, or else the same name;
+                all other rows become new articles.
+              </Text>
+            </>
+          )}
+
+          {headers && plan && (
+            <>
+              <Text style={styles.label}>Preview</Text>
+              <Text style={styles.summary}>
+                {plan.create.length} new · {plan.update.length} updated ·{' '}
+                {plan.unchanged.length} unchanged · {plan.rejected.length} rejected
+              </Text>
+
+              {plan.create.length > 0 && <Text style={styles.planHeading}>New</Text>}
+              {renderPlanRows(plan.create, ({ article }) =>
+                `${article.name} · qty ${article.qty} · ${formatMoney(article.selling_price, article.currency)}`
+              )}
+
+              {plan.update.length > 0 && <Text style={styles.planHeading}>Updated</Text>}
+              {renderPlanRows(plan.update, ({ article, previous }) =>
+                `${previous.name}: ${describeChanges(article, previous)}`
+              )}
+
+              {plan.rejected.length > 0 && (
+                <Text style={[styles.planHeading, styles.rejected]}>Rejected</Text>
+              )}
+              {renderPlanRows(plan.rejected, ({ name, errors }) =>
+                `${name || '(no name)'} · ${errors.join('; ')}`
+              )}
+
+              <View style={styles.importButton}>
+                <Button
+                  title={importing ? 'Importing...' : `Import ${importCount} Article(s)`}
+                  onPress={handleImport}
+                  disabled={importing || importCount === 0}
+                />
+              </View>
+            </>
+          )}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+export default CsvImportModal;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    marginTop: 12,
+  },
+  pickerContainer: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+  },
+  picker: {
+    height: 50,
+  },
+  mappingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  mappingLabel: {
+    width: 120,
+  },
+  mappingPicker: {
+    flex: 1,
+    backgroundColor: '#eee',
+    borderRadius: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  summary: {
+    fontWeight: 'bold',
+  },
+  planHeading: {
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  planRow: {
+    fontSize: 12,
+    color: '#333',
+  },
+  rejected: {
+    color: '#F44336',
+  },
+  importButton: {
+    marginTop: 16,
+    paddingBottom: 32,
+  },
+});
@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  Alert,
+  TouchableOpacity,
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import {
+  deleteBusiness,
+  getAllBusinesses,
+  getBusinessById,
+  BUSINESS_DELETE_MODES,
+} from '../database/database';
+
+const DeleteBusinessModal = ({
+  visible,
+  business,
+  articleCount,
+  onClose,
+  onDelete,
+}) => {
+  const [mode, setMode] = useState(BUSINESS_DELETE_MODES.CASCADE);
+  const [targetBusinessId, setTargetBusinessId] = useState('');
+  const [otherBusinesses, setOtherBusinesses] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible && business) {
+      setMode(BUSINESS_DELETE_MODES.CASCADE);
+      setTargetBusinessId('');
+      loadOtherBusinesses(business.id);
+    }
+  }, [visible, business]);
+
+  const loadOtherBusinesses = async (businessId) => {
+    try {
+      const result = await getAllBusinesses();
+      const list = result
+        .map(doc => doc.toJSON())
+        .filter(item => item.id !== businessId);
+      setOtherBusinesses(list);
+    } catch (error) {
+      console.error('Error loading businesses:', error);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (mode === BUSINESS_DELETE_MODES.REASSIGN && !targetBusinessId) {
+      Alert.alert('Error', 'Please select a business to move the articles to');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const businessDoc = await getBusinessById(business.id);
+      if (!businessDoc) {
+        throw new Error('Business not found');
+      }
+      const { skuCleared } = await deleteBusiness(businessDoc, { mode, targetBusinessId });
+      if (skuCleared.length > 0) {
+        Alert.alert(
+          'Articles moved',
+          `These articles were moved without their SKU, which the other business already uses: ${skuCleared.join(', ')}`
+        );
+      }
+      onDelete?.();
+      onClose();
+    } catch (error) {
+      console.error('Error deleting business:', error);
+      Alert.alert('Error', `Failed to delete business: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderOption = (value, label, disabled = false) => (
+    <TouchableOpacity
+      onPress={() => setMode(value)}
+      style={[
+        styles.option,
+        mode === value && styles.optionSelected,
+        disabled && styles.optionDisabled,
+      ]}
+      disabled={disabled || loading}
+    >
+      <Text style={styles.optionText}>
+        {mode === value ? '🔘' : '⚪'} {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Delete Business</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.content}>
+          <Text style={styles.message}>
+            "{business?.name}" still has {articleCount} article(s).
+            Choose what should happen to them.
+          </Text>
+
+          {renderOption(
+            BUSINESS_DELETE_MODES.CASCADE,
+            `Move all ${articleCount} article(s) to the trash too`
+          )}
+          {renderOption(
+            BUSINESS_DELETE_MODES.REASSIGN,
+            'Move articles to another business',
+            otherBusinesses.length === 0
+          )}
+
+          {mode === BUSINESS_DELETE_MODES.REASSIGN && (
+            <View style={styles.pickerContainer}>
+              <Picker
+                selectedValue={targetBusinessId}
+                onValueChange={setTargetBusinessId}
+                style={styles.picker}
+                enabled={!loading}
+              >
+                <Picker.Item label="Select a business..." value="" />
+                {otherBusinesses.map(item => (
+                  <Picker.Item key={item.id} label={item.name} value={item.id} />
+                ))}
+              </Picker>
+            </View>
+          )}
+
+          {renderOption(
+            BUSINESS_DELETE_MODES.BLOCK,
+            'Keep the business and its articles'
+          )}
+
+          <View style={styles.buttonContainer}>
+            <Button
+              title="Cancel"
+              onPress={onClose}
+              color="#666"
+              disabled={loading}
+            />
+            <View style={styles.buttonSpacer} />
+            <Button
+              title={loading ? 'Deleting...' : 'Delete'}
+              onPress={handleDelete}
+              color="#d32f2f"
+              disabled={loading || mode === BUSINESS_DELETE_MODES.BLOCK}
+            />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  message: {
+    fontSize: 16,
+    marginBottom: 16,
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  optionSelected: {
+    borderColor: '#007bff',
+    backgroundColor: '#e8f1ff',
+  },
+  optionDisabled: {
+    opacity: 0.5,
+  },
+  optionText: {
+    fontSize: 16,
+  },
+  pickerContainer: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  picker: {
+    height: 50,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 20,
+  },
+  buttonSpacer: {
+    width: 20,
+  },
+});
+
+export default DeleteBusinessModal;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { View, Text, FlatList, StyleSheet } from 'react-native';
+import { HISTORY_ACTIONS, describeChange, describeEditor } from '../database/history';
+import { useDocumentHistory } from '../hooks/useDocumentHistory';
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+// Who changed what and when, for the History view of the edit modals
+const DocumentHistory = ({ document }) => {
+  const { entries, loading } = useDocumentHistory(document?.id);
+
+  const renderEntry = ({ item }) => (
+    <View style={styles.entry}>
+      <Text style={styles.entryTitle}>
+        {item.action === HISTORY_ACTIONS.CREATE ? 'Created' : 'Changed'}
+      </Text>
+      {item.changes.map(change => (
+        <Text key={change.field} style={styles.change}>
+          {describeChange(change, item.currency)}
+        </Text>
+      ))}
+      <Text style={styles.meta}>
+        {formatDateTime(item.created_at)} · {describeEditor(item)}
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {document?.created_at > 0 && (
+        <Text style={styles.summary}>Created {formatDateTime(document.created_at)}</Text>
+      )}
+      {document?.updated_at > 0 && (
+        <Text style={styles.summary}>
+          Last changed {formatDateTime(document.updated_at)} by {describeEditor(document)}
+        </Text>
+      )}
+      <FlatList
+        data={entries}
+        keyExtractor={item => item.id}
+        renderItem={renderEntry}
+        ListEmptyComponent={
+          <Text style={styles.empty}>
+            {loading ? 'Loading history...' : 'No changes recorded yet.'}
+          </Text>
+        }
+      />
+    </View>
+  );
+};
+
+export default DocumentHistory;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+  },
+  summary: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 4,
+  },
+  entry: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  entryTitle: {
+    fontWeight: 'bold',
+  },
+  change: {
+    color: '#333',
+  },
+  meta: {
+    fontSize: 11,
+    color: 'gray',
+    marginTop: 2,
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 20,
+    color: 'gray',
+  },
+});
@@ -9,17 +9,39 @@ import {
   Alert,
   TouchableOpacity,
   ScrollView,
+  Switch,
 } from 'react-native';
 import { Picker } from '@react-native-picker/picker';
 import { updateArticleData, getAllBusinesses } from '../database/database';
+import DocumentHistory from './DocumentHistory';
+import {
+  calculateMargin,
+  calculateMarkup,
+  formatPercent,
+} from '../database/pricing';
+import { normalizeSku, validateSku } from '../database/sku';
+import { useCategories } from '../hooks/useCategories';
+import { formatMoney, formatMoneyInput, parseMoney, parseWholeNumber } from '../database/money';
+import { describeTaxRate, findTaxRate, splitTax } from '../database/tax';
+
+// Empty counts as 0, anything else must be a whole number (null otherwise)
+const readCount = (value) => (value.trim() ? parseWholeNumber(value) : 0);
 
 const EditArticleModal = ({ visible, article, onClose, onUpdate }) => {
   const [name, setName] = useState('');
+  const [sku, setSku] = useState('');
   const [qty, setQty] = useState('');
   const [price, setPrice] = useState('');
+  const [costPrice, setCostPrice] = useState('');
+  const [reorderLevel, setReorderLevel] = useState('');
+  const [reorderQty, setReorderQty] = useState('');
   const [businessId, setBusinessId] = useState('');
+  const [categoryId, setCategoryId] = useState('');
+  const [taxRateId, setTaxRateId] = useState('');
+  const [priceIncludesTax, setPriceIncludesTax] = useState(true);
   const [businesses, setBusinesses] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
 
   useEffect(() => {
     if (visible) {
@@ -30,12 +52,42 @@ const EditArticleModal = ({ visible, article, onClose, onUpdate }) => {
   useEffect(() => {
     if (article) {
       setName(article.name || '');
+      setSku(article.sku || '');
       setQty(article.qty?.toString() || '');
-      setPrice(article.selling_price?.toString() || '');
+      setPrice(formatMoneyInput(article.selling_price, article.currency));
+      setCostPrice(formatMoneyInput(article.cost_price, article.currency));
+      setReorderLevel(article.reorder_level?.toString() || '0');
+      setReorderQty(article.reorder_qty?.toString() || '0');
       setBusinessId(article.business_id || '');
+      setCategoryId(article.category_id || '');
+      setTaxRateId(article.tax_rate_id || '');
+      setPriceIncludesTax(article.price_includes_tax ?? true);
     }
   }, [article]);
 
+  const { categories, tree: categoryTree } = useCategories(visible ? businessId : null);
+
+  // Prices are typed in the currency of the business the article ends up in
+  const selectedBusiness = businesses.find(business => business.id === businessId);
+  const currency = selectedBusiness?.currency || article?.currency;
+  const taxRates = selectedBusiness?.tax_rates || [];
+  const taxRate = findTaxRate(taxRates, taxRateId);
+  // Sales can take stock to 0 or below; an untouched quantity is kept as it is
+  const qtyChanged = qty.trim() !== String(article?.qty ?? '');
+  const qtyValue = qtyChanged ? parseWholeNumber(qty) : article?.qty;
+  const sellingPrice = parseMoney(price, currency);
+  const costValue = costPrice.trim() ? parseMoney(costPrice, currency) : 0;
+  const reorderLevelValue = readCount(reorderLevel);
+  const reorderQtyValue = readCount(reorderQty);
+  const priceSplit = splitTax(sellingPrice || 0, taxRate?.rate ?? 0, priceIncludesTax);
+
+  // Moving to another business leaves the old business's categories and tax rates behind
+  const handleBusinessChange = (value) => {
+    setBusinessId(value);
+    setCategoryId('');
+    setTaxRateId('');
+  };
+
   const loadBusinesses = async () => {
     try {
       const result = await getAllBusinesses();
@@ -51,12 +103,25 @@ const EditArticleModal = ({ visible, article, onClose, onUpdate }) => {
       Alert.alert('Error', 'Please enter article name');
       return false;
     }
-    if (!qty || isNaN(qty) || parseInt(qty) <= 0) {
-      Alert.alert('Error', 'Please enter a valid quantity');
+    const skuError = validateSku(sku);
+    if (skuError) {
+      Alert.alert('Error', skuError);
+      return false;
+    }
+    if (qtyValue === null) {
+      Alert.alert('Error', 'Please enter a quantity of 0 or more');
+      return false;
+    }
+    if (!sellingPrice) {
+      Alert.alert('Error', `Please enter a valid price in ${currency}`);
+      return false;
+    }
+    if (costValue === null) {
+      Alert.alert('Error', `Please enter a valid cost price in ${currency}`);
       return false;
     }
-    if (!price || isNaN(price) || parseFloat(price) <= 0) {
-      Alert.alert('Error', 'Please enter a valid price');
+    if (reorderLevelValue === null || reorderQtyValue === null) {
+      Alert.alert('Error', 'Reorder level and quantity must be whole numbers of 0 or more');
       return false;
     }
     if (!businessId) {
@@ -70,9 +135,16 @@ const EditArticleModal = ({ visible, article, onClose, onUpdate }) => {
     if (!article) return false;
     return (
       name.trim() !== article.name ||
-      parseInt(qty) !== article.qty ||
-      parseFloat(price) !== article.selling_price ||
-      businessId !== article.business_id
+      normalizeSku(sku) !== article.sku ||
+      qtyValue !== article.qty ||
+      sellingPrice !== article.selling_price ||
+      costValue !== article.cost_price ||
+      reorderLevelValue !== article.reorder_level ||
+      reorderQtyValue !== article.reorder_qty ||
+      businessId !== article.business_id ||
+      categoryId !== article.category_id ||
+      (taxRate ? taxRateId : '') !== article.tax_rate_id ||
+      priceIncludesTax !== article.price_includes_tax
     );
   };
 
@@ -88,9 +160,17 @@ const EditArticleModal = ({ visible, article, onClose, onUpdate }) => {
     try {
       const updatedArticle = await updateArticleData(article.id, {
         name: name.trim(),
-        qty: parseInt(qty),
-        selling_price: parseFloat(price),
+        sku: normalizeSku(sku),
+        // Stock may have moved since the modal opened; only a typed count is applied
+        ...(qtyChanged ? { qty: qtyValue, expectedQty: article.qty } : {}),
+        selling_price: sellingPrice,
+        cost_price: costValue,
+        reorder_level: reorderLevelValue,
+        reorder_qty: reorderQtyValue,
         business_id: businessId,
+        category_id: categories.some(category => category.id === categoryId) ? categoryId : '',
+        tax_rate_id: taxRate ? taxRateId : '',
+        price_includes_tax: priceIncludesTax,
       });
       
       Alert.alert('Success', 'Article updated successfully');
@@ -107,10 +187,18 @@ const EditArticleModal = ({ visible, article, onClose, onUpdate }) => {
   const handleClose = () => {
     if (article) {
       setName(article.name || '');
+      setSku(article.sku || '');
       setQty(article.qty?.toString() || '');
-      setPrice(article.selling_price?.toString() || '');
+      setPrice(formatMoneyInput(article.selling_price, article.currency));
+      setCostPrice(formatMoneyInput(article.cost_price, article.currency));
+      setReorderLevel(article.reorder_level?.toString() || '0');
+      setReorderQty(article.reorder_qty?.toString() || '0');
       setBusinessId(article.business_id || '');
+      setCategoryId(article.category_id || '');
+      setTaxRateId(article.tax_rate_id || '');
+      setPriceIncludesTax(article.price_includes_tax ?? true);
     }
+    setShowHistory(false);
     onClose();
   };
 
@@ -123,76 +211,177 @@ const EditArticleModal = ({ visible, article, onClose, onUpdate }) => {
     >
       <View style={styles.container}>
         <View style={styles.header}>
-          <Text style={styles.title}>Edit Article</Text>
+          <Text style={styles.title}>{showHistory ? 'History' : 'Edit Article'}</Text>
+          <TouchableOpacity
+            onPress={() => setShowHistory(!showHistory)}
+            style={styles.historyButton}
+          >
+            <Text style={styles.historyButtonText}>{showHistory ? 'Edit' : 'History'}</Text>
+          </TouchableOpacity>
           <TouchableOpacity onPress={handleClose} style={styles.closeButton}>
             <Text style={styles.closeButtonText}>✕</Text>
           </TouchableOpacity>
         </View>
 
-        <ScrollView style={styles.content}>
-          <Text style={styles.label}>Article Name</Text>
-          <TextInput
-            value={name}
-            onChangeText={setName}
-            placeholder="Enter article name"
-            style={styles.input}
-            editable={!loading}
-          />
+        {showHistory ? (
+          <DocumentHistory document={article} />
+        ) : (
+          <ScrollView style={styles.content}>
+            <Text style={styles.label}>Article Name</Text>
+            <TextInput
+              value={name}
+              onChangeText={setName}
+              placeholder="Enter article name"
+              style={styles.input}
+              editable={!loading}
+            />
+
+            <Text style={styles.label}>SKU / Barcode</Text>
+            <TextInput
+              value={sku}
+              onChangeText={setSku}
+              placeholder="Optional, unique within the business"
+              autoCapitalize="characters"
+              autoCorrect={false}
+              style={styles.input}
+              editable={!loading}
+            />
+
+            <Text style={styles.label}>Quantity</Text>
+            <TextInput
+              value={qty}
+              onChangeText={setQty}
+              placeholder="Enter quantity"
+              keyboardType="number-pad"
+              style={styles.input}
+              editable={!loading}
+            />
 
-          <Text style={styles.label}>Quantity</Text>
-          <TextInput
-            value={qty}
-            onChangeText={setQty}
-            placeholder="Enter quantity"
-            keyboardType="numeric"
-            style={styles.input}
-            editable={!loading}
-          />
+            <Text style={styles.label}>Selling Price ({currency})</Text>
+            <TextInput
+              value={price}
+              onChangeText={setPrice}
+              placeholder="Enter selling price"
+              keyboardType="decimal-pad"
+              style={styles.input}
+              editable={!loading}
+            />
 
-          <Text style={styles.label}>Selling Price</Text>
-          <TextInput
-            value={price}
-            onChangeText={setPrice}
-            placeholder="Enter selling price"
-            keyboardType="numeric"
-            style={styles.input}
-            editable={!loading}
-          />
+            <Text style={styles.label}>Cost Price ({currency})</Text>
+            <TextInput
+              value={costPrice}
+              onChangeText={setCostPrice}
+              placeholder="Enter cost price"
+              keyboardType="decimal-pad"
+              style={styles.input}
+              editable={!loading}
+            />
 
-          <Text style={styles.label}>Business</Text>
-          <View style={styles.pickerContainer}>
-            <Picker
-              selectedValue={businessId}
-              onValueChange={setBusinessId}
-              style={styles.picker}
-              enabled={!loading}
-            >
-              <Picker.Item label="Select a business..." value="" />
-              {businesses.map(business => (
-                <Picker.Item
-                  key={business.id}
-                  label={business.name}
-                  value={business.id}
-                />
-              ))}
-            </Picker>
-          </View>
+            <Text style={styles.label}>Tax Rate</Text>
+            <View style={styles.pickerContainer}>
+              <Picker
+                selectedValue={taxRate ? taxRateId : ''}
+                onValueChange={setTaxRateId}
+                style={styles.picker}
+                enabled={!loading}
+              >
+                <Picker.Item label="No tax" value="" />
+                {taxRates.map(item => (
+                  <Picker.Item key={item.id} label={describeTaxRate(item)} value={item.id} />
+                ))}
+              </Picker>
+            </View>
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>Selling price includes tax</Text>
+              <Switch
+                value={priceIncludesTax}
+                onValueChange={setPriceIncludesTax}
+                disabled={loading}
+              />
+            </View>
+            <Text style={styles.hint}>
+              Net {formatMoney(priceSplit.net, currency)} + tax {formatMoney(priceSplit.tax, currency)}
+              {' '}= {formatMoney(priceSplit.gross, currency)}
+            </Text>
+            <Text style={styles.hint}>
+              Margin {formatPercent(calculateMargin(costValue || 0, priceSplit.net))}
+              {' '}· Markup {formatPercent(calculateMarkup(costValue || 0, priceSplit.net))}
+            </Text>
 
-          <View style={styles.buttonContainer}>
-            <Button
-              title="Cancel"
-              onPress={handleClose}
-              color="#666"
-              disabled={loading}
+            <Text style={styles.label}>Reorder Level</Text>
+            <TextInput
+              value={reorderLevel}
+              onChangeText={setReorderLevel}
+              placeholder="Alert when stock falls to (0 = off)"
+              keyboardType="numeric"
+              style={styles.input}
+              editable={!loading}
             />
-            <View style={styles.buttonSpacer} />
-            <Button
-              title={loading ? "Updating..." : "Update"}
-              onPress={handleUpdate}
-              disabled={loading}
+
+            <Text style={styles.label}>Reorder Quantity</Text>
+            <TextInput
+              value={reorderQty}
+              onChangeText={setReorderQty}
+              placeholder="Units to order"
+              keyboardType="numeric"
+              style={styles.input}
+              editable={!loading}
             />
-          </View>
-        </ScrollView>
+
+            <Text style={styles.label}>Business</Text>
+            <View style={styles.pickerContainer}>
+              <Picker
+                selectedValue={businessId}
+                onValueChange={handleBusinessChange}
+                style={styles.picker}
+                enabled={!loading}
+              >
+                <Picker.Item label="Select a business..." value="" />
+                {businesses.map(business => (
+                  <Picker.Item
+                    key={business.id}
+                    label={business.name}
+                    value={business.id}
+                  />
+                ))}
+              </Picker>
+            </View>
+
+            <Text style={styles.label}>Category</Text>
+            <View style={styles.pickerContainer}>
+              <Picker
+                selectedValue={categoryId}
+                onValueChange={setCategoryId}
+                style={styles.picker}
+                enabled={!loading}
+              >
+                <Picker.Item label="No category" value="" />
+                {categoryTree.map(category => (
+                  <Picker.Item
+                    key={category.id}
+                    label={category.path}
+                    value={category.id}
+                  />
+                ))}
+              </Picker>
+            </View>
+
+            <View style={styles.buttonContainer}>
+              <Button
+                title="Cancel"
+                onPress={handleClose}
+                color="#666"
+                disabled={loading}
+              />
+              <View style={styles.buttonSpacer} />
+              <Button
+                title={loading ? "Updating..." : "Update"}
+                onPress={handleUpdate}
+                disabled={loading}
+              />
+            </View>
+          </ScrollView>
+        )}
       </View>
     </Modal>
   );
@@ -214,6 +403,14 @@ const styles = StyleSheet.create({
   title: {
     fontSize: 18,
     fontWeight: 'bold',
+    flex: 1,
+  },
+  historyButton: {
+    padding: 8,
+  },
+  historyButtonText: {
+    color: '#007bff',
+    fontSize: 16,
   },
   closeButton: {
     padding: 8,
@@ -241,6 +438,19 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginBottom: 8,
   },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  switchLabel: {
+    fontSize: 14,
+  },
   pickerContainer: {
     borderWidth: 1,
     borderColor: '#ccc',
@@ -8,34 +8,161 @@ import {
   StyleSheet,
   Alert,
   TouchableOpacity,
+  ScrollView,
+  Image,
 } from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { v4 as uuidv4 } from 'uuid';
 import { updateBusiness } from '../database/database';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../database/money';
+import { parseTaxRate, validateTaxRates } from '../database/tax';
+import {
+  EMPTY_PROFILE,
+  fetchLogo,
+  normalizeProfile,
+  validateProfile,
+} from '../database/businessProfile';
+import DocumentHistory from './DocumentHistory';
+
+// Rates are edited as typed percentages
+const toRateInputs = (taxRates = []) =>
+  taxRates.map(({ id, name, rate }) => ({ id, name, rate: String(rate / 100) }));
+
+const ADDRESS_INPUTS = [
+  { field: 'line1', placeholder: 'Street and number' },
+  { field: 'line2', placeholder: 'Building, floor (optional)' },
+  { field: 'city', placeholder: 'City' },
+  { field: 'postal_code', placeholder: 'Postal code' },
+  { field: 'region', placeholder: 'State / region' },
+  { field: 'country', placeholder: 'Country' },
+];
 
 const EditBusinessModal = ({ visible, business, onClose, onUpdate }) => {
   const [name, setName] = useState('');
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [rateInputs, setRateInputs] = useState([]);
+  const [profile, setProfile] = useState(EMPTY_PROFILE);
+  const [logoUrl, setLogoUrl] = useState('');
+  const [loadingLogo, setLoadingLogo] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
 
   useEffect(() => {
     if (business) {
       setName(business.name || '');
+      setCurrency(business.currency || DEFAULT_CURRENCY);
+      setRateInputs(toRateInputs(business.tax_rates));
+      setProfile(normalizeProfile(business));
+      setLogoUrl('');
     }
   }, [business]);
 
+  const updateProfile = (field, value) => {
+    setProfile(current => ({ ...current, [field]: value }));
+  };
+
+  const updateAddress = (field, value) => {
+    setProfile(current => ({ ...current, address: { ...current.address, [field]: value } }));
+  };
+
+  // The image is downloaded once and stored on the business, so it works offline
+  const handleLoadLogo = async () => {
+    if (!logoUrl.trim()) return;
+    setLoadingLogo(true);
+    try {
+      const logo = await fetchLogo(logoUrl.trim());
+      const logoError = validateProfile({ ...normalizeProfile(profile), logo });
+      if (logoError) {
+        Alert.alert('Error', logoError);
+        return;
+      }
+      updateProfile('logo', logo);
+      setLogoUrl('');
+    } catch (error) {
+      Alert.alert('Error', 'Failed to load the logo: ' + error.message);
+    } finally {
+      setLoadingLogo(false);
+    }
+  };
+
+  const updateRateInput = (id, field, value) => {
+    setRateInputs(current =>
+      current.map(input => (input.id === id ? { ...input, [field]: value } : input))
+    );
+  };
+
+  const addRateInput = () => {
+    setRateInputs(current => [...current, { id: uuidv4(), name: '', rate: '' }]);
+  };
+
+  const removeRateInput = (id) => {
+    setRateInputs(current => current.filter(input => input.id !== id));
+  };
+
   const handleUpdate = async () => {
     if (!name.trim()) {
       Alert.alert('Error', 'Please enter a business name');
       return;
     }
 
-    if (name.trim() === business?.name) {
+    const taxRates = rateInputs.map(input => ({
+      id: input.id,
+      name: input.name.trim(),
+      rate: parseTaxRate(input.rate),
+    }));
+    if (taxRates.some(taxRate => taxRate.rate === null)) {
+      Alert.alert('Error', 'Please enter tax rates as percentages between 0 and 100');
+      return;
+    }
+    const taxRatesError = validateTaxRates(taxRates);
+    if (taxRatesError) {
+      Alert.alert('Error', taxRatesError);
+      return;
+    }
+
+    const updatedProfile = normalizeProfile(profile);
+    const profileError = validateProfile(updatedProfile);
+    if (profileError) {
+      Alert.alert('Error', profileError);
+      return;
+    }
+
+    const taxRatesChanged = JSON.stringify(taxRates) !== JSON.stringify(business?.tax_rates || []);
+    const profileChanged =
+      JSON.stringify(updatedProfile) !== JSON.stringify(normalizeProfile(business));
+    if (
+      name.trim() === business?.name &&
+      currency === business?.currency &&
+      !taxRatesChanged &&
+      !profileChanged
+    ) {
       Alert.alert('Info', 'No changes detected');
       return;
     }
+    const changes = { tax_rates: taxRates, ...updatedProfile };
 
+    if (currency !== business.currency) {
+      Alert.alert(
+        'Change Currency',
+        `Prices of all articles will be kept as amounts in ${currency}, without any exchange rate conversion. Continue?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Change', onPress: () => saveBusiness(changes) }
+        ]
+      );
+      return;
+    }
+    await saveBusiness(changes);
+  };
+
+  // changes: tax rates and profile fields, already validated
+  const saveBusiness = async (changes) => {
     setLoading(true);
     try {
       const updatedBusiness = await updateBusiness(business.id, {
         name: name.trim(),
+        currency,
+        ...changes,
       });
       
       Alert.alert('Success', 'Business updated successfully');
@@ -52,7 +179,12 @@ const EditBusinessModal = ({ visible, business, onClose, onUpdate }) => {
   const handleClose = () => {
     if (business) {
       setName(business.name || '');
+      setCurrency(business.currency || DEFAULT_CURRENCY);
+      setRateInputs(toRateInputs(business.tax_rates));
+      setProfile(normalizeProfile(business));
+      setLogoUrl('');
     }
+    setShowHistory(false);
     onClose();
   };
 
@@ -65,38 +197,169 @@ const EditBusinessModal = ({ visible, business, onClose, onUpdate }) => {
     >
       <View style={styles.container}>
         <View style={styles.header}>
-          <Text style={styles.title}>Edit Business</Text>
+          <Text style={styles.title}>{showHistory ? 'History' : 'Edit Business'}</Text>
+          <TouchableOpacity
+            onPress={() => setShowHistory(!showHistory)}
+            style={styles.historyButton}
+          >
+            <Text style={styles.historyButtonText}>{showHistory ? 'Edit' : 'History'}</Text>
+          </TouchableOpacity>
           <TouchableOpacity onPress={handleClose} style={styles.closeButton}>
             <Text style={styles.closeButtonText}>✕</Text>
           </TouchableOpacity>
         </View>
 
-        <View style={styles.content}>
-          <Text style={styles.label}>Business Name</Text>
-          <TextInput
-            value={name}
-            onChangeText={setName}
-            placeholder="Enter business name"
-            style={styles.input}
-            editable={!loading}
-            autoFocus
-          />
-
-          <View style={styles.buttonContainer}>
-            <Button
-              title="Cancel"
-              onPress={handleClose}
-              color="#666"
-              disabled={loading}
+        {showHistory ? (
+          <DocumentHistory document={business} />
+        ) : (
+          <ScrollView style={styles.content}>
+            <Text style={styles.label}>Business Name</Text>
+            <TextInput
+              value={name}
+              onChangeText={setName}
+              placeholder="Enter business name"
+              style={styles.input}
+              editable={!loading}
+              autoFocus
             />
-            <View style={styles.buttonSpacer} />
-            <Button
-              title={loading ? "Updating..." : "Update"}
-              onPress={handleUpdate}
-              disabled={loading}
+
+            <Text style={styles.label}>Currency</Text>
+            <View style={styles.pickerContainer}>
+              <Picker
+                selectedValue={currency}
+                onValueChange={setCurrency}
+                style={styles.picker}
+                enabled={!loading}
+              >
+                {CURRENCIES.map(({ code, name: currencyName }) => (
+                  <Picker.Item key={code} label={`${code} · ${currencyName}`} value={code} />
+                ))}
+              </Picker>
+            </View>
+
+            <Text style={styles.label}>Tax Rates</Text>
+            {rateInputs.map(input => (
+              <View key={input.id} style={styles.rateRow}>
+                <TextInput
+                  value={input.name}
+                  onChangeText={value => updateRateInput(input.id, 'name', value)}
+                  placeholder="Name, e.g. GST"
+                  style={[styles.input, styles.rateName]}
+                  editable={!loading}
+                />
+                <TextInput
+                  value={input.rate}
+                  onChangeText={value => updateRateInput(input.id, 'rate', value)}
+                  placeholder="%"
+                  keyboardType="decimal-pad"
+                  style={[styles.input, styles.rateValue]}
+                  editable={!loading}
+                />
+                <TouchableOpacity
+                  onPress={() => removeRateInput(input.id)}
+                  style={styles.removeRateButton}
+                  disabled={loading}
+                >
+                  <Text style={styles.removeRateText}>✕</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+            <TouchableOpacity onPress={addRateInput} disabled={loading}>
+              <Text style={styles.addRateText}>+ Add tax rate</Text>
+            </TouchableOpacity>
+            <Text style={styles.hint}>
+              Articles of a removed rate become untaxed.
+            </Text>
+
+            <Text style={styles.label}>Tax Registration Number</Text>
+            <TextInput
+              value={profile.tax_id}
+              onChangeText={value => updateProfile('tax_id', value)}
+              placeholder="e.g. GSTIN or VAT ID (optional)"
+              autoCapitalize="characters"
+              autoCorrect={false}
+              style={styles.input}
+              editable={!loading}
             />
-          </View>
-        </View>
+
+            <Text style={styles.label}>Contact</Text>
+            <TextInput
+              value={profile.phone}
+              onChangeText={value => updateProfile('phone', value)}
+              placeholder="Phone (optional)"
+              keyboardType="phone-pad"
+              style={[styles.input, styles.stackedInput]}
+              editable={!loading}
+            />
+            <TextInput
+              value={profile.email}
+              onChangeText={value => updateProfile('email', value)}
+              placeholder="Email (optional)"
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+              style={styles.input}
+              editable={!loading}
+            />
+
+            <Text style={styles.label}>Address</Text>
+            {ADDRESS_INPUTS.map(({ field, placeholder }, index) => (
+              <TextInput
+                key={field}
+                value={profile.address[field]}
+                onChangeText={value => updateAddress(field, value)}
+                placeholder={placeholder}
+                style={[styles.input, index < ADDRESS_INPUTS.length - 1 && styles.stackedInput]}
+                editable={!loading}
+              />
+            ))}
+
+            <Text style={styles.label}>Logo</Text>
+            {!!profile.logo && (
+              <View style={styles.logoRow}>
+                <Image source={{ uri: profile.logo }} style={styles.logo} resizeMode="contain" />
+                <TouchableOpacity
+                  onPress={() => updateProfile('logo', '')}
+                  disabled={loading}
+                >
+                  <Text style={styles.removeRateText}>Remove logo</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+            <View style={styles.rateRow}>
+              <TextInput
+                value={logoUrl}
+                onChangeText={setLogoUrl}
+                placeholder="Image URL to download"
+                keyboardType="url"
+                autoCapitalize="none"
+                autoCorrect={false}
+                style={[styles.input, styles.rateName]}
+                editable={!loading && !loadingLogo}
+              />
+              <Button
+                title={loadingLogo ? 'Loading...' : 'Load'}
+                onPress={handleLoadLogo}
+                disabled={loading || loadingLogo || !logoUrl.trim()}
+              />
+            </View>
+
+            <View style={styles.buttonContainer}>
+              <Button
+                title="Cancel"
+                onPress={handleClose}
+                color="#666"
+                disabled={loading}
+              />
+              <View style={styles.buttonSpacer} />
+              <Button
+                title={loading ? "Updating..." : "Update"}
+                onPress={handleUpdate}
+                disabled={loading}
+              />
+            </View>
+          </ScrollView>
+        )}
       </View>
     </Modal>
   );
@@ -118,6 +381,14 @@ const styles = StyleSheet.create({
   title: {
     fontSize: 18,
     fontWeight: 'bold',
+    flex: 1,
+  },
+  historyButton: {
+    padding: 8,
+  },
+  historyButtonText: {
+    color: '#007bff',
+    fontSize: 16,
   },
   closeButton: {
     padding: 8,
@@ -144,6 +415,56 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginBottom: 20,
   },
+  pickerContainer: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    marginBottom: 20,
+  },
+  picker: {
+    height: 50,
+  },
+  rateRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  rateName: {
+    flex: 1,
+    marginRight: 8,
+  },
+  rateValue: {
+    width: 80,
+  },
+  removeRateButton: {
+    padding: 12,
+  },
+  removeRateText: {
+    fontSize: 16,
+    color: '#F44336',
+  },
+  addRateText: {
+    color: '#007bff',
+    fontSize: 16,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 20,
+  },
+  stackedInput: {
+    marginBottom: 8,
+  },
+  logoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  logo: {
+    width: 64,
+    height: 64,
+    marginRight: 16,
+  },
   buttonContainer: {
     flexDirection: 'row',
     justifyContent: 'center',
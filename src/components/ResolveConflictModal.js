@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  Alert,
+  TouchableOpacity,
+  ScrollView,
+} from 'react-native';
+import { resolveConflict, dismissConflict } from '../database/database';
+import { CONFLICT_SIDES } from '../database/conflicts';
+
+const { LOCAL, REMOTE } = CONFLICT_SIDES;
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const ResolveConflictModal = ({ visible, conflict, onClose, onResolve }) => {
+  const [choices, setChoices] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (conflict) {
+      // Server values are what the document currently holds
+      const initial = {};
+      conflict.fields.forEach(field => {
+        initial[field] = REMOTE;
+      });
+      setChoices(initial);
+    }
+  }, [conflict]);
+
+  if (!conflict) return null;
+
+  const deleted = conflict.fields.includes('_deleted');
+  const fields = Object.keys({ ...conflict.local, ...conflict.remote })
+    .filter(field => !field.startsWith('_'));
+
+  const runResolution = async (resolution) => {
+    setLoading(true);
+    try {
+      await resolution();
+      onResolve?.();
+      onClose();
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      Alert.alert('Error', `Failed to resolve conflict: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleKeepLocal = () => {
+    const allLocal = {};
+    conflict.fields.forEach(field => {
+      allLocal[field] = LOCAL;
+    });
+    runResolution(() => resolveConflict(conflict.id, allLocal));
+  };
+
+  const handleKeepServer = () =>
+    runResolution(() => dismissConflict(conflict.id));
+
+  const handleMerge = () =>
+    runResolution(() => resolveConflict(conflict.id, choices));
+
+  const renderValue = (field, side) => {
+    const conflicting = conflict.fields.includes(field);
+    const selected = conflicting && choices[field] === side;
+    return (
+      <TouchableOpacity
+        style={[
+          styles.valueCell,
+          conflicting && styles.conflictingCell,
+          selected && styles.selectedCell,
+        ]}
+        onPress={() => setChoices({ ...choices, [field]: side })}
+        disabled={!conflicting || loading || deleted}
+      >
+        <Text style={styles.valueText}>{formatValue(conflict[side][field])}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Resolve Conflict</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.content}>
+          {deleted ? (
+            <Text style={styles.hint}>
+              {conflict.local._deleted
+                ? 'You deleted this document while it was edited on another device.'
+                : 'This document was deleted on another device while you edited it.'}
+            </Text>
+          ) : (
+            <Text style={styles.hint}>
+              Highlighted fields were changed on both sides.
+              Tap a value to choose it for the merged version.
+            </Text>
+          )}
+
+          <View style={styles.row}>
+            <Text style={[styles.fieldCell, styles.columnTitle]}>Field</Text>
+            <Text style={[styles.valueCell, styles.columnTitle]}>
+              This device{conflict.local._deleted ? ' (deleted)' : ''}
+            </Text>
+            <Text style={[styles.valueCell, styles.columnTitle]}>
+              Server{conflict.remote._deleted ? ' (deleted)' : ''}
+            </Text>
+          </View>
+
+          {fields.map(field => (
+            <View key={field} style={styles.row}>
+              <Text style={styles.fieldCell}>{field}</Text>
+              {renderValue(field, LOCAL)}
+              {renderValue(field, REMOTE)}
+            </View>
+          ))}
+
+          <View style={styles.buttonContainer}>
+            <Button
+              title="Keep Mine"
+              onPress={handleKeepLocal}
+              disabled={loading}
+            />
+            <View style={styles.buttonSpacer} />
+            <Button
+              title="Keep Server"
+              onPress={handleKeepServer}
+              color="#666"
+              disabled={loading}
+            />
+          </View>
+          {!deleted && (
+            <View style={styles.buttonContainer}>
+              <Button
+                title={loading ? 'Saving...' : 'Save Merged'}
+                onPress={handleMerge}
+                disabled={loading}
+              />
+            </View>
+          )}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  hint: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  columnTitle: {
+    fontWeight: 'bold',
+  },
+  fieldCell: {
+    flex: 1,
+    padding: 8,
+    color: '#333',
+  },
+  valueCell: {
+    flex: 2,
+    padding: 8,
+  },
+  valueText: {
+    fontSize: 14,
+  },
+  conflictingCell: {
+    backgroundColor: '#fff3e0',
+  },
+  selectedCell: {
+    backgroundColor: '#c8e6c9',
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 20,
+  },
+  buttonSpacer: {
+    width: 20,
+  },
+});
+
+export default ResolveConflictModal;
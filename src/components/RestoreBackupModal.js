@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  Alert,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { restoreBackup } from '../database/database';
+import { BACKUP_COLLECTIONS, RESTORE_MODES, parseBackup } from '../database/backup';
+import { pickBackupFile } from '../database/backupFile';
+
+const COLLECTION_LABELS = {
+  businesses: 'Businesses',
+  categories: 'Categories',
+  articles: 'Articles',
+  stock_movements: 'Stock movements',
+  sales: 'Sales',
+  history: 'History entries',
+};
+
+const RestoreBackupModal = ({ visible, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [backup, setBackup] = useState(null);
+  const [picking, setPicking] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setFile(null);
+      setBackup(null);
+    }
+  }, [visible]);
+
+  // The file is checked right away so its contents can be shown before restoring
+  const handlePick = async () => {
+    setPicking(true);
+    try {
+      const picked = await pickBackupFile();
+      if (!picked) return;
+      const parsed = parseBackup(picked.text);
+      setFile(picked);
+      setBackup(parsed);
+    } catch (error) {
+      setFile(null);
+      setBackup(null);
+      Alert.alert('Invalid Backup', error.message);
+    } finally {
+      setPicking(false);
+    }
+  };
+
+  const runRestore = async (mode) => {
+    setRestoring(true);
+    try {
+      const summary = await restoreBackup(file.text, mode);
+      const lines = BACKUP_COLLECTIONS.map(({ name }) => {
+        const { inserted, updated, removed } = summary[name];
+        return `${COLLECTION_LABELS[name]}: ${inserted} added, ${updated} updated, ${removed} removed`;
+      });
+      Alert.alert('Backup Restored', lines.join('\n'));
+      onClose();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to restore backup: ' + error.message);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const handleReplace = () => {
+    Alert.alert(
+      'Replace All Data',
+      'Everything not in the backup is deleted from this device and, on the next sync, from the server.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Replace',
+          style: 'destructive',
+          onPress: () => runRestore(RESTORE_MODES.REPLACE)
+        }
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Restore Backup</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+          <Button
+            title={picking ? 'Opening...' : 'Choose Backup File'}
+            onPress={handlePick}
+            disabled={restoring || picking}
+          />
+
+          {backup && file && (
+            <>
+              <Text style={styles.label}>Backup contents</Text>
+              <Text style={styles.detail}>{file.name}</Text>
+              <Text style={styles.detail}>
+                Created {backup.createdAt ? new Date(backup.createdAt).toLocaleString() : 'at an unknown time'}
+                {backup.deviceId ? ` on ${backup.deviceId.substring(0, 16)}` : ''}
+              </Text>
+              {BACKUP_COLLECTIONS.map(({ name }) => (
+                <Text key={name} style={styles.detail}>
+                  {COLLECTION_LABELS[name]}: {backup.collections[name].length}
+                </Text>
+              ))}
+
+              <View style={styles.option}>
+                <Button
+                  title={restoring ? 'Restoring...' : 'Merge'}
+                  onPress={() => runRestore(RESTORE_MODES.MERGE)}
+                  disabled={restoring}
+                />
+                <Text style={styles.hint}>
+                  Adds what is missing on this device. Articles are only
+                  overwritten where the backup has the newer edit.
+                </Text>
+              </View>
+              <View style={styles.option}>
+                <Button
+                  title="Replace"
+                  onPress={handleReplace}
+                  color="#d32f2f"
+                  disabled={restoring}
+                />
+                <Text style={styles.hint}>
+                  Makes this device's data exactly match the backup.
+                </Text>
+              </View>
+            </>
+          )}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+export default RestoreBackupModal;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    marginTop: 16,
+  },
+  detail: {
+    fontSize: 14,
+    color: '#333',
+  },
+  option: {
+    marginTop: 16,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+});
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { discoverServers, getKnownServers } from '../database/discovery';
+
+const ServerDiscoveryModal = ({ visible, selectedUrl, onClose, onSelect }) => {
+  const [servers, setServers] = useState([]);
+  const [knownUrls, setKnownUrls] = useState([]);
+  const [scanning, setScanning] = useState(false);
+  const scanId = useRef(0);
+
+  useEffect(() => {
+    if (visible) {
+      scan();
+    } else {
+      // Results of a scan still running when the modal closes are dropped
+      scanId.current++;
+    }
+  }, [visible]);
+
+  const scan = async () => {
+    const id = ++scanId.current;
+    setServers([]);
+    setScanning(true);
+
+    try {
+      const known = await getKnownServers();
+      if (id !== scanId.current) return;
+      setKnownUrls(known.map(server => server.url));
+
+      const ranked = await discoverServers({
+        onFound: server => {
+          if (id !== scanId.current) return;
+          setServers(current =>
+            current.some(item => item.url === server.url) ? current : [...current, server]
+          );
+        }
+      });
+      if (id === scanId.current) {
+        setServers(ranked);
+      }
+    } catch (error) {
+      console.error('Error discovering servers:', error);
+    } finally {
+      if (id === scanId.current) {
+        setScanning(false);
+      }
+    }
+  };
+
+  const handleSelect = (server) => {
+    onSelect(server.url);
+    onClose();
+  };
+
+  const renderServer = ({ item }) => (
+    <TouchableOpacity
+      onPress={() => handleSelect(item)}
+      style={[styles.server, item.url === selectedUrl && styles.serverSelected]}
+    >
+      <Text style={styles.serverUrl}>
+        {knownUrls.includes(item.url) ? '⭐ ' : ''}{item.url}
+      </Text>
+      <Text style={styles.serverDetails}>
+        CouchDB {item.version || '?'} · {item.latency} ms
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Find Servers</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.content}>
+          <View style={styles.status}>
+            {scanning && <ActivityIndicator size="small" />}
+            <Text style={styles.statusText}>
+              {scanning
+                ? 'Scanning the local network...'
+                : `${servers.length} server(s) found`}
+            </Text>
+          </View>
+
+          <FlatList
+            data={servers}
+            keyExtractor={item => item.url}
+            renderItem={renderServer}
+            ListEmptyComponent={
+              !scanning && (
+                <Text style={styles.emptyText}>
+                  No CouchDB server answered on this network. Make sure the
+                  server is running and reachable, or enter its URL manually.
+                </Text>
+              )
+            }
+          />
+
+          <View style={styles.buttonContainer}>
+            <Button
+              title={scanning ? 'Scanning...' : 'Scan Again'}
+              onPress={scan}
+              disabled={scanning}
+            />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default ServerDiscoveryModal;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  status: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 8,
+  },
+  server: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  serverSelected: {
+    borderColor: '#007bff',
+    backgroundColor: '#e8f1ff',
+  },
+  serverUrl: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  serverDetails: {
+    fontSize: 12,
+    color: 'gray',
+    marginTop: 4,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 24,
+  },
+  buttonContainer: {
+    paddingVertical: 16,
+  },
+});
@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  Button,
+  StyleSheet,
+  Alert,
+  FlatList,
+  TouchableOpacity,
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { recordStockMovement } from '../database/database';
+import {
+  STOCK_MOVEMENT_TYPES,
+  STOCK_MOVEMENT_LABELS,
+  sumMovements,
+} from '../database/stockLedger';
+import { useStockMovements } from '../hooks/useStockMovements';
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+const StockMovementModal = ({ visible, article, onClose }) => {
+  const { movements } = useStockMovements(visible ? article?.id : null);
+  const [type, setType] = useState(STOCK_MOVEMENT_TYPES.RECEIPT);
+  const [qty, setQty] = useState('');
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setType(STOCK_MOVEMENT_TYPES.RECEIPT);
+      setQty('');
+      setReason('');
+    }
+  }, [visible]);
+
+  const isAdjustment = type === STOCK_MOVEMENT_TYPES.ADJUSTMENT;
+  const onHand = movements.length > 0 ? sumMovements(movements) : article?.qty;
+
+  const handleRecord = async () => {
+    const amount = Number(qty);
+    if (!Number.isInteger(amount) || amount === 0 || (!isAdjustment && amount < 0)) {
+      Alert.alert(
+        'Error',
+        isAdjustment
+          ? 'Please enter a whole number, negative to remove stock'
+          : 'Please enter a whole number greater than 0'
+      );
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await recordStockMovement({
+        articleId: article.id,
+        type,
+        qty: amount,
+        reason: reason.trim()
+      });
+      setQty('');
+      setReason('');
+    } catch (error) {
+      Alert.alert('Error', 'Failed to record movement: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderMovement = ({ item }) => (
+    <View style={styles.movement}>
+      <View style={styles.movementInfo}>
+        <Text style={styles.movementType}>{STOCK_MOVEMENT_LABELS[item.type]}</Text>
+        {!!item.reason && <Text style={styles.movementReason}>{item.reason}</Text>}
+        <Text style={styles.movementMeta}>
+          {formatDateTime(item.created_at)} · {item.device_id.substring(0, 16)}
+        </Text>
+      </View>
+      <Text style={[styles.movementQty, item.qty < 0 && styles.movementQtyOut]}>
+        {item.qty > 0 ? `+${item.qty}` : item.qty}
+      </Text>
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Stock: {article?.name}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.content}>
+          <Text style={styles.onHand}>On hand: {onHand}</Text>
+
+          <View style={styles.pickerContainer}>
+            <Picker
+              selectedValue={type}
+              onValueChange={setType}
+              style={styles.picker}
+              enabled={!loading}
+            >
+              {Object.values(STOCK_MOVEMENT_TYPES).map(value => (
+                <Picker.Item key={value} label={STOCK_MOVEMENT_LABELS[value]} value={value} />
+              ))}
+            </Picker>
+          </View>
+          <TextInput
+            value={qty}
+            onChangeText={setQty}
+            placeholder={isAdjustment ? 'Quantity (+/-)' : 'Quantity'}
+            keyboardType="numbers-and-punctuation"
+            style={styles.input}
+            editable={!loading}
+          />
+          <TextInput
+            value={reason}
+            onChangeText={setReason}
+            placeholder="Reason (optional)"
+            style={styles.input}
+            editable={!loading}
+          />
+          <Button
+            title={loading ? 'Recording...' : 'Record Movement'}
+            onPress={handleRecord}
+            disabled={loading}
+          />
+
+          <Text style={styles.heading}>History ({movements.length})</Text>
+          <FlatList
+            data={movements}
+            keyExtractor={item => item.id}
+            renderItem={renderMovement}
+            ListEmptyComponent={
+              <Text style={styles.empty}>No stock movements recorded yet.</Text>
+            }
+          />
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default StockMovementModal;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    flex: 1,
+  },
+  closeButton: {
+    padding: 8,
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  onHand: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  pickerContainer: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  picker: {
+    height: 50,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+  },
+  heading: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  movement: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  movementInfo: {
+    flex: 1,
+  },
+  movementType: {
+    fontWeight: 'bold',
+  },
+  movementReason: {
+    color: '#333',
+  },
+  movementMeta: {
+    fontSize: 11,
+    color: 'gray',
+    marginTop: 2,
+  },
+  movementQty: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#4CAF50',
+  },
+  movementQtyOut: {
+    color: '#F44336',
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 20,
+    color: 'gray',
+  },
+});
@@ -0,0 +1,67 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import Svg, { Rect, Text as SvgText } from 'react-native-svg';
+
+const BAR_HEIGHT = 22;
+const BAR_GAP = 10;
+const LABEL_WIDTH = 110;
+
+const truncate = (text, length) =>
+  text.length > length ? `${text.substring(0, length - 1)}…` : text;
+
+// Horizontal bars, one row per { label, value }, longest bar = largest value
+const BarChart = ({ data, width, color = '#007bff', formatValue = String }) => {
+  const maxValue = Math.max(...data.map(item => item.value), 0);
+  const barArea = Math.max(width - LABEL_WIDTH, 0);
+  const height = data.length * (BAR_HEIGHT + BAR_GAP);
+
+  return (
+    <View style={styles.container}>
+      <Svg width={width} height={height}>
+        {data.map((item, index) => {
+          const y = index * (BAR_HEIGHT + BAR_GAP);
+          const barWidth = maxValue > 0 ? (item.value / maxValue) * barArea : 0;
+          const valueInside = barWidth > barArea * 0.6;
+
+          return (
+            <React.Fragment key={item.label + index}>
+              <SvgText
+                x={0}
+                y={y + BAR_HEIGHT / 2 + 4}
+                fontSize={12}
+                fill="#333"
+              >
+                {truncate(item.label, 16)}
+              </SvgText>
+              <Rect
+                x={LABEL_WIDTH}
+                y={y}
+                width={barWidth}
+                height={BAR_HEIGHT}
+                rx={4}
+                fill={color}
+              />
+              <SvgText
+                x={valueInside ? LABEL_WIDTH + barWidth - 6 : LABEL_WIDTH + barWidth + 6}
+                y={y + BAR_HEIGHT / 2 + 4}
+                fontSize={11}
+                fill={valueInside ? '#fff' : '#333'}
+                textAnchor={valueInside ? 'end' : 'start'}
+              >
+                {formatValue(item.value)}
+              </SvgText>
+            </React.Fragment>
+          );
+        })}
+      </Svg>
+    </View>
+  );
+};
+
+export default BarChart;
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 8,
+  },
+});
@@ -0,0 +1,99 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Circle, Path } from 'react-native-svg';
+
+export const CHART_COLORS = [
+  '#007bff',
+  '#4CAF50',
+  '#FF9800',
+  '#9C27B0',
+  '#F44336',
+  '#00BCD4',
+  '#795548',
+  '#607D8B',
+];
+
+const pointOnCircle = (radius, angle) => ({
+  x: radius + radius * Math.sin(angle),
+  y: radius - radius * Math.cos(angle),
+});
+
+const slicePath = (radius, startAngle, endAngle) => {
+  const start = pointOnCircle(radius, startAngle);
+  const end = pointOnCircle(radius, endAngle);
+  const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+  return `M ${radius} ${radius} L ${start.x} ${start.y} A ${radius} ${radius} 0 ${largeArc} 1 ${end.x} ${end.y} Z`;
+};
+
+// Pie of { label, value } slices with a legend showing each share
+const PieChart = ({ data, size = 160, formatValue = String }) => {
+  const slices = data.filter(item => item.value > 0);
+  const total = slices.reduce((sum, item) => sum + item.value, 0);
+  const radius = size / 2;
+
+  let angle = 0;
+  const paths = slices.map((item, index) => {
+    const sweep = (item.value / total) * 2 * Math.PI;
+    const startAngle = angle;
+    angle += sweep;
+    return {
+      ...item,
+      color: CHART_COLORS[index % CHART_COLORS.length],
+      path: slicePath(radius, startAngle, angle),
+      share: (item.value / total) * 100,
+    };
+  });
+
+  return (
+    <View style={styles.container}>
+      <Svg width={size} height={size}>
+        {paths.length === 1 ? (
+          <Circle cx={radius} cy={radius} r={radius} fill={paths[0].color} />
+        ) : (
+          paths.map(item => (
+            <Path key={item.label} d={item.path} fill={item.color} />
+          ))
+        )}
+      </Svg>
+      <View style={styles.legend}>
+        {paths.map(item => (
+          <View key={item.label} style={styles.legendRow}>
+            <View style={[styles.swatch, { backgroundColor: item.color }]} />
+            <Text style={styles.legendText} numberOfLines={1}>
+              {item.label} · {formatValue(item.value)} ({item.share.toFixed(0)}%)
+            </Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+export default PieChart;
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 8,
+  },
+  legend: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  legendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 2,
+  },
+  swatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 2,
+    marginRight: 6,
+  },
+  legendText: {
+    fontSize: 12,
+    flex: 1,
+  },
+});
@@ -0,0 +1,20 @@
+// src/config/device.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import { v4 as uuidv4 } from 'uuid';
+
+const DEVICE_ID_KEY = 'device_id';
+
+let deviceId = null;
+
+// Random per-install id recorded on ledger entries, stable across restarts
+export const getDeviceId = async () => {
+  if (deviceId) return deviceId;
+
+  deviceId = await AsyncStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = `${Platform.OS}-${uuidv4()}`;
+    await AsyncStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
@@ -1,23 +1,32 @@
-// src/config/environment.js - Updated with your working IP first
+// src/config/environment.js
 import { Platform } from 'react-native';
 
 const isDevelopment = __DEV__;
 
+// Credentials are entered on the Login screen and stored encrypted,
+// see src/database/session.js
+
 const ENVIRONMENTS = {
   development: {
     couchdb: {
-      possibleUrls: [
-        Platform.OS === 'android' ? 'http://10.0.2.2:5984' : 'http://localhost:5984',
-        'http://192.168.1.100:5984', // YOUR WORKING IP - FIRST
-        'http://192.168.1.101:5984',
-        'http://192.168.1.102:5984',
-        'http://192.168.0.100:5984',
-        'http://192.168.0.101:5984',
-      ],
+      // Servers are found by scanning the device's subnet, see src/database/discovery.js
+      discovery: {
+        port: 5984,
+        concurrency: 24,
+        probeTimeout: 1500,
+        maxPrefix: 24,
+        knownServerBonus: 50,
+        // Host machine as seen from the emulator/simulator
+        extraUrls: [
+          Platform.OS === 'android' ? 'http://10.0.2.2:5984' : 'http://localhost:5984',
+        ],
+      },
       businessesDB: 'businesses',
       articlesDB: 'articles',
-      username: 'shani',
-      password: 'shani@123456',
+      stockMovementsDB: 'stock_movements',
+      salesDB: 'sales',
+      categoriesDB: 'categories',
+      historyDB: 'history',
       timeout: 5000
     },
     app: {
@@ -27,24 +36,20 @@ const ENVIRONMENTS = {
   },
   production: {
     couchdb: {
-      possibleUrls: [
-        'http://192.168.1.100:5984', // YOUR WORKING IP - FIRST FOR APK
-        'http://192.168.1.101:5984',
-        'http://192.168.1.102:5984',
-        'http://192.168.1.103:5984',
-        'http://192.168.1.104:5984',
-        'http://192.168.1.105:5984',
-        'http://192.168.0.100:5984',
-        'http://192.168.0.101:5984',
-        'http://192.168.0.102:5984',
-        'http://192.168.0.103:5984',
-        'http://192.168.0.104:5984',
-        'http://192.168.0.105:5984',
-      ],
+      discovery: {
+        port: 5984,
+        concurrency: 32,
+        probeTimeout: 2000,
+        maxPrefix: 24,
+        knownServerBonus: 50,
+        extraUrls: [],
+      },
       businessesDB: 'businesses',
       articlesDB: 'articles',
-      username: 'shani',
-      password: 'shani@123456',
+      stockMovementsDB: 'stock_movements',
+      salesDB: 'sales',
+      categoriesDB: 'categories',
+      historyDB: 'history',
       timeout: 8000 // Longer timeout for production
     },
     app: {
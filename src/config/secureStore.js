@@ -0,0 +1,65 @@
+// src/config/secureStore.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import CryptoJS from 'crypto-js';
+import * as Keychain from 'react-native-keychain';
+
+const ENCRYPTION_KEY_KEY = 'server_settings_key';
+
+// The key is kept in the Android Keystore / iOS Keychain, apart from the
+// encrypted values in AsyncStorage. It stays readable after the first
+// unlock so sync can restart while the app is in the background.
+const KEYCHAIN_OPTIONS = {
+  service: ENCRYPTION_KEY_KEY,
+  accessible: Keychain.ACCESSIBLE.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+};
+
+let keyPromise = null;
+
+const loadEncryptionKey = async () => {
+  const stored = await Keychain.getGenericPassword(KEYCHAIN_OPTIONS);
+  if (stored) return stored.password;
+
+  // Older versions kept the key in AsyncStorage; it moves to the keychain
+  // so values they encrypted stay readable
+  const legacyKey = await AsyncStorage.getItem(ENCRYPTION_KEY_KEY);
+  const key = legacyKey || CryptoJS.lib.WordArray.random(32).toString();
+  const saved = await Keychain.setGenericPassword(ENCRYPTION_KEY_KEY, key, KEYCHAIN_OPTIONS);
+  if (!saved) {
+    throw new Error('Could not store the encryption key in the keychain');
+  }
+  if (legacyKey) {
+    await AsyncStorage.removeItem(ENCRYPTION_KEY_KEY);
+  }
+  return key;
+};
+
+// Random per-install key, so secrets are never stored as plain text.
+// Concurrent callers share one lookup so a new install creates one key only
+const getEncryptionKey = () => {
+  if (!keyPromise) {
+    keyPromise = loadEncryptionKey().catch(error => {
+      keyPromise = null;
+      throw error;
+    });
+  }
+  return keyPromise;
+};
+
+export const getSecureItem = async (storageKey) => {
+  const encrypted = await AsyncStorage.getItem(storageKey);
+  if (!encrypted) return null;
+
+  const key = await getEncryptionKey();
+  const decrypted = CryptoJS.AES.decrypt(encrypted, key).toString(CryptoJS.enc.Utf8);
+  return JSON.parse(decrypted);
+};
+
+export const setSecureItem = async (storageKey, value) => {
+  const key = await getEncryptionKey();
+  const encrypted = CryptoJS.AES.encrypt(JSON.stringify(value), key).toString();
+  await AsyncStorage.setItem(storageKey, encrypted);
+};
+
+export const removeSecureItem = async (storageKey) => {
+  await AsyncStorage.removeItem(storageKey);
+};
@@ -0,0 +1,46 @@
+// src/config/serverSettings.js
+import { config } from './environment';
+import { getSecureItem, setSecureItem } from './secureStore';
+
+const SETTINGS_KEY = 'server_settings';
+
+// Server database of every replicated collection, so a device can be
+// pointed at one tenant's databases as a whole
+export const DATABASE_SETTINGS = [
+  { key: 'businessesDB', label: 'Businesses Database' },
+  { key: 'categoriesDB', label: 'Categories Database' },
+  { key: 'articlesDB', label: 'Articles Database' },
+  { key: 'stockMovementsDB', label: 'Stock Movements Database' },
+  { key: 'salesDB', label: 'Sales Database' },
+  { key: 'historyDB', label: 'History Database' },
+];
+
+export const DEFAULT_SERVER_SETTINGS = {
+  url: '',
+  ...Object.fromEntries(DATABASE_SETTINGS.map(({ key }) => [key, config.couchdb[key]])),
+};
+
+// Settings saved by older versions lack the newer database names; they get the defaults
+const normalizeSettings = (settings) => ({
+  url: (settings.url || '').trim().replace(/\/+$/, ''),
+  ...Object.fromEntries(DATABASE_SETTINGS.map(({ key }) => [
+    key,
+    (settings[key] || '').trim() || DEFAULT_SERVER_SETTINGS[key],
+  ])),
+});
+
+export const loadServerSettings = async () => {
+  try {
+    const settings = await getSecureItem(SETTINGS_KEY);
+    return normalizeSettings({ ...DEFAULT_SERVER_SETTINGS, ...settings });
+  } catch (error) {
+    console.error('Error loading server settings:', error);
+    return { ...DEFAULT_SERVER_SETTINGS };
+  }
+};
+
+export const saveServerSettings = async (settings) => {
+  const normalized = normalizeSettings(settings);
+  await setSecureItem(SETTINGS_KEY, normalized);
+  return normalized;
+};
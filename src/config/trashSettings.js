@@ -0,0 +1,22 @@
+// src/config/trashSettings.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_TRASH_RETENTION_DAYS } from '../database/trash';
+
+const RETENTION_KEY = 'trash_retention_days';
+
+// Days trashed items are kept before being purged; 0 keeps them until deleted by hand
+export const loadTrashRetentionDays = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(RETENTION_KEY);
+    const days = stored === null ? NaN : Number(stored);
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+  } catch (error) {
+    console.error('Error loading trash retention:', error);
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+};
+
+export const saveTrashRetentionDays = async (days) => {
+  await AsyncStorage.setItem(RETENTION_KEY, String(days));
+  return days;
+};
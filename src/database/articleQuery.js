@@ -0,0 +1,90 @@
+// src/database/articleQuery.js
+//
+// Builds the mango query behind the article list. Every query is scoped to
+// one business so it runs on the business_id indexes of the article schema.
+
+import { NOT_TRASHED } from './trash';
+import { DEFAULT_CURRENCY, getDefaultLocale, parseMoney } from './money';
+
+export const ARTICLE_PAGE_SIZE = 30;
+
+export const ARTICLE_SORT_FIELDS = {
+  NAME: 'name',
+  QTY: 'qty',
+  PRICE: 'selling_price',
+  LAST_MODIFIED: 'updated_at',
+};
+
+export const ARTICLE_SORT_OPTIONS = [
+  { field: ARTICLE_SORT_FIELDS.NAME, label: 'Name' },
+  { field: ARTICLE_SORT_FIELDS.QTY, label: 'Quantity' },
+  { field: ARTICLE_SORT_FIELDS.PRICE, label: 'Price' },
+  { field: ARTICLE_SORT_FIELDS.LAST_MODIFIED, label: 'Last modified' },
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isEmptyBound = (value) =>
+  value === null || value === undefined || String(value).trim() === '';
+
+// Empty inputs mean "no bound"; anything unparsable is ignored as well
+const parseBound = (value) => {
+  if (isEmptyBound(value)) return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Price bounds are typed amounts, prices are stored in minor units
+const parsePriceBound = (value, currency, locale) =>
+  isEmptyBound(value) ? null : parseMoney(value, currency, locale);
+
+const rangeSelector = (lower, upper) => {
+  const range = {};
+  if (lower !== null) range.$gte = lower;
+  if (upper !== null) range.$lte = upper;
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+/**
+ * Returns { selector, sort } for the articles of a business matching
+ * the given filters. Ties are broken by id so pages never overlap.
+ * Price bounds are read as amounts of the business's currency.
+ */
+export const buildArticleQuery = ({
+  businessId,
+  search = '',
+  minQty,
+  maxQty,
+  minPrice,
+  maxPrice,
+  sortField = ARTICLE_SORT_FIELDS.NAME,
+  sortDirection = 'asc',
+  currency = DEFAULT_CURRENCY,
+  locale = getDefaultLocale(),
+}) => {
+  const selector = { business_id: businessId, ...NOT_TRASHED };
+
+  const term = search.trim();
+  if (term) {
+    selector.name = { $regex: escapeRegex(term), $options: 'i' };
+  }
+
+  const qtyRange = rangeSelector(parseBound(minQty), parseBound(maxQty));
+  if (qtyRange) selector.qty = qtyRange;
+
+  const priceRange = rangeSelector(
+    parsePriceBound(minPrice, currency, locale),
+    parsePriceBound(maxPrice, currency, locale)
+  );
+  if (priceRange) selector.selling_price = priceRange;
+
+  const direction = sortDirection === 'desc' ? 'desc' : 'asc';
+  const field = Object.values(ARTICLE_SORT_FIELDS).includes(sortField)
+    ? sortField
+    : ARTICLE_SORT_FIELDS.NAME;
+
+  return {
+    selector,
+    sort: [{ [field]: direction }, { id: 'asc' }],
+  };
+};
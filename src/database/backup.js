@@ -0,0 +1,185 @@
+// src/database/backup.js
+//
+// Backup file format and restore planning. A backup holds the documents of
+// every replicated collection together with the schema version they were
+// written with, so a file made by an older app version can be migrated on
+// restore. The conflicts collection is left out: it is this device's review
+// queue, and restoring it would reopen conflicts that were already resolved.
+
+import Ajv from 'ajv';
+import {
+  articleSchema,
+  businessSchema,
+  categorySchema,
+  historySchema,
+  saleSchema,
+  stockMovementSchema,
+} from './schemas';
+import {
+  articleMigrationStrategies,
+  businessMigrationStrategies,
+  categoryMigrationStrategies,
+  historyMigrationStrategies,
+  migrateDocumentData,
+  saleMigrationStrategies,
+  stockMovementMigrationStrategies,
+} from './migrations';
+
+export const BACKUP_FORMAT = 'inventory-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+// Restore order: documents are written after the ones they refer to
+export const BACKUP_COLLECTIONS = [
+  { name: 'businesses', schema: businessSchema, strategies: businessMigrationStrategies },
+  { name: 'categories', schema: categorySchema, strategies: categoryMigrationStrategies },
+  { name: 'articles', schema: articleSchema, strategies: articleMigrationStrategies },
+  { name: 'stock_movements', schema: stockMovementSchema, strategies: stockMovementMigrationStrategies },
+  { name: 'sales', schema: saleSchema, strategies: saleMigrationStrategies },
+  { name: 'history', schema: historySchema, strategies: historyMigrationStrategies },
+];
+
+export const RESTORE_MODES = {
+  // Add what is missing, keep local documents unless the backup's are newer
+  MERGE: 'merge',
+  // Make the local data equal to the backup
+  REPLACE: 'replace',
+};
+
+const ajv = new Ajv({ strict: false });
+const validators = {};
+BACKUP_COLLECTIONS.forEach(({ name, schema }) => {
+  validators[name] = ajv.compile(schema);
+});
+
+/**
+ * collections: { [name]: plain documents }.
+ * Returns the backup object; JSON.stringify it to get the file contents.
+ */
+export const createBackup = ({ collections, deviceId, createdAt }) => {
+  const backup = {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    createdAt,
+    deviceId,
+    collections: {},
+  };
+  BACKUP_COLLECTIONS.forEach(({ name, schema }) => {
+    backup.collections[name] = {
+      schemaVersion: schema.version,
+      docs: collections[name] || [],
+    };
+  });
+  return backup;
+};
+
+/**
+ * Reads and validates backup file contents and migrates its documents to
+ * the current schemas. Throws an Error describing the first problem found.
+ * Returns { createdAt, deviceId, collections: { [name]: documents } }.
+ */
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT || !backup.collections) {
+    throw new Error('The file is not an inventory backup');
+  }
+  if (!Number.isInteger(backup.formatVersion) || backup.formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error('The backup was made by a newer app version, please update the app');
+  }
+
+  const collections = {};
+  BACKUP_COLLECTIONS.forEach(({ name, schema, strategies }) => {
+    const stored = backup.collections[name];
+    if (!stored) {
+      collections[name] = [];
+      return;
+    }
+
+    const { schemaVersion, docs } = stored;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 0 || !Array.isArray(docs)) {
+      throw new Error(`The ${name} section of the backup is damaged`);
+    }
+    if (schemaVersion > schema.version) {
+      throw new Error('The backup was made by a newer app version, please update the app');
+    }
+
+    collections[name] = docs
+      .map(doc => migrateDocumentData(strategies, schemaVersion, schema.version, doc))
+      .filter(Boolean);
+
+    collections[name].forEach(doc => {
+      if (!validators[name](doc)) {
+        const [error] = validators[name].errors;
+        throw new Error(
+          `Invalid document "${doc[schema.primaryKey]}" in ${name}: ` +
+          `${error.instancePath.replace(/^\//, '') || 'document'} ${error.message}`
+        );
+      }
+    });
+  });
+
+  return {
+    createdAt: backup.createdAt,
+    deviceId: backup.deviceId,
+    collections,
+  };
+};
+
+const isSameValue = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => isSameValue(a[key], b[key]));
+};
+
+/**
+ * Decides how to restore one collection: { insert, update, remove, unchanged }.
+ *
+ * Documents that exist locally are updated in place, never removed and
+ * inserted again, so their revision history continues and the next sync
+ * sees an ordinary edit instead of a conflicting new document. Identical
+ * documents are not written at all.
+ */
+export const planCollectionRestore = ({ backupDocs, localDocs, primaryKey, mode }) => {
+  const localById = {};
+  localDocs.forEach(doc => {
+    localById[doc[primaryKey]] = doc;
+  });
+
+  const plan = { insert: [], update: [], remove: [], unchanged: 0 };
+  const inBackup = new Set();
+
+  backupDocs.forEach(doc => {
+    const id = doc[primaryKey];
+    const local = localById[id];
+    inBackup.add(id);
+
+    if (!local) {
+      plan.insert.push(doc);
+    } else if (isSameValue(doc, local)) {
+      plan.unchanged++;
+    } else if (mode === RESTORE_MODES.REPLACE || doc.updated_at > local.updated_at) {
+      plan.update.push(doc);
+    } else {
+      plan.unchanged++;
+    }
+  });
+
+  if (mode === RESTORE_MODES.REPLACE) {
+    plan.remove = localDocs
+      .map(doc => doc[primaryKey])
+      .filter(id => !inBackup.has(id));
+  }
+
+  return plan;
+};
@@ -0,0 +1,28 @@
+// src/database/backupFile.js
+//
+// Backups as files on the device, shared and picked through files.js.
+
+import { types } from '@react-native-documents/picker';
+import { pickTextFile, shareTextFile } from './files';
+
+const BACKUP_MIME_TYPE = 'application/json';
+
+// "inventory-backup-2026-10-19.json"
+export const getBackupFileName = (createdAt) =>
+  `inventory-backup-${new Date(createdAt).toISOString().substring(0, 10)}.json`;
+
+// Opens the share sheet with a .json file, to save it to a drive or send it to another device
+export const shareBackupFile = (json, createdAt = Date.now()) =>
+  shareTextFile({
+    text: json,
+    fileName: getBackupFileName(createdAt),
+    mimeType: BACKUP_MIME_TYPE,
+  });
+
+/**
+ * Lets the user pick a backup file and returns { name, text }, or null
+ * when the picker is cancelled. Every file type is offered because shared
+ * files often lose their JSON type; parseBackup rejects anything else.
+ */
+export const pickBackupFile = () =>
+  pickTextFile({ type: [types.allFiles], fallbackName: 'backup.json' });
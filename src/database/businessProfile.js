@@ -0,0 +1,105 @@
+// src/database/businessProfile.js
+//
+// Contact and tax details of a business, shown on its detail screen.
+//
+// The logo is kept on the business document as a data URI rather than as
+// an RxDB attachment: the LokiJS storage doesn't store attachment data and
+// the CouchDB replication doesn't transfer it, while a plain field
+// replicates and migrates like every other one. Its size is capped so
+// businesses stay small documents.
+
+export const ADDRESS_FIELDS = ['line1', 'line2', 'city', 'postal_code', 'region', 'country'];
+
+export const EMPTY_ADDRESS = {
+  line1: '',
+  line2: '',
+  city: '',
+  postal_code: '',
+  region: '',
+  country: '',
+};
+
+export const PROFILE_FIELDS = ['address', 'phone', 'email', 'tax_id', 'logo'];
+
+export const EMPTY_PROFILE = {
+  address: EMPTY_ADDRESS,
+  phone: '',
+  email: '',
+  tax_id: '',
+  logo: '',
+};
+
+// Encoded size limit of a logo; a small PNG or JPEG fits easily
+export const MAX_LOGO_LENGTH = 96 * 1024;
+
+const LOGO_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+={0,2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{3,40}$/;
+const TAX_ID_PATTERN = /^[A-Za-z0-9 ./-]{1,40}$/;
+
+export const isLogo = (value) => LOGO_PATTERN.test(value);
+
+// Trims every field; missing fields are empty
+export const normalizeProfile = (profile = {}) => {
+  const address = { ...EMPTY_ADDRESS };
+  ADDRESS_FIELDS.forEach(field => {
+    address[field] = String(profile.address?.[field] ?? '').trim();
+  });
+  return {
+    address,
+    phone: String(profile.phone ?? '').trim(),
+    email: String(profile.email ?? '').trim(),
+    tax_id: String(profile.tax_id ?? '').trim().toUpperCase(),
+    logo: String(profile.logo ?? ''),
+  };
+};
+
+// Returns an error message for a normalized profile, or null
+export const validateProfile = ({ phone, email, tax_id, logo }) => {
+  if (phone && !PHONE_PATTERN.test(phone)) {
+    return 'Phone numbers can only contain digits, spaces and + ( ) . -';
+  }
+  if (email && !EMAIL_PATTERN.test(email)) {
+    return `"${email}" is not a valid email address`;
+  }
+  if (tax_id && !TAX_ID_PATTERN.test(tax_id)) {
+    return 'Tax registration numbers have at most 40 letters, digits, spaces and . / -';
+  }
+  if (logo && !isLogo(logo)) {
+    return 'The logo must be a PNG, JPEG, GIF or WebP image';
+  }
+  if (logo.length > MAX_LOGO_LENGTH) {
+    return `The logo is too large; use an image under ${Math.floor((MAX_LOGO_LENGTH * 3) / 4 / 1024)} KB`;
+  }
+  return null;
+};
+
+// Address lines for display, without the empty ones
+export const formatAddressLines = (address = EMPTY_ADDRESS) =>
+  [
+    address.line1,
+    address.line2,
+    [address.postal_code, address.city].filter(Boolean).join(' '),
+    address.region,
+    address.country,
+  ].filter(Boolean);
+
+export const formatAddress = (address) => formatAddressLines(address).join(', ');
+
+/**
+ * Downloads an image and returns it as a data URI for the logo field.
+ * Validation (type and size) is left to validateProfile.
+ */
+export const fetchLogo = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Download failed with status ${response.status}`);
+  }
+  const blob = await response.blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Could not read the image'));
+    reader.readAsDataURL(blob);
+  });
+};
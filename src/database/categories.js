@@ -0,0 +1,121 @@
+// src/database/categories.js
+//
+// Category trees of a business. Categories point to their parent by id
+// ('' for top level); siblings are ordered by sort_order, then name.
+
+export const UNCATEGORIZED_KEY = 'uncategorized';
+
+// What happens to the articles of a category when it is deleted
+export const CATEGORY_DELETE_MODES = {
+  // Articles move to the deleted category's parent, or become uncategorized
+  MOVE_TO_PARENT: 'move_to_parent',
+  // Articles become uncategorized
+  UNCATEGORIZE: 'uncategorize',
+};
+
+const bySortOrder = (a, b) =>
+  a.sort_order - b.sort_order || a.name.localeCompare(b.name) || a.id.localeCompare(b.id);
+
+/**
+ * Flattens categories into display order, each parent followed by its
+ * children: [{ ...category, depth, path }]. path is the names from the
+ * top level down, joined with ' › '. Categories whose parent is missing
+ * (deleted on another device) are shown at the top level.
+ */
+export const buildCategoryTree = (categories) => {
+  const ids = new Set(categories.map(category => category.id));
+  const children = {};
+  categories.forEach(category => {
+    const parentId = ids.has(category.parent_id) ? category.parent_id : '';
+    if (!children[parentId]) children[parentId] = [];
+    children[parentId].push(category);
+  });
+
+  const tree = [];
+  const visited = new Set();
+  const visit = (parentId, depth, parentPath) => {
+    (children[parentId] || []).sort(bySortOrder).forEach(category => {
+      // Concurrent edits on two devices can still produce a cycle
+      if (visited.has(category.id)) return;
+      visited.add(category.id);
+
+      const path = parentPath ? `${parentPath} › ${category.name}` : category.name;
+      tree.push({ ...category, depth, path });
+      visit(category.id, depth + 1, path);
+    });
+  };
+  visit('', 0, '');
+
+  // Members of a cycle are unreachable from the top level; list them there
+  categories
+    .filter(category => !visited.has(category.id))
+    .sort(bySortOrder)
+    .forEach(category => {
+      visited.add(category.id);
+      tree.push({ ...category, depth: 0, path: category.name });
+    });
+
+  return tree;
+};
+
+// Ids of the category and everything below it
+export const getDescendantIds = (categories, categoryId) => {
+  const result = new Set([categoryId]);
+  let added = true;
+  while (added) {
+    added = false;
+    categories.forEach(category => {
+      if (result.has(category.parent_id) && !result.has(category.id)) {
+        result.add(category.id);
+        added = true;
+      }
+    });
+  }
+  return result;
+};
+
+// A category can't become its own ancestor
+export const wouldCreateCycle = (categories, categoryId, parentId) =>
+  !!parentId && getDescendantIds(categories, categoryId).has(parentId);
+
+// Sort order placing a new category after its siblings
+export const nextSortOrder = (categories, parentId) =>
+  categories
+    .filter(category => category.parent_id === parentId)
+    .reduce((max, category) => Math.max(max, category.sort_order + 1), 0);
+
+/**
+ * Groups articles into sections in category tree order:
+ * [{ key, title, depth, data }]. Empty categories are left out; articles
+ * without a known category end up in a last "Uncategorized" section.
+ * Articles keep their order within a section.
+ */
+export const groupArticlesByCategory = (articles, categories) => {
+  const tree = buildCategoryTree(categories);
+  const ids = new Set(categories.map(category => category.id));
+  const byCategory = {};
+  articles.forEach(article => {
+    const key = ids.has(article.category_id) ? article.category_id : UNCATEGORIZED_KEY;
+    if (!byCategory[key]) byCategory[key] = [];
+    byCategory[key].push(article);
+  });
+
+  const sections = tree
+    .filter(category => byCategory[category.id])
+    .map(category => ({
+      key: category.id,
+      title: category.path,
+      depth: category.depth,
+      data: byCategory[category.id],
+    }));
+
+  if (byCategory[UNCATEGORIZED_KEY]) {
+    sections.push({
+      key: UNCATEGORIZED_KEY,
+      title: 'Uncategorized',
+      depth: 0,
+      data: byCategory[UNCATEGORIZED_KEY],
+    });
+  }
+  return sections;
+};
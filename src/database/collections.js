@@ -1,12 +1,22 @@
 import { initDatabase } from './database';
 import { businessSchema, articleSchema } from './schemas';
+import {
+  businessMigrationStrategies,
+  articleMigrationStrategies,
+} from './migrations';
 
 export const setupCollections = async () => {
   const db = await initDatabase();
 
   await db.addCollections({
-    businesses: { schema: businessSchema },
-    articles: { schema: articleSchema },
+    businesses: {
+      schema: businessSchema,
+      migrationStrategies: businessMigrationStrategies,
+    },
+    articles: {
+      schema: articleSchema,
+      migrationStrategies: articleMigrationStrategies,
+    },
   });
 
   return db;
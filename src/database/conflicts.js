@@ -0,0 +1,166 @@
+// src/database/conflicts.js
+import { deepEqual } from 'rxdb/plugins/utils';
+
+// Replication bookkeeping fields that never take part in a merge
+const META_FIELDS = ['_meta', '_rev', '_attachments'];
+
+// Edit timestamps always merge to the later value and never conflict
+const TIMESTAMP_FIELDS = ['updated_at'];
+
+// Who made the last edit follows the side with the later edit timestamp
+const EDITOR_FIELDS = ['updated_by', 'device_id'];
+
+// The two versions of a conflicting document
+export const CONFLICT_SIDES = {
+  LOCAL: 'local',
+  REMOTE: 'remote',
+};
+
+const stripMeta = (docData) => {
+  const stripped = { ...docData };
+  META_FIELDS.forEach(field => delete stripped[field]);
+  stripped._deleted = !!stripped._deleted;
+  return stripped;
+};
+
+const changedFrom = (base, docData, field) =>
+  !deepEqual(base?.[field], docData[field]);
+
+/**
+ * Three-way merge of a local and a remote document state.
+ *
+ * `base` is the last server state this device saw (RxDB's assumed master
+ * state). A field changed on only one side takes that side's value; a field
+ * changed on both sides to different values is a conflict. Without a base
+ * every differing field is a conflict.
+ *
+ * `derivedFields` are recomputed locally after replication (e.g. an
+ * article's qty from the stock ledger), so they take the server value and
+ * are reported separately instead of as conflicts.
+ *
+ * Returns the merged data, the conflicting fields and the derived fields
+ * that differed.
+ */
+export const mergeDocuments = (base, local, remote, { derivedFields = [] } = {}) => {
+  const baseData = base ? stripMeta(base) : null;
+  const localData = stripMeta(local);
+  const remoteData = stripMeta(remote);
+
+  // A deletion on one side only wins if the other side did not edit the document
+  if (localData._deleted !== remoteData._deleted) {
+    const deletedSide = localData._deleted ? localData : remoteData;
+    const editedSide = localData._deleted ? remoteData : localData;
+    const editedSinceBase = baseData && !deepEqual(editedSide, baseData);
+    if (!baseData || editedSinceBase) {
+      return { merged: remoteData, conflictingFields: ['_deleted'], staleFields: [] };
+    }
+    return { merged: deletedSide, conflictingFields: [], staleFields: [] };
+  }
+
+  const fields = new Set([...Object.keys(localData), ...Object.keys(remoteData)]);
+  const merged = {};
+  const conflictingFields = [];
+  const staleFields = [];
+
+  fields.forEach(field => {
+    const localValue = localData[field];
+    const remoteValue = remoteData[field];
+
+    if (deepEqual(localValue, remoteValue)) {
+      merged[field] = remoteValue;
+    } else if (TIMESTAMP_FIELDS.includes(field)) {
+      merged[field] = Math.max(localValue || 0, remoteValue || 0);
+    } else if (EDITOR_FIELDS.includes(field)) {
+      merged[field] = (localData.updated_at || 0) > (remoteData.updated_at || 0)
+        ? localValue
+        : remoteValue;
+    } else if (derivedFields.includes(field)) {
+      merged[field] = remoteValue;
+      staleFields.push(field);
+    } else if (baseData && !changedFrom(baseData, localData, field)) {
+      merged[field] = remoteValue;
+    } else if (baseData && !changedFrom(baseData, remoteData, field)) {
+      merged[field] = localValue;
+    } else {
+      merged[field] = remoteValue;
+      conflictingFields.push(field);
+    }
+  });
+
+  Object.keys(merged).forEach(field => {
+    if (merged[field] === undefined) {
+      delete merged[field];
+    }
+  });
+
+  return { merged, conflictingFields, staleFields };
+};
+
+/**
+ * Conflict handler for a replicated collection.
+ *
+ * Field-level differences are merged automatically. Real conflicts keep the
+ * server state so replication can continue, and the local state is handed
+ * to `onConflict` so the user can review it on the Conflicts screen.
+ * `onStale(documentId)` is called when derived fields need recomputing.
+ */
+export const createConflictHandler = (
+  collectionName,
+  onConflict,
+  { derivedFields = [], onStale } = {}
+) =>
+  async (input, context) => {
+    const localState = stripMeta(input.newDocumentState);
+    const remoteState = stripMeta(input.realMasterState);
+
+    if (deepEqual(localState, remoteState)) {
+      return { isEqual: true };
+    }
+
+    // RxDB also calls the handler just to compare states
+    if (context !== 'replication-resolve-conflict') {
+      return { isEqual: false, documentData: input.realMasterState };
+    }
+
+    const { merged, conflictingFields, staleFields } = mergeDocuments(
+      input.assumedMasterState,
+      input.newDocumentState,
+      input.realMasterState,
+      { derivedFields }
+    );
+
+    if (staleFields.length > 0 && onStale) {
+      onStale(remoteState.id);
+    }
+
+    if (conflictingFields.length > 0) {
+      try {
+        await onConflict({
+          collection: collectionName,
+          local: localState,
+          remote: remoteState,
+          fields: conflictingFields,
+        });
+      } catch (error) {
+        console.error('Error recording conflict:', error);
+      }
+    }
+
+    return { isEqual: false, documentData: merged };
+  };
+
+/**
+ * Changes that resolve a recorded conflict: this device's value of every
+ * conflicting field chosen with CONFLICT_SIDES.LOCAL. All other fields are
+ * left as the current document has them, so server edits to them and
+ * edits made since the conflict was recorded are kept.
+ */
+export const buildResolutionPatch = (conflict, choices) => {
+  const patch = {};
+  conflict.fields
+    .filter(field => field !== '_deleted' && choices[field] === CONFLICT_SIDES.LOCAL)
+    .forEach(field => {
+      patch[field] = conflict.local[field];
+    });
+  return patch;
+};
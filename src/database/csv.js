@@ -0,0 +1,133 @@
+// src/database/csv.js
+//
+// CSV reading and writing for spreadsheet exchange. Follows RFC 4180:
+// fields containing commas, quotes or line breaks are quoted and quotes
+// inside them are doubled.
+
+import { fromMinorUnits, getCurrencyDecimals, parseMoney } from './money';
+import { formatAddress } from './businessProfile';
+
+const needsQuoting = /[",\r\n]/;
+
+const formatField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return needsQuoting.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: arrays of values, the first row usually being the header
+export const toCsv = (rows) =>
+  rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings). Accepts
+ * \n and \r\n line endings and a leading byte order mark; blank lines
+ * are skipped.
+ */
+export const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+export const BUSINESS_CSV_COLUMNS = ['id', 'name', 'currency', 'tax_id', 'phone', 'email', 'address'];
+
+export const ARTICLE_CSV_COLUMNS = [
+  'id',
+  'name',
+  'sku',
+  'qty',
+  'selling_price',
+  'cost_price',
+  'currency',
+  'reorder_level',
+  'reorder_qty',
+  'business_id',
+  'business_name',
+];
+
+// The address is written as one line; the logo is left out
+export const businessesToCsv = (businesses) =>
+  toCsv([
+    BUSINESS_CSV_COLUMNS,
+    ...businesses.map(business => BUSINESS_CSV_COLUMNS.map(column =>
+      (column === 'address' ? formatAddress(business.address) : business[column])
+    )),
+  ]);
+
+// Prices are written in major units with a "." so spreadsheets read them as numbers
+const MONEY_COLUMNS = ['selling_price', 'cost_price'];
+
+const formatCsvMoney = (minor, currency) =>
+  fromMinorUnits(minor, currency).toFixed(getCurrencyDecimals(currency));
+
+/**
+ * Reads a price cell into minor units, or null. Amounts in the export's
+ * own format ("1.500" for a 3-decimal currency) are read the same on every
+ * device; parseMoney would take that "." for grouping in locales that
+ * group with it. Anything else is read with the given locale.
+ */
+export const parseCsvMoney = (text, currency, locale) => {
+  const decimals = getCurrencyDecimals(currency);
+  const exported = decimals > 0 && new RegExp(`^\\d+\\.\\d{${decimals}}$`).test(text);
+  return parseMoney(text, currency, exported ? 'en-US' : locale);
+};
+
+// business_name is added for readability, imports match on id or name only
+export const articlesToCsv = (articles, businesses) => {
+  const businessNames = {};
+  businesses.forEach(business => {
+    businessNames[business.id] = business.name;
+  });
+
+  return toCsv([
+    ARTICLE_CSV_COLUMNS,
+    ...articles.map(article =>
+      ARTICLE_CSV_COLUMNS.map(column => {
+        if (column === 'business_name') return businessNames[article.business_id];
+        if (MONEY_COLUMNS.includes(column)) return formatCsvMoney(article[column], article.currency);
+        return article[column];
+      })
+    ),
+  ]);
+};
@@ -0,0 +1,30 @@
+// src/database/csvFile.js
+//
+// CSV exports and imports as files, shared and picked through files.js.
+
+import { types } from '@react-native-documents/picker';
+import { pickTextFile, shareTextFile } from './files';
+
+const CSV_MIME_TYPE = 'text/csv';
+
+// "articles-corner-shop-2026-10-19.csv"; names without latin letters or digits become "export"
+export const getCsvFileName = (kind, scopeName, createdAt = Date.now()) => {
+  const scope = scopeName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  const date = new Date(createdAt).toISOString().substring(0, 10);
+  return `${kind}-${scope || 'export'}-${date}.csv`;
+};
+
+// Opens the share sheet with a .csv file, to open it in a spreadsheet app or mail it
+export const shareCsvFile = (csv, fileName) =>
+  shareTextFile({ text: csv, fileName, mimeType: CSV_MIME_TYPE });
+
+/**
+ * Lets the user pick a CSV file and returns { name, text }, or null when
+ * the picker is cancelled. Plain text is offered as well, as some apps
+ * save CSV files without their type.
+ */
+export const pickCsvFile = () =>
+  pickTextFile({ type: [types.csv, types.plainText], fallbackName: 'import.csv' });
@@ -0,0 +1,267 @@
+// src/database/csvImport.js
+//
+// Turns the rows of an article spreadsheet into a plan of articles to
+// create and update for one business. Nothing is written here; the plan
+// is shown as a preview and applied by importArticles in database.js.
+
+import Ajv from 'ajv';
+import { articleSchema } from './schemas';
+import { findSkuClash, normalizeSku } from './sku';
+import { DEFAULT_CURRENCY, getDefaultLocale } from './money';
+import { parseCsvMoney } from './csv';
+import { isTrashed } from './trash';
+
+const validateArticle = new Ajv({ strict: false, allErrors: true }).compile(articleSchema);
+
+export const ARTICLE_IMPORT_FIELDS = [
+  { field: 'id', label: 'ID', aliases: ['id', 'article_id', 'uuid'] },
+  {
+    field: 'name',
+    label: 'Name',
+    required: true,
+    aliases: ['name', 'article', 'article_name', 'item', 'product', 'description'],
+  },
+  {
+    field: 'sku',
+    label: 'SKU / barcode',
+    aliases: ['sku', 'barcode', 'ean', 'upc', 'code', 'article_number'],
+  },
+  {
+    field: 'qty',
+    label: 'Quantity',
+    integer: true,
+    aliases: ['qty', 'quantity', 'stock', 'on_hand'],
+  },
+  {
+    field: 'selling_price',
+    label: 'Selling price',
+    money: true,
+    required: true,
+    aliases: ['selling_price', 'price', 'sale_price', 'unit_price'],
+  },
+  {
+    field: 'cost_price',
+    label: 'Cost price',
+    money: true,
+    aliases: ['cost_price', 'cost', 'purchase_price'],
+  },
+  {
+    field: 'reorder_level',
+    label: 'Reorder level',
+    integer: true,
+    aliases: ['reorder_level', 'min_stock'],
+  },
+  {
+    field: 'reorder_qty',
+    label: 'Reorder quantity',
+    integer: true,
+    aliases: ['reorder_qty', 'reorder_quantity'],
+  },
+];
+
+const NUMBER_FIELDS = ['qty', 'selling_price', 'cost_price', 'reorder_level', 'reorder_qty'];
+
+const normalizeHeader = (header) =>
+  String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+const nameKey = (name) => String(name).trim().toLowerCase();
+
+/**
+ * Best guess of which column holds which field, matched on the header
+ * names. Returns { [field]: columnIndex }, null for fields without a column.
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+
+  ARTICLE_IMPORT_FIELDS.forEach(({ field, aliases }) => {
+    const index = normalized.findIndex(
+      (header, column) => !used.has(column) && aliases.includes(header)
+    );
+    mapping[field] = index === -1 ? null : index;
+    if (index !== -1) used.add(index);
+  });
+  return mapping;
+};
+
+// Reads the mapped cells of a row; empty and invalid cells are left out.
+// Prices are read as amounts of currency and kept in minor units.
+const readRow = (row, mapping, { currency, locale }) => {
+  const values = {};
+  const errors = [];
+  const invalid = new Set();
+
+  ARTICLE_IMPORT_FIELDS.forEach(({ field, label, integer, money }) => {
+    const column = mapping[field];
+    if (column === null || column === undefined) return;
+
+    const text = String(row[column] ?? '').trim();
+    if (text === '') return;
+
+    if (field === 'sku') {
+      values.sku = normalizeSku(text);
+      return;
+    }
+    if (!NUMBER_FIELDS.includes(field)) {
+      values[field] = text;
+      return;
+    }
+
+    const number = money ? parseCsvMoney(text, currency, locale) : Number(text);
+    let error = null;
+    if (money && text.startsWith('-')) {
+      error = `${label} must not be negative`;
+    } else if (money && number === null) {
+      error = `${label} "${text}" is not a valid amount`;
+    } else if (!Number.isFinite(number)) {
+      error = `${label} "${text}" is not a number`;
+    } else if (integer && !Number.isInteger(number)) {
+      error = `${label} must be a whole number`;
+    } else if (field !== 'qty' && number < 0) {
+      error = `${label} must not be negative`;
+    }
+
+    if (error) {
+      errors.push(error);
+      invalid.add(field);
+    } else {
+      values[field] = number;
+    }
+  });
+
+  return { values, errors, invalid };
+};
+
+const schemaErrors = () =>
+  (validateArticle.errors || []).map(error =>
+    `${error.instancePath.replace(/^\//, '') || 'article'} ${error.message}`
+  );
+
+const hasChanged = (article, previous) =>
+  Object.keys(article).some(field => article[field] !== previous[field]);
+
+/**
+ * Plans the import of data rows (header excluded) into a business.
+ *
+ * A row updates an existing article when its id matches one, or else when
+ * its SKU or name matches an article of the business (names
+ * case-insensitively). Other rows create articles; ids from the file are
+ * kept so re-importing an export doesn't duplicate anything. Rows that fail
+ * validation against the article schema, that use another article's SKU or
+ * that refer to the same article as an earlier row are rejected, as are
+ * rows whose id belongs to an article in the trash. Prices are read as
+ * amounts of the business's currency, with either decimal separator.
+ *
+ * Returns { create, update, unchanged, rejected } with entries of
+ * { rowNumber, article, previous? } or { rowNumber, name, errors }.
+ * Row numbers count the header as row 1, like a spreadsheet does.
+ */
+export const planArticleImport = ({
+  rows,
+  mapping,
+  businessId,
+  currency = DEFAULT_CURRENCY,
+  locale = getDefaultLocale(),
+  existingArticles,
+  createId,
+}) => {
+  const byId = {};
+  const bySku = {};
+  const byName = {};
+  const liveArticles = existingArticles.filter(article => !isTrashed(article));
+  existingArticles.forEach(article => {
+    byId[article.id] = article;
+    if (article.business_id === businessId && !isTrashed(article)) {
+      if (article.sku) bySku[article.sku] = article;
+      byName[nameKey(article.name)] = article;
+    }
+  });
+
+  const plan = { create: [], update: [], unchanged: [], rejected: [] };
+  const claimedIds = {};
+  const claimedNames = {};
+  const claimedSkus = {};
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const { values, errors, invalid } = readRow(row, mapping, { currency, locale });
+
+    let previous = values.id ? byId[values.id] : undefined;
+    if (previous && previous.business_id !== businessId) {
+      errors.push('ID belongs to an article of another business');
+    } else if (previous && isTrashed(previous)) {
+      errors.push('Article is in the trash; restore it first');
+    }
+    if (!previous && !values.id && values.sku) {
+      previous = bySku[values.sku];
+    }
+    if (!previous && !values.id && values.name) {
+      previous = byName[nameKey(values.name)];
+    }
+
+    if (!previous && !values.name) errors.push('Name is missing');
+    if (!previous && values.selling_price === undefined && !invalid.has('selling_price')) {
+      errors.push('Selling price is missing');
+    }
+
+    const article = previous
+      ? { ...previous, ...values }
+      : {
+        id: values.id || createId(),
+        sku: '',
+        qty: 0,
+        cost_price: 0,
+        currency,
+        tax_rate_id: '',
+        price_includes_tax: true,
+        reorder_level: 0,
+        reorder_qty: 0,
+        deleted_at: 0,
+        created_at: 0,
+        updated_at: 0,
+        updated_by: '',
+        device_id: '',
+        ...values,
+        business_id: businessId,
+        category_id: '',
+      };
+
+    const duplicateOf = claimedIds[article.id] || (article.name && claimedNames[nameKey(article.name)]);
+    const skuClash = findSkuClash(liveArticles, {
+      sku: article.sku,
+      businessId,
+      articleId: article.id,
+    });
+    if (duplicateOf) {
+      errors.push(`Same article as row ${duplicateOf}`);
+    } else if (skuClash) {
+      errors.push(`SKU ${article.sku} is already used by ${skuClash.name}`);
+    } else if (article.sku && claimedSkus[article.sku]) {
+      errors.push(`SKU ${article.sku} is also used in row ${claimedSkus[article.sku]}`);
+    }
+
+    if (errors.length === 0 && !validateArticle(article)) {
+      errors.push(...schemaErrors());
+    }
+
+    if (errors.length > 0) {
+      plan.rejected.push({ rowNumber, name: values.name || previous?.name || '', errors });
+      return;
+    }
+
+    claimedIds[article.id] = rowNumber;
+    claimedNames[nameKey(article.name)] = rowNumber;
+    if (article.sku) claimedSkus[article.sku] = rowNumber;
+
+    if (!previous) {
+      plan.create.push({ rowNumber, article });
+    } else if (hasChanged(article, previous)) {
+      plan.update.push({ rowNumber, article, previous });
+    } else {
+      plan.unchanged.push({ rowNumber, article, previous });
+    }
+  });
+
+  return plan;
+};
@@ -2,101 +2,232 @@
 import { createRxDatabase, addRxPlugin } from 'rxdb';
 import { RxDBQueryBuilderPlugin } from 'rxdb/plugins/query-builder';
 import { RxDBUpdatePlugin } from 'rxdb/plugins/update';
-import { replicateCouchDB, getFetchWithCouchDBAuthorization } from 'rxdb/plugins/replication-couchdb';
-import { getRxStorageMemory } from 'rxdb/plugins/storage-memory';
+import { RxDBMigrationSchemaPlugin } from 'rxdb/plugins/migration-schema';
+import { replicateCouchDB } from 'rxdb/plugins/replication-couchdb';
+import { combineLatest, distinctUntilChanged, map, skip } from 'rxjs';
+import { getRxStorageLoki, getLokiDatabase } from 'rxdb/plugins/storage-lokijs';
+import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import NetInfo from '@react-native-community/netinfo';
-import { articleSchema, businessSchema } from './schemas';
+import {
+  articleSchema,
+  businessSchema,
+  categorySchema,
+  conflictSchema,
+  historySchema,
+  saleSchema,
+  stockMovementSchema,
+} from './schemas';
+import { CONFLICT_SIDES, buildResolutionPatch, createConflictHandler } from './conflicts';
+import { setOnline, setCurrentUrl, trackReplication } from './syncState';
+import {
+  SESSION_STATUS,
+  session$,
+  getSession,
+  restoreSession,
+  signIn,
+  signOut,
+  expireSession,
+  sessionFetch,
+} from './session';
+import {
+  articleMigrationStrategies,
+  businessMigrationStrategies,
+  categoryMigrationStrategies,
+  historyMigrationStrategies,
+  stockMovementMigrationStrategies,
+  saleMigrationStrategies,
+  migrateDocumentData,
+} from './migrations';
+import { createSQLiteAdapter } from './sqliteAdapter';
+import { findBestServer, probeServer } from './discovery';
+import { buildArticleQuery } from './articleQuery';
+import {
+  STOCK_MOVEMENT_TYPES,
+  signedQuantity,
+  sumMovements,
+  openingBalanceId,
+} from './stockLedger';
+import { buildSaleLines, calculateSaleTotals, findShortages } from './sales';
+import { calculateStockValue } from './pricing';
+import { buildBusinessReport, buildInventoryReports } from './reports';
+import { findArticlesToReorder } from './reorder';
+import { articlesToCsv, businessesToCsv } from './csv';
+import { normalizeSku, validateSku } from './sku';
+import {
+  CATEGORY_DELETE_MODES,
+  nextSortOrder,
+  wouldCreateCycle,
+} from './categories';
+import { planArticleImport } from './csvImport';
+import { NOT_TRASHED, buildTrashList, getPurgeCutoff, isTrashed } from './trash';
+import { TRACKED_FIELDS, createHistoryEntry } from './history';
+import { DEFAULT_CURRENCY, convertMinorUnits, isSupportedCurrency } from './money';
+import { findMatchingTaxRateId, findTaxRate, validateTaxRates } from './tax';
+import { normalizeProfile, validateProfile } from './businessProfile';
+import {
+  BACKUP_COLLECTIONS,
+  createBackup,
+  parseBackup,
+  planCollectionRestore,
+} from './backup';
 import { config } from '../config/environment';
+import {
+  DATABASE_SETTINGS,
+  loadServerSettings,
+  saveServerSettings,
+} from '../config/serverSettings';
+import { loadTrashRetentionDays } from '../config/trashSettings';
+import { getDeviceId } from '../config/device';
+import { v4 as uuidv4 } from 'uuid';
 
 // Add plugins
 addRxPlugin(RxDBQueryBuilderPlugin);
 addRxPlugin(RxDBUpdatePlugin);
+addRxPlugin(RxDBMigrationSchemaPlugin);
 
 let dbInstance;
+let dbPromise = null;
 const DB_NAME = 'businessapp';
 
+const sqliteAdapter = createSQLiteAdapter();
+const LOKI_SETTINGS = { adapter: sqliteAdapter };
+
 // AsyncStorage keys
 const BUSINESSES_KEY = 'businesses_data';
 const ARTICLES_KEY = 'articles_data';
-const COUCHDB_URL_KEY = 'couchdb_url';
+const LEGACY_MIGRATED_KEY = 'legacy_storage_migrated';
 
 const COUCHDB_CONFIG = {
-  possibleUrls: config.couchdb.possibleUrls,
+  configuredUrl: '',
   businessesDB: config.couchdb.businessesDB,
   articlesDB: config.couchdb.articlesDB,
-  username: config.couchdb.username,
-  password: config.couchdb.password,
+  stockMovementsDB: config.couchdb.stockMovementsDB,
+  salesDB: config.couchdb.salesDB,
+  categoriesDB: config.couchdb.categoriesDB,
+  historyDB: config.couchdb.historyDB,
   currentUrl: null,
   timeout: config.couchdb.timeout
 };
 
-let businessReplication = null;
-let articleReplication = null;
+// Running replications by collection name
+let replications = {};
+let stopTracking = [];
+let removeListeners = [];
 let isOnline = false;
 
-// Auto-detect working CouchDB URL
+// Copy the user's server settings into the active CouchDB config
+const applyServerSettings = (settings) => {
+  COUCHDB_CONFIG.configuredUrl = settings.url;
+  DATABASE_SETTINGS.forEach(({ key }) => {
+    COUCHDB_CONFIG[key] = settings[key];
+  });
+};
+
+// Find the CouchDB server to sync with
 const detectCouchDBUrl = async () => {
-  const savedUrl = await AsyncStorage.getItem(COUCHDB_URL_KEY);
-  if (savedUrl && await testCouchDBUrl(savedUrl)) {
-    COUCHDB_CONFIG.currentUrl = savedUrl;
-    return savedUrl;
+  // A server chosen in Settings is never replaced by auto-detection
+  if (COUCHDB_CONFIG.configuredUrl) {
+    if (await testCouchDBUrl(COUCHDB_CONFIG.configuredUrl)) {
+      COUCHDB_CONFIG.currentUrl = COUCHDB_CONFIG.configuredUrl;
+      setCurrentUrl(COUCHDB_CONFIG.configuredUrl);
+      return COUCHDB_CONFIG.configuredUrl;
+    }
+    return null;
   }
 
-  for (const url of COUCHDB_CONFIG.possibleUrls) {
-    if (await testCouchDBUrl(url)) {
-      COUCHDB_CONFIG.currentUrl = url;
-      await AsyncStorage.setItem(COUCHDB_URL_KEY, url);
-      return url;
-    }
+  const server = await findBestServer();
+  if (server) {
+    COUCHDB_CONFIG.currentUrl = server.url;
+    setCurrentUrl(server.url);
+    return server.url;
   }
   return null;
 };
 
 // Test a specific CouchDB URL
 const testCouchDBUrl = async (url) => {
-  try {
-    const customFetch = getFetchWithCouchDBAuthorization(
-      COUCHDB_CONFIG.username,
-      COUCHDB_CONFIG.password
-    );
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), COUCHDB_CONFIG.timeout);
+  const result = await probeServer(url, COUCHDB_CONFIG.timeout);
+  return !!result;
+};
 
-    const cleanUrl = url.replace(/\/$/, '');
-    const response = await customFetch(`${cleanUrl}/`, {
-      signal: controller.signal
+// Screens and hooks call this concurrently on startup; they all share one instance
+export const initDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = createDatabase().catch(error => {
+      dbPromise = null;
+      throw error;
     });
-
-    clearTimeout(timeoutId);
-    return response.ok;
-  } catch (error) {
-    return false;
   }
+  return dbPromise;
 };
 
-export const initDatabase = async () => {
-  if (dbInstance) return dbInstance;
-
+const createDatabase = async () => {
   try {
+    if (getSession().status === SESSION_STATUS.UNKNOWN) {
+      await restoreSession();
+    }
+
     const db = await createRxDatabase({
       name: DB_NAME,
-      storage: getRxStorageMemory(),
+      storage: getRxStorageLoki(LOKI_SETTINGS),
       multiInstance: false,
       ignoreDuplicate: true,
     });
 
+    // Stored documents are migrated to the current schema versions here
     await db.addCollections({
-      businesses: { schema: businessSchema },
-      articles: { schema: articleSchema }
+      businesses: {
+        schema: businessSchema,
+        migrationStrategies: businessMigrationStrategies,
+        conflictHandler: createConflictHandler('businesses', conflict => recordConflict(db, conflict))
+      },
+      categories: {
+        schema: categorySchema,
+        migrationStrategies: categoryMigrationStrategies,
+        conflictHandler: createConflictHandler('categories', conflict => recordConflict(db, conflict))
+      },
+      articles: {
+        schema: articleSchema,
+        migrationStrategies: articleMigrationStrategies,
+        conflictHandler: createConflictHandler(
+          'articles',
+          conflict => recordConflict(db, conflict),
+          // qty is recomputed from the stock ledger, never merged by hand
+          { derivedFields: ['qty'], onStale: scheduleReconcile }
+        )
+      },
+      // Movements are never edited, so the default handler (server wins) suffices
+      stock_movements: {
+        schema: stockMovementSchema,
+        migrationStrategies: stockMovementMigrationStrategies
+      },
+      sales: {
+        schema: saleSchema,
+        migrationStrategies: saleMigrationStrategies
+      },
+      // History entries are append-only like movements
+      history: {
+        schema: historySchema,
+        migrationStrategies: historyMigrationStrategies
+      },
+      conflicts: { schema: conflictSchema }
     });
 
-    // Load persisted data
-    await loadPersistedData(db);
+    // Import data saved by older app versions
+    await migrateLegacyStorage(db);
+    await backfillOpeningBalances(db);
+    await purgeTrashNow(db);
+
+    applyServerSettings(await loadServerSettings());
+
+    // Write pending changes before the OS can suspend the app
+    setupBackgroundFlush();
+    setupTrashPurge(db);
     
     // Setup network monitoring and sync
     await setupNetworkMonitoring(db);
+    setupSessionMonitoring(db);
 
     dbInstance = db;
     return db;
@@ -111,167 +242,238 @@ const setupNetworkMonitoring = async (db) => {
   try {
     const netInfo = await NetInfo.fetch();
     isOnline = netInfo.isConnected;
+    setOnline(isOnline);
 
     if (isOnline) {
-      const workingUrl = await detectCouchDBUrl();
-      if (workingUrl) {
-        await createCouchDBDatabases();
-        await startSync(db);
-      }
+      await connectAndSync(db);
     }
 
-    NetInfo.addEventListener(state => {
+    const unsubscribe = NetInfo.addEventListener(state => {
       const wasOffline = !isOnline;
       isOnline = state.isConnected;
+      setOnline(isOnline);
       
       if (wasOffline && isOnline) {
-        detectCouchDBUrl().then(workingUrl => {
-          if (workingUrl) {
-            createCouchDBDatabases().then(() => startSync(db));
-          }
-        });
+        connectAndSync(db);
       } else if (!isOnline) {
         stopSync();
       }
     });
+    removeListeners.push(unsubscribe);
   } catch (error) {
     console.error('Error setting up network monitoring:', error);
   }
 };
 
+// Stop sync when the user signs out or the session expires, restart after sign-in
+const setupSessionMonitoring = (db) => {
+  const subscription = session$
+    .pipe(
+      map(session => session.status),
+      distinctUntilChanged(),
+      skip(1)
+    )
+    .subscribe(status => {
+      if (status === SESSION_STATUS.AUTHENTICATED) {
+        if (isOnline) {
+          connectAndSync(db);
+        }
+      } else {
+        stopSync();
+      }
+    });
+  removeListeners.push(() => subscription.unsubscribe());
+};
+
+// Find a reachable server, make sure its databases exist and start replicating
+const connectAndSync = async (db) => {
+  if (getSession().status !== SESSION_STATUS.AUTHENTICATED) return;
+
+  try {
+    const workingUrl = await detectCouchDBUrl();
+    if (workingUrl) {
+      await createCouchDBDatabases();
+      await startSync(db);
+    }
+  } catch (error) {
+    console.error('Error connecting to CouchDB:', error);
+  }
+};
+
+// Flush pending writes when the app leaves the foreground
+const setupBackgroundFlush = () => {
+  const subscription = AppState.addEventListener('change', nextAppState => {
+    if (nextAppState === 'active') {
+      sqliteAdapter.setDebounceEnabled(true);
+    } else {
+      sqliteAdapter.setDebounceEnabled(false);
+      flushDatabase();
+    }
+  });
+  removeListeners.push(() => subscription.remove());
+};
+
+// Write all pending changes to SQLite without waiting for the debounce
+export const flushDatabase = async () => {
+  if (!dbInstance) return;
+
+  try {
+    sqliteAdapter.flush();
+    const lokiState = await getLokiDatabase(DB_NAME, LOKI_SETTINGS);
+    await lokiState.saveQueue.run();
+  } catch (error) {
+    console.error('Error flushing database:', error);
+  }
+};
+
 // Start bidirectional sync
+// Collections replicated to CouchDB and the server database each one uses.
+// The identifier prefix keeps the checkpoints of existing installs valid.
+const getReplicatedCollections = () => [
+  {
+    name: 'businesses',
+    identifier: 'business-replication',
+    dbName: COUCHDB_CONFIG.businessesDB,
+    schema: businessSchema,
+    strategies: businessMigrationStrategies,
+  },
+  {
+    name: 'categories',
+    identifier: 'category-replication',
+    dbName: COUCHDB_CONFIG.categoriesDB,
+    schema: categorySchema,
+    strategies: categoryMigrationStrategies,
+  },
+  {
+    name: 'articles',
+    identifier: 'article-replication',
+    dbName: COUCHDB_CONFIG.articlesDB,
+    schema: articleSchema,
+    strategies: articleMigrationStrategies,
+  },
+  {
+    name: 'stock_movements',
+    identifier: 'stock-movement-replication',
+    dbName: COUCHDB_CONFIG.stockMovementsDB,
+    schema: stockMovementSchema,
+    strategies: stockMovementMigrationStrategies,
+  },
+  {
+    name: 'sales',
+    identifier: 'sale-replication',
+    dbName: COUCHDB_CONFIG.salesDB,
+    schema: saleSchema,
+    strategies: saleMigrationStrategies,
+  },
+  {
+    name: 'history',
+    identifier: 'history-replication',
+    dbName: COUCHDB_CONFIG.historyDB,
+    schema: historySchema,
+    strategies: historyMigrationStrategies,
+  },
+];
+
 const startSync = async (db) => {
   if (!isOnline || !COUCHDB_CONFIG.currentUrl) return;
+  if (getSession().status !== SESSION_STATUS.AUTHENTICATED) return;
 
   try {
     stopSync();
 
-    const customFetch = getFetchWithCouchDBAuthorization(
-      COUCHDB_CONFIG.username,
-      COUCHDB_CONFIG.password
-    );
-
     const baseUrl = COUCHDB_CONFIG.currentUrl.replace(/\/+$/, '');
-    const businessUrl = baseUrl + '/businesses/';
-    const articleUrl = baseUrl + '/articles/';
-
-    // Setup businesses replication
-    businessReplication = replicateCouchDB({
-      replicationIdentifier: 'business-replication',
-      collection: db.businesses,
-      url: businessUrl,
-      live: true,
-      fetch: customFetch,
-      pull: { batchSize: 10 },
-      push: { batchSize: 10 }
-    });
 
-    // Setup articles replication
-    articleReplication = replicateCouchDB({
-      replicationIdentifier: 'article-replication',
-      collection: db.articles,
-      url: articleUrl,
-      live: true,
-      fetch: customFetch,
-      pull: { batchSize: 10 },
-      push: { batchSize: 10 }
-    });
+    getReplicatedCollections().forEach(({ name, identifier, dbName, schema, strategies }) => {
+      const url = `${baseUrl}/${dbName}/`;
 
-    // Auto-save to AsyncStorage on sync
-    if (businessReplication) {
-      businessReplication.sent$.subscribe(() => {
-        setTimeout(() => saveBusinessesToStorage(db), 1000);
+      // Checkpoints belong to one server database, so the URL is part of the identifier
+      replications[name] = replicateCouchDB({
+        replicationIdentifier: `${identifier}-${url}`,
+        collection: db[name],
+        url,
+        live: true,
+        fetch: sessionFetch,
+        pull: {
+          batchSize: 10,
+          // Other devices may still push documents in an older shape
+          modifier: doc => migrateDocumentData(strategies, 0, schema.version, doc)
+        },
+        push: { batchSize: 10 }
       });
-      businessReplication.received$.subscribe(() => {
-        setTimeout(() => saveBusinessesToStorage(db), 1000);
-      });
-    }
 
-    if (articleReplication) {
-      articleReplication.sent$.subscribe(() => {
-        setTimeout(() => saveArticlesToStorage(db), 1000);
-      });
-      articleReplication.received$.subscribe(() => {
-        setTimeout(() => saveArticlesToStorage(db), 1000);
-      });
-    }
+      stopTracking.push(trackReplication(name, replications[name]));
+    });
 
+    // Quantities follow the ledger, including movements made on other devices
+    const reconcileSubscriptions = [
+      replications.stock_movements.received$.subscribe(doc => scheduleReconcile(doc.article_id)),
+      replications.articles.received$.subscribe(doc => scheduleReconcile(doc.id)),
+    ];
+    stopTracking.push(() => reconcileSubscriptions.forEach(sub => sub.unsubscribe()));
   } catch (error) {
     console.error('Error starting sync:', error);
   }
 };
 
+// Ask running replications to check the server for changes right away
+export const resyncNow = () => {
+  Object.values(replications).forEach(replication => replication.reSync());
+};
+
 // Stop sync replications
 const stopSync = () => {
   try {
-    if (businessReplication) {
-      businessReplication.cancel();
-      businessReplication = null;
-    }
-    if (articleReplication) {
-      articleReplication.cancel();
-      articleReplication = null;
-    }
+    stopTracking.forEach(stop => stop());
+    stopTracking = [];
+
+    Object.values(replications).forEach(replication => replication.cancel());
+    replications = {};
   } catch (error) {
     console.error('Error stopping sync:', error);
   }
 };
 
-// Load persisted data from AsyncStorage
-const loadPersistedData = async (db) => {
+// One-time import of the AsyncStorage JSON dumps written by older app versions
+const migrateLegacyStorage = async (db) => {
   try {
-    const businessesData = await AsyncStorage.getItem(BUSINESSES_KEY);
-    const businesses = businessesData ? JSON.parse(businessesData) : [];
-    
-    for (const business of businesses) {
-      try {
-        await db.businesses.insert(business);
-      } catch (error) {
-        if (!error.message.includes('already exists')) {
-          console.error('Error inserting business:', error);
-        }
-      }
-    }
+    const migrated = await AsyncStorage.getItem(LEGACY_MIGRATED_KEY);
+    if (migrated) return;
 
+    // The dumps were written with the v0 schemas
+    const businessesData = await AsyncStorage.getItem(BUSINESSES_KEY);
+    const businesses = (businessesData ? JSON.parse(businessesData) : [])
+      .map(doc => migrateDocumentData(
+        businessMigrationStrategies, 0, businessSchema.version, doc
+      ))
+      .filter(Boolean);
     const articlesData = await AsyncStorage.getItem(ARTICLES_KEY);
-    const articles = articlesData ? JSON.parse(articlesData) : [];
-    
-    for (const article of articles) {
-      try {
-        await db.articles.insert(article);
-      } catch (error) {
-        if (!error.message.includes('already exists')) {
-          console.error('Error inserting article:', error);
-        }
-      }
-    }
-  } catch (error) {
-    console.error('Error loading persisted data:', error);
-  }
-};
+    const articles = (articlesData ? JSON.parse(articlesData) : [])
+      .map(doc => migrateDocumentData(
+        articleMigrationStrategies, 0, articleSchema.version, doc
+      ))
+      .filter(Boolean);
 
-// Save to AsyncStorage
-const saveBusinessesToStorage = async (db) => {
-  try {
-    const allBusinesses = await db.businesses.find().exec();
-    const businessData = allBusinesses.map(doc => doc.toJSON());
-    await AsyncStorage.setItem(BUSINESSES_KEY, JSON.stringify(businessData));
-    return businessData;
+    // Documents that already exist come back as conflicts and are skipped
+    const businessResult = await db.businesses.bulkInsert(businesses);
+    const articleResult = await db.articles.bulkInsert(articles);
+
+    [...businessResult.error, ...articleResult.error]
+      .filter(error => error.status !== 409)
+      .forEach(error => console.error('Error importing legacy document:', error));
+
+    await AsyncStorage.setItem(LEGACY_MIGRATED_KEY, 'true');
+    await AsyncStorage.multiRemove([BUSINESSES_KEY, ARTICLES_KEY]);
   } catch (error) {
-    console.error('Error saving businesses:', error);
-    return [];
+    console.error('Error migrating legacy storage:', error);
   }
 };
 
-const saveArticlesToStorage = async (db) => {
-  try {
-    const allArticles = await db.articles.find().exec();
-    const articleData = allArticles.map(doc => doc.toJSON());
-    await AsyncStorage.setItem(ARTICLES_KEY, JSON.stringify(articleData));
-    return articleData;
-  } catch (error) {
-    console.error('Error saving articles:', error);
-    return [];
+// Create a CouchDB database if it is missing; only server admins may create
+// databases, so members never send the PUT
+const ensureCouchDBDatabase = async (dbUrl) => {
+  const response = await sessionFetch(dbUrl);
+  if (response.status === 404) {
+    await sessionFetch(dbUrl, { method: 'PUT' });
   }
 };
 
@@ -280,42 +482,97 @@ const createCouchDBDatabases = async () => {
   if (!isOnline || !COUCHDB_CONFIG.currentUrl) return;
 
   try {
-    const customFetch = getFetchWithCouchDBAuthorization(
-      COUCHDB_CONFIG.username,
-      COUCHDB_CONFIG.password
-    );
-
     const cleanUrl = COUCHDB_CONFIG.currentUrl.replace(/\/$/, '');
 
-    // Create businesses database
-    await customFetch(`${cleanUrl}/${COUCHDB_CONFIG.businessesDB}`, { method: 'PUT' });
-    
-    // Create articles database
-    await customFetch(`${cleanUrl}/${COUCHDB_CONFIG.articlesDB}`, { method: 'PUT' });
-
+    for (const { dbName } of getReplicatedCollections()) {
+      await ensureCouchDBDatabase(`${cleanUrl}/${dbName}`);
+    }
   } catch (error) {
     console.error('Error creating CouchDB databases:', error);
   }
 };
 
-// Sync AsyncStorage with RxDB
-export const syncStorageWithDatabase = async () => {
-  try {
-    const db = await initDatabase();
-    
-    const businesses = await db.businesses.find().exec();
-    const articles = await db.articles.find().exec();
-    
-    const businessData = businesses.map(doc => doc.toJSON());
-    const articleData = articles.map(doc => doc.toJSON());
-    
-    await AsyncStorage.setItem(BUSINESSES_KEY, JSON.stringify(businessData));
-    await AsyncStorage.setItem(ARTICLES_KEY, JSON.stringify(articleData));
-    
-    return { success: true, businesses: businessData.length, articles: articleData.length };
-  } catch (error) {
-    console.error('Error syncing storage with database:', error);
-    return { success: false, message: error.message };
+// Audit trail
+
+// Editor fields stamped on every business and article write
+const createAudit = async () => ({
+  updated_at: Date.now(),
+  updated_by: getSession().username || '',
+  device_id: await getDeviceId()
+});
+
+// Logs the tracked fields changed by [{ before, after }] writes of a collection
+const recordHistory = async (db, collection, writes, audit) => {
+  const entries = writes
+    .map(({ before, after }) => createHistoryEntry({
+      id: uuidv4(),
+      collection,
+      before,
+      after,
+      audit
+    }))
+    .filter(Boolean);
+  if (entries.length > 0) {
+    await db.history.bulkInsert(entries);
+  }
+};
+
+// Patches a business or article, stamps the editor and logs the change
+const auditedPatch = async (db, collection, doc, patch, audit) => {
+  const before = doc.toJSON();
+  const updated = await doc.incrementalPatch({ ...patch, ...audit });
+  await recordHistory(db, collection, [{ before, after: updated.toJSON() }], audit);
+  return updated;
+};
+
+const assertSupportedCurrency = (currency) => {
+  if (!isSupportedCurrency(currency)) {
+    throw new Error(`Currency "${currency}" is not supported`);
+  }
+};
+
+// Patch moving an article's prices into another currency's minor units
+const repricePatch = (article, currency) => ({
+  selling_price: convertMinorUnits(article.selling_price, article.currency, currency),
+  cost_price: convertMinorUnits(article.cost_price, article.currency, currency),
+  currency
+});
+
+// Re-expresses all articles of a business, trashed ones included, in a currency
+const repriceArticlesOf = async (db, businessId, currency, audit) => {
+  const articles = await db.articles
+    .find()
+    .where('business_id')
+    .equals(businessId)
+    .exec();
+  for (const article of articles) {
+    if (article.currency !== currency) {
+      await auditedPatch(db, 'articles', article, repricePatch(article, currency), audit);
+    }
+  }
+};
+
+const normalizeTaxRates = (taxRates) =>
+  taxRates.map(({ id, name, rate }) => ({ id, name: name.trim(), rate }));
+
+const assertValidTaxRates = (taxRates) => {
+  const taxRatesError = validateTaxRates(taxRates);
+  if (taxRatesError) {
+    throw new Error(taxRatesError);
+  }
+};
+
+const assertValidProfile = (profile) => {
+  const profileError = validateProfile(profile);
+  if (profileError) {
+    throw new Error(profileError);
+  }
+};
+
+// Articles can only use tax rates of their own business
+const assertTaxRateOfBusiness = (taxRateId, business) => {
+  if (taxRateId && !findTaxRate(business.tax_rates, taxRateId)) {
+    throw new Error('The selected tax rate does not belong to this business');
   }
 };
 
@@ -323,14 +580,26 @@ export const syncStorageWithDatabase = async () => {
 export const addBusiness = async (business) => {
   try {
     const db = await initDatabase();
+    const currency = business.currency || DEFAULT_CURRENCY;
+    assertSupportedCurrency(currency);
+    const taxRates = normalizeTaxRates(business.tax_rates || []);
+    assertValidTaxRates(taxRates);
+    const profile = normalizeProfile(business);
+    assertValidProfile(profile);
+    const audit = await createAudit();
     const businessDoc = {
       id: business.id,
       name: business.name,
+      currency,
+      tax_rates: taxRates,
+      ...profile,
+      deleted_at: 0,
+      created_at: audit.updated_at,
+      ...audit,
     };
     
     const inserted = await db.businesses.insert(businessDoc);
-    await saveBusinessesToStorage(db);
-    
+    await recordHistory(db, 'businesses', [{ before: null, after: inserted.toJSON() }], audit);
     return inserted;
   } catch (error) {
     console.error('Error adding business:', error);
@@ -338,12 +607,74 @@ export const addBusiness = async (business) => {
   }
 };
 
+// Returns the article of the business other than articleId using the SKU, if any
+const findSkuOwner = (db, { sku, businessId, articleId }) =>
+  db.articles
+    .findOne({ selector: { business_id: businessId, sku, id: { $ne: articleId }, ...NOT_TRASHED } })
+    .exec();
+
+// SKUs are unique per business; the schema can't enforce that, so writes check it
+const assertSkuAvailable = async (db, { sku, businessId, articleId }) => {
+  const skuError = validateSku(sku);
+  if (skuError) {
+    throw new Error(skuError);
+  }
+  if (!sku) return;
+
+  const clash = await findSkuOwner(db, { sku, businessId, articleId });
+  if (clash) {
+    throw new Error(`SKU "${sku}" is already used by "${clash.name}"`);
+  }
+};
+
+// Articles can only be filed under categories of their own business
+const assertCategoryOfBusiness = async (db, categoryId, businessId) => {
+  if (!categoryId) return;
+  const category = await db.categories.findOne(categoryId).exec();
+  if (!category || category.business_id !== businessId) {
+    throw new Error('The selected category does not belong to this business');
+  }
+};
+
 export const addArticle = async (article) => {
   try {
     const db = await initDatabase();
-    const inserted = await db.articles.insert(article);
-    await saveArticlesToStorage(db);
-    
+    const sku = normalizeSku(article.sku);
+    await assertSkuAvailable(db, { sku, businessId: article.business_id, articleId: article.id });
+    await assertCategoryOfBusiness(db, article.category_id, article.business_id);
+    const business = await getBusinessById(article.business_id);
+    if (!business) {
+      throw new Error('Business not found');
+    }
+    assertTaxRateOfBusiness(article.tax_rate_id, business);
+
+    const audit = await createAudit();
+    const inserted = await db.articles.insert({
+      cost_price: 0,
+      tax_rate_id: '',
+      price_includes_tax: true,
+      reorder_level: 0,
+      reorder_qty: 0,
+      category_id: '',
+      ...article,
+      sku,
+      currency: business.currency,
+      deleted_at: 0,
+      created_at: audit.updated_at,
+      ...audit
+    });
+    await recordHistory(db, 'articles', [{ before: null, after: inserted.toJSON() }], audit);
+
+    // The starting quantity enters the ledger like any other receipt
+    if (article.qty) {
+      await db.stock_movements.insert(await createMovementData({
+        id: openingBalanceId(article.id),
+        article: inserted,
+        type: STOCK_MOVEMENT_TYPES.RECEIPT,
+        qty: article.qty,
+        reason: 'Initial stock'
+      }));
+    }
     return inserted;
   } catch (error) {
     console.error('Error adding article:', error);
@@ -364,13 +695,42 @@ export const updateBusiness = async (businessId, updatedData) => {
     if (!businessDoc) {
       throw new Error('Business not found');
     }
+
+    const currency = updatedData.currency || businessDoc.currency;
+    assertSupportedCurrency(currency);
+    const taxRates = updatedData.tax_rates
+      ? normalizeTaxRates(updatedData.tax_rates)
+      : businessDoc.toJSON().tax_rates;
+    assertValidTaxRates(taxRates);
+    // Profile fields that aren't given keep their value
+    const profile = normalizeProfile({ ...businessDoc.toJSON(), ...updatedData });
+    assertValidProfile(profile);
+    const audit = await createAudit();
+    // Prices keep their amount; only the number of decimals follows the currency
+    if (currency !== businessDoc.currency) {
+      await repriceArticlesOf(db, businessId, currency, audit);
+    }
+    // Articles of a removed rate become untaxed
+    const removedRateIds = businessDoc.tax_rates
+      .map(taxRate => taxRate.id)
+      .filter(id => !findTaxRate(taxRates, id));
+    if (removedRateIds.length > 0) {
+      const untaxed = await db.articles
+        .find({ selector: { business_id: businessId, tax_rate_id: { $in: removedRateIds } } })
+        .exec();
+      for (const article of untaxed) {
+        await auditedPatch(db, 'articles', article, { tax_rate_id: '' }, audit);
+      }
+    }
     
-    const updatedDoc = await businessDoc.modify(docData => {
-      docData.name = updatedData.name;
-      return docData;
-    });
+    const updatedDoc = await auditedPatch(
+      db,
+      'businesses',
+      businessDoc,
+      { name: updatedData.name, currency, tax_rates: taxRates, ...profile },
+      audit
+    );
     
-    await saveBusinessesToStorage(db);
     return updatedDoc;
   } catch (error) {
     console.error('Error updating business:', error);
@@ -378,6 +738,12 @@ export const updateBusiness = async (businessId, updatedData) => {
   }
 };
 
+/**
+ * Saves an edited article. The stock count is only touched when qty is
+ * given, together with the expectedQty the user changed it from; the
+ * difference is recorded as an adjustment, so movements that synced in
+ * while the article was being edited are kept.
+ */
 export const updateArticleData = async (articleId, updatedData) => {
   try {
     const db = await initDatabase();
@@ -391,37 +757,175 @@ export const updateArticleData = async (articleId, updatedData) => {
     if (!articleDoc) {
       throw new Error('Article not found');
     }
+    if (updatedData.qty !== undefined && !Number.isInteger(updatedData.expectedQty)) {
+      throw new Error('The quantity the article was edited from is missing');
+    }
     
-    const updatedDoc = await articleDoc.modify(docData => {
-      docData.name = updatedData.name;
-      docData.qty = updatedData.qty;
-      docData.selling_price = updatedData.selling_price;
-      docData.business_id = updatedData.business_id;
-      return docData;
-    });
-    
-    await saveArticlesToStorage(db);
-    return updatedDoc;
+    const previous = articleDoc.toJSON();
+    const sku = normalizeSku(updatedData.sku);
+    await assertSkuAvailable(db, { sku, businessId: updatedData.business_id, articleId });
+    const categoryId = updatedData.category_id || '';
+    await assertCategoryOfBusiness(db, categoryId, updatedData.business_id);
+    const business = await getBusinessById(updatedData.business_id);
+    if (!business) {
+      throw new Error('Business not found');
+    }
+    const taxRateId = updatedData.tax_rate_id ?? previous.tax_rate_id;
+    assertTaxRateOfBusiness(taxRateId, business);
+
+    await auditedPatch(db, 'articles', articleDoc, {
+      name: updatedData.name,
+      sku,
+      category_id: categoryId,
+      selling_price: updatedData.selling_price,
+      cost_price: updatedData.cost_price,
+      tax_rate_id: taxRateId,
+      price_includes_tax: updatedData.price_includes_tax ?? previous.price_includes_tax,
+      reorder_level: updatedData.reorder_level,
+      reorder_qty: updatedData.reorder_qty,
+      business_id: updatedData.business_id,
+      // Prices are given in minor units of the (possibly new) business's currency
+      currency: business.currency
+    }, await createAudit());
+
+    if (updatedData.business_id !== previous.business_id) {
+      await db.stock_movements
+        .find()
+        .where('article_id')
+        .equals(articleId)
+        .update({ $set: { business_id: updatedData.business_id } });
+    }
+
+    // qty is never overwritten: a different count becomes an adjustment
+    const delta = updatedData.qty === undefined ? 0 : updatedData.qty - updatedData.expectedQty;
+    if (delta !== 0) {
+      await recordStockMovement({
+        articleId,
+        type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+        qty: delta,
+        reason: 'Quantity edited'
+      });
+    }
+
+    return await getArticleById(articleId);
   } catch (error) {
     console.error('Error updating article:', error);
     throw error;
   }
 };
 
-export const deleteBusiness = async (businessDoc) => {
+// What happens to a business's articles when the business is deleted
+export const BUSINESS_DELETE_MODES = {
+  BLOCK: 'block',
+  CASCADE: 'cascade',
+  REASSIGN: 'reassign',
+};
+
+export const countArticlesByBusinessId = async (businessId) => {
+  try {
+    const db = await initDatabase();
+    return await db.articles
+      .count({ selector: { business_id: businessId, ...NOT_TRASHED } })
+      .exec();
+  } catch (error) {
+    console.error('Error counting articles:', error);
+    throw error;
+  }
+};
+
+/**
+ * Moves a business to the trash. Its articles are trashed along with it
+ * (CASCADE) or moved to another business first (REASSIGN); categories stay
+ * with the business so a restore brings back the whole catalogue.
+ * Moved articles lose their SKU when the target business already uses it.
+ * Returns { success, affectedArticles, skuCleared } where skuCleared lists
+ * the names of those articles.
+ */
+export const deleteBusiness = async (businessDoc, options = {}) => {
+  const { mode = BUSINESS_DELETE_MODES.BLOCK, targetBusinessId } = options;
+
   try {
-    await businessDoc.remove();
-    
     const db = await initDatabase();
-    await saveBusinessesToStorage(db);
+    const articlesQuery = db.articles.find({
+      selector: { business_id: businessDoc.id, ...NOT_TRASHED }
+    });
+    const articles = await articlesQuery.exec();
+    const audit = await createAudit();
+    const deletedAt = audit.updated_at;
+    const skuCleared = [];
+
+    if (articles.length > 0) {
+      if (mode === BUSINESS_DELETE_MODES.CASCADE) {
+        // The shared timestamp tells restoreBusiness which articles to bring back
+        for (const article of articles) {
+          await auditedPatch(db, 'articles', article, { deleted_at: deletedAt }, audit);
+        }
+      } else if (mode === BUSINESS_DELETE_MODES.REASSIGN) {
+        if (!targetBusinessId || targetBusinessId === businessDoc.id) {
+          throw new Error('Please select another business for the articles');
+        }
+        const target = await getBusinessById(targetBusinessId);
+        if (!target || isTrashed(target)) {
+          throw new Error('Target business not found');
+        }
+        // SKUs are checked before anything moves; restoreArticle checks the trashed ones
+        const clashingIds = new Set();
+        for (const article of articles) {
+          if (article.sku && await findSkuOwner(db, {
+            sku: article.sku,
+            businessId: targetBusinessId,
+            articleId: article.id
+          })) {
+            clashingIds.add(article.id);
+            skuCleared.push(article.name);
+          }
+        }
+        // Trashed articles move as well so they can still be restored
+        const allArticles = await db.articles
+          .find()
+          .where('business_id')
+          .equals(businessDoc.id)
+          .exec();
+        for (const article of allArticles) {
+          await auditedPatch(db, 'articles', article, {
+            business_id: targetBusinessId,
+            ...(clashingIds.has(article.id) ? { sku: '' } : {}),
+            ...repricePatch(article, target.currency),
+            tax_rate_id: findMatchingTaxRateId(
+              businessDoc.tax_rates,
+              article.tax_rate_id,
+              target.tax_rates
+            )
+          }, audit);
+        }
+        await getMovementsByBusinessQuery(db, businessDoc.id).update({
+          $set: { business_id: targetBusinessId }
+        });
+        // Categories move along so the articles stay grouped
+        await db.categories
+          .find()
+          .where('business_id')
+          .equals(businessDoc.id)
+          .update({
+            $set: { business_id: targetBusinessId, updated_at: Date.now() }
+          });
+      } else {
+        throw new Error(
+          `Business still has ${articles.length} article(s). Delete or reassign them first.`
+        );
+      }
+    }
+
+    await auditedPatch(db, 'businesses', businessDoc, { deleted_at: deletedAt }, audit);
     
-    return { success: true };
+    return { success: true, affectedArticles: articles.length, skuCleared };
   } catch (error) {
     console.error('Error deleting business:', error);
     throw error;
   }
 };
 
+// Moves an article to the trash; its stock movements are kept for a restore
 export const deleteArticleWithSync = async (articleId) => {
   try {
     const db = await initDatabase();
@@ -436,9 +940,8 @@ export const deleteArticleWithSync = async (articleId) => {
       return false;
     }
     
-    await articleDoc.remove();
-    await saveArticlesToStorage(db);
-    
+    const audit = await createAudit();
+    await auditedPatch(db, 'articles', articleDoc, { deleted_at: audit.updated_at }, audit);
     return true;
   } catch (error) {
     console.error('Error in deleteArticleWithSync:', error);
@@ -446,89 +949,1088 @@ export const deleteArticleWithSync = async (articleId) => {
   }
 };
 
-// Read operations
-export const getArticlesByBusinessId = async (businessId) => {
+// Trash
+
+/**
+ * Takes an article out of the trash. Its SKU is cleared if another article
+ * of the business took it in the meantime.
+ * Returns { article, skuCleared }.
+ */
+export const restoreArticle = async (articleId) => {
   try {
     const db = await initDatabase();
-    const result = await db.articles
-      .find()
-      .where('business_id')
-      .equals(businessId)
-      .exec();
-    return result;
+    const articleDoc = await db.articles.findOne(articleId).exec();
+    if (!articleDoc) {
+      throw new Error('Article not found');
+    }
+
+    const business = await db.businesses.findOne(articleDoc.business_id).exec();
+    if (!business) {
+      throw new Error('The business of this article no longer exists');
+    }
+    if (isTrashed(business)) {
+      throw new Error(`Restore the business "${business.name}" first`);
+    }
+
+    const skuCleared = !!articleDoc.sku && !!await findSkuOwner(db, {
+      sku: articleDoc.sku,
+      businessId: articleDoc.business_id,
+      articleId
+    });
+    const article = await auditedPatch(db, 'articles', articleDoc, {
+      deleted_at: 0,
+      ...(skuCleared ? { sku: '' } : {})
+    }, await createAudit());
+    scheduleReconcile(articleId);
+    return { article, skuCleared };
   } catch (error) {
-    console.error('Error fetching articles:', error);
+    console.error('Error restoring article:', error);
     throw error;
   }
 };
 
-export const getAllBusinesses = async () => {
+// Takes a business out of the trash together with the articles trashed with it
+export const restoreBusiness = async (businessId) => {
   try {
     const db = await initDatabase();
-    const result = await db.businesses.find().exec();
-    return result;
+    const businessDoc = await db.businesses.findOne(businessId).exec();
+    if (!businessDoc) {
+      throw new Error('Business not found');
+    }
+
+    const audit = await createAudit();
+    const deletedAt = businessDoc.deleted_at;
+    if (deletedAt > 0) {
+      const articles = await db.articles
+        .find({ selector: { business_id: businessId, deleted_at: deletedAt } })
+        .exec();
+      for (const article of articles) {
+        await auditedPatch(db, 'articles', article, { deleted_at: 0 }, audit);
+      }
+    }
+    return await auditedPatch(db, 'businesses', businessDoc, { deleted_at: 0 }, audit);
   } catch (error) {
-    console.error('Error fetching businesses:', error);
+    console.error('Error restoring business:', error);
     throw error;
   }
 };
 
-export const getBusinessById = async (businessId) => {
+const removeHistoryOf = (db, documentId) =>
+  db.history
+    .find()
+    .where('document_id')
+    .equals(documentId)
+    .remove();
+
+const purgeArticleOf = async (db, articleId) => {
+  await db.stock_movements
+    .find()
+    .where('article_id')
+    .equals(articleId)
+    .remove();
+  await removeHistoryOf(db, articleId);
+  await db.articles.findOne(articleId).remove();
+};
+
+const purgeBusinessOf = async (db, businessId) => {
+  const articles = await db.articles
+    .find()
+    .where('business_id')
+    .equals(businessId)
+    .exec();
+  for (const article of articles) {
+    await purgeArticleOf(db, article.id);
+  }
+  await getMovementsByBusinessQuery(db, businessId).remove();
+  await db.categories
+    .find()
+    .where('business_id')
+    .equals(businessId)
+    .remove();
+  await removeHistoryOf(db, businessId);
+  await db.businesses.findOne(businessId).remove();
+};
+
+// Permanently deletes a trashed article and its stock movements
+export const purgeArticle = async (articleId) => {
   try {
     const db = await initDatabase();
-    const result = await db.businesses
-      .findOne()
-      .where('id')
-      .equals(businessId)
-      .exec();
-    return result;
+    await purgeArticleOf(db, articleId);
   } catch (error) {
-    console.error('Error fetching business by ID:', error);
+    console.error('Error purging article:', error);
     throw error;
   }
 };
 
-export const getArticleById = async (articleId) => {
+// Permanently deletes a trashed business with all its articles and categories
+export const purgeBusiness = async (businessId) => {
   try {
     const db = await initDatabase();
-    const result = await db.articles
-      .findOne()
-      .where('id')
-      .equals(articleId)
-      .exec();
-    return result;
+    await purgeBusinessOf(db, businessId);
   } catch (error) {
-    console.error('Error fetching article by ID:', error);
+    console.error('Error purging business:', error);
+    throw error;
+  }
+};
+
+const purgeExpiredTrashOf = async (db, retentionDays) => {
+  const cutoff = getPurgeCutoff(Date.now(), retentionDays);
+  if (cutoff === null) return 0;
+
+  const expired = { deleted_at: { $gt: 0, $lt: cutoff } };
+  const businesses = await db.businesses.find({ selector: expired }).exec();
+  for (const business of businesses) {
+    await purgeBusinessOf(db, business.id);
+  }
+  const articles = await db.articles.find({ selector: expired }).exec();
+  for (const article of articles) {
+    await purgeArticleOf(db, article.id);
+  }
+  return businesses.length + articles.length;
+};
+
+// Purge with the saved retention; runs overlapping with another purge are skipped
+let trashPurge = null;
+const purgeTrashNow = (db) => {
+  if (!trashPurge) {
+    trashPurge = loadTrashRetentionDays()
+      .then(retentionDays => purgeExpiredTrashOf(db, retentionDays))
+      .catch(error => console.error('Error purging trash:', error))
+      .finally(() => {
+        trashPurge = null;
+      });
+  }
+  return trashPurge;
+};
+
+// Items expire while the app keeps running, so the purge also runs hourly
+// and whenever the app comes back to the foreground
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const setupTrashPurge = (db) => {
+  const interval = setInterval(() => purgeTrashNow(db), TRASH_PURGE_INTERVAL_MS);
+  const subscription = AppState.addEventListener('change', nextAppState => {
+    if (nextAppState === 'active') {
+      purgeTrashNow(db);
+    }
+  });
+  removeListeners.push(() => {
+    clearInterval(interval);
+    subscription.remove();
+  });
+};
+
+// Purges everything trashed more than retentionDays ago; 0 keeps the trash
+export const purgeExpiredTrash = async (retentionDays) => {
+  try {
+    const db = await initDatabase();
+    return await purgeExpiredTrashOf(db, retentionDays);
+  } catch (error) {
+    console.error('Error purging trash:', error);
     throw error;
   }
 };
 
-// Get sync status (simplified)
-export const getSyncStatus = () => {
-  return {
-    isOnline,
-    businessSyncActive: businessReplication !== null,
-    articleSyncActive: articleReplication !== null,
-    currentUrl: COUCHDB_CONFIG.currentUrl
-  };
+// Categories
+const getCategoriesOfBusiness = async (db, businessId) => {
+  const docs = await db.categories
+    .find()
+    .where('business_id')
+    .equals(businessId)
+    .exec();
+  return docs.map(doc => doc.toJSON());
 };
 
-// Get storage stats
-export const getStorageStats = async () => {
+export const addCategory = async ({ businessId, name, parentId = '' }) => {
   try {
-    const businessesData = await AsyncStorage.getItem(BUSINESSES_KEY);
-    const articlesData = await AsyncStorage.getItem(ARTICLES_KEY);
-    
-    const businesses = businessesData ? JSON.parse(businessesData) : [];
-    const articles = articlesData ? JSON.parse(articlesData) : [];
-    
-    return {
-      businesses: businesses.length,
-      articles: articles.length,
-      syncStatus: getSyncStatus()
-    };
+    const db = await initDatabase();
+    const categories = await getCategoriesOfBusiness(db, businessId);
+    if (parentId && !categories.some(category => category.id === parentId)) {
+      throw new Error('Parent category not found');
+    }
+
+    return await db.categories.insert({
+      id: uuidv4(),
+      business_id: businessId,
+      name,
+      parent_id: parentId,
+      sort_order: nextSortOrder(categories, parentId),
+      updated_at: Date.now()
+    });
   } catch (error) {
-    console.error('Error getting storage stats:', error);
-    return { businesses: 0, articles: 0, syncStatus: getSyncStatus() };
+    console.error('Error adding category:', error);
+    throw error;
   }
-};
\ No newline at end of file
+};
+
+// updatedData: { name, parent_id }; a new parent places the category last
+export const updateCategory = async (categoryId, updatedData) => {
+  try {
+    const db = await initDatabase();
+    const categoryDoc = await db.categories.findOne(categoryId).exec();
+    if (!categoryDoc) {
+      throw new Error('Category not found');
+    }
+
+    const categories = await getCategoriesOfBusiness(db, categoryDoc.business_id);
+    const parentId = updatedData.parent_id || '';
+    if (parentId && !categories.some(category => category.id === parentId)) {
+      throw new Error('Parent category not found');
+    }
+    if (wouldCreateCycle(categories, categoryId, parentId)) {
+      throw new Error('A category cannot be moved into itself or one of its subcategories');
+    }
+
+    return await categoryDoc.modify(docData => {
+      if (docData.parent_id !== parentId) {
+        docData.sort_order = nextSortOrder(categories, parentId);
+      }
+      docData.name = updatedData.name;
+      docData.parent_id = parentId;
+      docData.updated_at = Date.now();
+      return docData;
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    throw error;
+  }
+};
+
+// Swaps the category with its previous (-1) or next (+1) sibling
+export const moveCategory = async (categoryId, direction) => {
+  try {
+    const db = await initDatabase();
+    const categoryDoc = await db.categories.findOne(categoryId).exec();
+    if (!categoryDoc) {
+      throw new Error('Category not found');
+    }
+
+    const siblings = (await getCategoriesOfBusiness(db, categoryDoc.business_id))
+      .filter(category => category.parent_id === categoryDoc.parent_id)
+      .sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name));
+    const index = siblings.findIndex(category => category.id === categoryId);
+    const neighbour = siblings[index + direction];
+    if (!neighbour) return;
+
+    // Renumber all siblings: equal sort orders written on two devices would hide the swap
+    const reordered = [...siblings];
+    reordered[index] = neighbour;
+    reordered[index + direction] = siblings[index];
+
+    const now = Date.now();
+    for (const [position, sibling] of reordered.entries()) {
+      if (sibling.sort_order !== position) {
+        const doc = await db.categories.findOne(sibling.id).exec();
+        await doc.incrementalPatch({ sort_order: position, updated_at: now });
+      }
+    }
+  } catch (error) {
+    console.error('Error moving category:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a category. Its subcategories move up to its parent; its
+ * articles move to the parent too or become uncategorized, depending on
+ * the CATEGORY_DELETE_MODES mode. Returns the number of articles moved.
+ */
+export const deleteCategory = async (categoryId, mode = CATEGORY_DELETE_MODES.MOVE_TO_PARENT) => {
+  try {
+    const db = await initDatabase();
+    const categoryDoc = await db.categories.findOne(categoryId).exec();
+    if (!categoryDoc) {
+      throw new Error('Category not found');
+    }
+
+    const parentId = categoryDoc.parent_id;
+    const now = Date.now();
+    const articlesQuery = db.articles.find({
+      selector: { business_id: categoryDoc.business_id, category_id: categoryId }
+    });
+    const articles = await articlesQuery.exec();
+
+    const audit = await createAudit();
+    const categoryIdAfter = mode === CATEGORY_DELETE_MODES.MOVE_TO_PARENT ? parentId : '';
+    for (const article of articles) {
+      await auditedPatch(db, 'articles', article, { category_id: categoryIdAfter }, audit);
+    }
+    await db.categories
+      .find({ selector: { parent_id: categoryId } })
+      .update({ $set: { parent_id: parentId, updated_at: now } });
+    await categoryDoc.remove();
+
+    return articles.length;
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    throw error;
+  }
+};
+
+// Stock ledger
+const getMovementsByBusinessQuery = (db, businessId) =>
+  db.stock_movements
+    .find()
+    .where('business_id')
+    .equals(businessId);
+
+const createMovementData = async ({ id, article, type, qty, reason }) => ({
+  id: id || uuidv4(),
+  article_id: article.id,
+  business_id: article.business_id,
+  type,
+  qty: signedQuantity(type, qty),
+  reason: reason || '',
+  created_at: Date.now(),
+  device_id: await getDeviceId()
+});
+
+/**
+ * Sets an article's qty to the sum of its movements. Articles without
+ * movements keep their qty, their ledger may simply not have arrived yet.
+ * With an audit the change is attributed to that edit and logged; without
+ * one it is a recount after replication, logged by the device that moved
+ * the stock.
+ */
+const reconcileArticleQty = async (db, articleId, audit = null) => {
+  const articleDoc = await db.articles.findOne(articleId).exec();
+  if (!articleDoc) return null;
+
+  const movements = await db.stock_movements
+    .find()
+    .where('article_id')
+    .equals(articleId)
+    .exec();
+  if (movements.length === 0) return articleDoc;
+
+  const qty = sumMovements(movements);
+  if (articleDoc.qty === qty) return articleDoc;
+
+  if (audit) {
+    return auditedPatch(db, 'articles', articleDoc, { qty }, audit);
+  }
+  return articleDoc.incrementalPatch({ qty, updated_at: Date.now() });
+};
+
+// Replication delivers movements one by one; reconcile each article once per batch
+const RECONCILE_DELAY_MS = 500;
+let pendingReconcile = new Set();
+let reconcileTimeout = null;
+
+const scheduleReconcile = (articleId) => {
+  pendingReconcile.add(articleId);
+  if (reconcileTimeout) return;
+
+  reconcileTimeout = setTimeout(async () => {
+    const articleIds = [...pendingReconcile];
+    pendingReconcile = new Set();
+    reconcileTimeout = null;
+
+    // The database may have been wiped on logout in the meantime
+    const db = dbInstance;
+    if (!db) return;
+
+    try {
+      for (const id of articleIds) {
+        await reconcileArticleQty(db, id);
+      }
+    } catch (error) {
+      console.error('Error reconciling stock:', error);
+    }
+  }, RECONCILE_DELAY_MS);
+};
+
+// Articles created before the ledger existed get their qty as opening balance
+const backfillOpeningBalances = async (db) => {
+  try {
+    const movements = await db.stock_movements.find().exec();
+    const withLedger = new Set(movements.map(movement => movement.article_id));
+    const articles = await db.articles.find().exec();
+
+    const openings = [];
+    for (const article of articles) {
+      if (!withLedger.has(article.id) && article.qty !== 0) {
+        openings.push(await createMovementData({
+          id: openingBalanceId(article.id),
+          article,
+          type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+          qty: article.qty,
+          reason: 'Opening balance'
+        }));
+      }
+    }
+
+    if (openings.length > 0) {
+      await db.stock_movements.bulkInsert(openings);
+    }
+  } catch (error) {
+    console.error('Error backfilling opening balances:', error);
+  }
+};
+
+// Without a ledger the article's current qty would be lost from the sum
+const ensureOpeningBalance = async (db, article) => {
+  const hasLedger = await db.stock_movements
+    .count()
+    .where('article_id')
+    .equals(article.id)
+    .exec();
+  if (!hasLedger && article.qty !== 0) {
+    await db.stock_movements.insert(await createMovementData({
+      id: openingBalanceId(article.id),
+      article,
+      type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+      qty: article.qty,
+      reason: 'Opening balance'
+    }));
+  }
+};
+
+/**
+ * Records a stock change and updates the article's qty from the ledger.
+ * qty is a positive amount for receipts, sales, damage and returns (the
+ * type decides the direction) and a signed amount for adjustments.
+ */
+export const recordStockMovement = async ({ articleId, type, qty, reason }) => {
+  try {
+    if (!Object.values(STOCK_MOVEMENT_TYPES).includes(type)) {
+      throw new Error(`Unknown movement type: ${type}`);
+    }
+    if (!Number.isInteger(qty) || qty === 0) {
+      throw new Error('Quantity must be a whole number other than 0');
+    }
+
+    const db = await initDatabase();
+    const article = await getArticleById(articleId);
+    if (!article) {
+      throw new Error('Article not found');
+    }
+
+    await ensureOpeningBalance(db, article);
+    const movement = await db.stock_movements.insert(
+      await createMovementData({ article, type, qty, reason })
+    );
+    await reconcileArticleQty(db, articleId, await createAudit());
+    return movement;
+  } catch (error) {
+    console.error('Error recording stock movement:', error);
+    throw error;
+  }
+};
+
+// Sales
+
+/**
+ * Sells the given { articleId, qty } items at their stored selling_price.
+ * Every article's stock is decremented through a sale movement whose id is
+ * derived from the sale, and nothing is kept if any write fails, so a sale
+ * either completes as a whole or leaves no trace.
+ */
+export const completeSale = async ({ businessId, items }) => {
+  try {
+    if (items.length === 0) {
+      throw new Error('The cart is empty');
+    }
+
+    const db = await initDatabase();
+    const business = await getBusinessById(businessId);
+    if (!business) {
+      throw new Error('Business not found');
+    }
+    const cart = [];
+    for (const { articleId, qty } of items) {
+      if (!Number.isInteger(qty) || qty <= 0) {
+        throw new Error('Quantities must be whole numbers greater than 0');
+      }
+      const article = await db.articles.findOne(articleId).exec();
+      if (!article || article.business_id !== businessId || isTrashed(article)) {
+        throw new Error('Article not found in this business');
+      }
+      // A currency change may still be replicating in
+      if (article.currency !== business.currency) {
+        throw new Error(`The price of "${article.name}" is not in ${business.currency} yet`);
+      }
+      cart.push({ article: article.toJSON(), qty });
+    }
+
+    const shortages = findShortages(cart);
+    if (shortages.length > 0) {
+      throw new Error('Not enough stock for ' + shortages
+        .map(({ article, available }) => `${article.name} (${available} left)`)
+        .join(', '));
+    }
+
+    const lines = buildSaleLines(cart, business.tax_rates);
+    const sale = {
+      id: uuidv4(),
+      business_id: businessId,
+      items: lines,
+      ...calculateSaleTotals(lines),
+      currency: business.currency,
+      created_at: Date.now(),
+      device_id: await getDeviceId()
+    };
+
+    for (const { article } of cart) {
+      await ensureOpeningBalance(db, article);
+    }
+
+    const movements = [];
+    for (const { article, qty } of cart) {
+      movements.push(await createMovementData({
+        id: `sale-${sale.id}-${article.id}`,
+        article,
+        type: STOCK_MOVEMENT_TYPES.SALE,
+        qty,
+        reason: `Sale ${sale.id.substring(0, 8)}`
+      }));
+    }
+    const movementIds = movements.map(movement => movement.id);
+
+    let saleDoc;
+    try {
+      const { error } = await db.stock_movements.bulkInsert(movements);
+      if (error.length > 0) {
+        throw new Error('Failed to record stock movements');
+      }
+      saleDoc = await db.sales.insert(sale);
+    } catch (error) {
+      await db.stock_movements.bulkRemove(movementIds);
+      throw error;
+    }
+
+    const audit = await createAudit();
+    for (const { article } of cart) {
+      await reconcileArticleQty(db, article.id, audit);
+    }
+    return saleDoc;
+  } catch (error) {
+    console.error('Error completing sale:', error);
+    throw error;
+  }
+};
+
+// Read operations
+export const getArticlesByBusinessId = async (businessId) => {
+  try {
+    const db = await initDatabase();
+    const result = await db.articles
+      .find({ selector: { business_id: businessId, ...NOT_TRASHED } })
+      .exec();
+    return result;
+  } catch (error) {
+    console.error('Error fetching articles:', error);
+    throw error;
+  }
+};
+
+export const getAllBusinesses = async () => {
+  try {
+    const db = await initDatabase();
+    const result = await db.businesses.find({ selector: NOT_TRASHED }).exec();
+    return result;
+  } catch (error) {
+    console.error('Error fetching businesses:', error);
+    throw error;
+  }
+};
+
+export const getBusinessById = async (businessId) => {
+  try {
+    const db = await initDatabase();
+    const result = await db.businesses
+      .findOne()
+      .where('id')
+      .equals(businessId)
+      .exec();
+    return result;
+  } catch (error) {
+    console.error('Error fetching business by ID:', error);
+    throw error;
+  }
+};
+
+export const getArticleById = async (articleId) => {
+  try {
+    const db = await initDatabase();
+    const result = await db.articles
+      .findOne()
+      .where('id')
+      .equals(articleId)
+      .exec();
+    return result;
+  } catch (error) {
+    console.error('Error fetching article by ID:', error);
+    throw error;
+  }
+};
+
+// Lookup by scanned or typed code; null when no article of the business has it
+export const findArticleBySku = async (businessId, sku) => {
+  try {
+    const normalized = normalizeSku(sku);
+    if (!normalized) return null;
+
+    const db = await initDatabase();
+    return await db.articles
+      .findOne({ selector: { business_id: businessId, sku: normalized, ...NOT_TRASHED } })
+      .exec();
+  } catch (error) {
+    console.error('Error looking up SKU:', error);
+    throw error;
+  }
+};
+
+// CSV export and import
+
+// CSV of one business, or of all businesses when businessId is null
+export const exportBusinessesCsv = async (businessId = null) => {
+  try {
+    const db = await initDatabase();
+    const selector = businessId ? { id: businessId, ...NOT_TRASHED } : NOT_TRASHED;
+    const businesses = await db.businesses.find({ selector, sort: [{ id: 'asc' }] }).exec();
+    return businessesToCsv(businesses.map(doc => doc.toJSON()));
+  } catch (error) {
+    console.error('Error exporting businesses:', error);
+    throw error;
+  }
+};
+
+// CSV of the articles of one business, or of all businesses when businessId is null
+export const exportArticlesCsv = async (businessId = null) => {
+  try {
+    const db = await initDatabase();
+    const selector = businessId ? { business_id: businessId, ...NOT_TRASHED } : NOT_TRASHED;
+    const [businesses, articles] = await Promise.all([
+      db.businesses.find({ selector: NOT_TRASHED }).exec(),
+      db.articles.find({ selector, sort: [{ business_id: 'asc' }, { name: 'asc' }] }).exec()
+    ]);
+    return articlesToCsv(
+      articles.map(doc => doc.toJSON()),
+      businesses.map(doc => doc.toJSON())
+    );
+  } catch (error) {
+    console.error('Error exporting articles:', error);
+    throw error;
+  }
+};
+
+// Preview of an article import, see planArticleImport
+export const previewArticleImport = async ({ rows, mapping, businessId }) => {
+  const db = await initDatabase();
+  const business = await getBusinessById(businessId);
+  const articles = await db.articles.find().exec();
+  return planArticleImport({
+    rows,
+    mapping,
+    businessId,
+    currency: business?.currency,
+    existingArticles: articles.map(doc => doc.toJSON()),
+    createId: uuidv4
+  });
+};
+
+/**
+ * Applies a previewed import. Rows go through addArticle and
+ * updateArticleData so quantities enter the stock ledger like manual edits.
+ * Returns { created, updated, failed: [{ rowNumber, error }] }.
+ */
+export const importArticles = async (plan) => {
+  const result = { created: 0, updated: 0, failed: [] };
+
+  for (const { rowNumber, article } of plan.create) {
+    try {
+      await addArticle(article);
+      result.created++;
+    } catch (error) {
+      result.failed.push({ rowNumber, error: error.message });
+    }
+  }
+
+  // Quantities are compared with the previewed ones, not the current ones
+  for (const { rowNumber, article, previous } of plan.update) {
+    try {
+      await updateArticleData(article.id, { ...article, expectedQty: previous.qty });
+      result.updated++;
+    } catch (error) {
+      result.failed.push({ rowNumber, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+// Backup and restore
+
+// JSON backup of every replicated collection, see backup.js for the format
+export const exportBackup = async () => {
+  try {
+    const db = await initDatabase();
+    const collections = {};
+    for (const { name } of BACKUP_COLLECTIONS) {
+      const docs = await db[name].find().exec();
+      collections[name] = docs.map(doc => doc.toJSON());
+    }
+    const backup = createBackup({
+      collections,
+      deviceId: await getDeviceId(),
+      createdAt: Date.now()
+    });
+    return JSON.stringify(backup);
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restores backup file contents in one of the RESTORE_MODES.
+ * Returns { [collection]: { inserted, updated, removed, unchanged } }.
+ */
+export const restoreBackup = async (text, mode) => {
+  try {
+    const db = await initDatabase();
+    const backup = parseBackup(text);
+    const summary = {};
+
+    for (const { name, schema } of BACKUP_COLLECTIONS) {
+      const collection = db[name];
+      const localDocs = await collection.find().exec();
+      const plan = planCollectionRestore({
+        backupDocs: backup.collections[name],
+        localDocs: localDocs.map(doc => doc.toJSON()),
+        primaryKey: schema.primaryKey,
+        mode
+      });
+
+      if (plan.insert.length > 0) {
+        const { error } = await collection.bulkInsert(plan.insert);
+        if (error.length > 0) {
+          throw new Error(`Failed to restore ${error.length} document(s) of ${name}`);
+        }
+      }
+      if (plan.update.length > 0) {
+        await collection.bulkUpsert(plan.update);
+      }
+      if (plan.remove.length > 0) {
+        await collection.bulkRemove(plan.remove);
+      }
+
+      summary[name] = {
+        inserted: plan.insert.length,
+        updated: plan.update.length,
+        removed: plan.remove.length,
+        unchanged: plan.unchanged
+      };
+    }
+
+    // Merged ledgers may not add up to the restored quantities yet
+    await backfillOpeningBalances(db);
+    const articles = await db.articles.find().exec();
+    articles.forEach(article => scheduleReconcile(article.id));
+
+    return summary;
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    throw error;
+  }
+};
+
+// Server settings
+export const getServerSettings = () => loadServerSettings();
+
+export const testCouchDBConnection = (settings) => testCouchDBUrl(settings.url);
+
+// Save new server settings and restart replication against them
+export const updateServerSettings = async (settings) => {
+  try {
+    const previousUrl = COUCHDB_CONFIG.configuredUrl;
+    const saved = await saveServerSettings(settings);
+    const db = await initDatabase();
+
+    stopSync();
+    applyServerSettings(saved);
+
+    // The session belongs to the old server, ask the user to sign in there
+    if (previousUrl && previousUrl !== saved.url) {
+      expireSession();
+    }
+    COUCHDB_CONFIG.currentUrl = null;
+    setCurrentUrl(null);
+
+    if (isOnline) {
+      await connectAndSync(db);
+    }
+    return saved;
+  } catch (error) {
+    console.error('Error updating server settings:', error);
+    throw error;
+  }
+};
+
+// Authentication
+export const login = async ({ url, username, password }) => {
+  try {
+    const current = await loadServerSettings();
+
+    // The URL is stored only once the server accepted the login, so a mistyped
+    // one never replaces working settings. Sync (re)starts through the session subscription
+    return await signIn(url, username.trim(), password, {
+      onAccepted: async () => {
+        applyServerSettings(await saveServerSettings({ ...current, url }));
+      }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    throw error;
+  }
+};
+
+export const logout = async ({ wipeLocalData = false } = {}) => {
+  try {
+    stopSync();
+
+    // Wiped before signing out, so the screens remounted on sign-out open a fresh database
+    if (wipeLocalData && dbInstance) {
+      const db = dbInstance;
+      removeListeners.forEach(remove => remove());
+      removeListeners = [];
+      dbInstance = null;
+      dbPromise = null;
+      await db.remove();
+    }
+
+    await signOut();
+    return true;
+  } catch (error) {
+    console.error('Error logging out:', error);
+    throw error;
+  }
+};
+
+// Replication conflicts
+const recordConflict = async (db, { collection, local, remote, fields }) => {
+  await db.conflicts.upsert({
+    id: `${collection}:${remote.id}`,
+    collection,
+    document_id: remote.id,
+    fields,
+    local,
+    remote,
+    detected_at: Date.now()
+  });
+};
+
+export const getConflicts = async () => {
+  try {
+    const db = await initDatabase();
+    const result = await db.conflicts.find().exec();
+    return result.sort((a, b) => b.detected_at - a.detected_at);
+  } catch (error) {
+    console.error('Error fetching conflicts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Applies the chosen side of each conflicting field to the current document,
+ * choices being { [field]: CONFLICT_SIDES.* }. The resolution is a new local
+ * edit and is pushed on the next sync.
+ */
+export const resolveConflict = async (conflictId, choices) => {
+  try {
+    const db = await initDatabase();
+    const conflictDoc = await db.conflicts.findOne(conflictId).exec();
+    if (!conflictDoc) {
+      throw new Error('Conflict not found');
+    }
+
+    const conflict = conflictDoc.toJSON();
+    const collection = db[conflict.collection];
+    const tracked = !!TRACKED_FIELDS[conflict.collection];
+    const current = await collection.findOne(conflict.document_id).exec();
+
+    if (conflict.fields.includes('_deleted')) {
+      if (choices._deleted === CONFLICT_SIDES.LOCAL) {
+        if (conflict.local._deleted) {
+          if (current) {
+            await current.remove();
+          }
+        } else if (!current) {
+          // The server deleted the document; this device's version brings it back
+          const { _deleted, ...data } = conflict.local;
+          const audit = tracked ? await createAudit() : {};
+          const restored = await collection.incrementalUpsert({ ...data, ...audit });
+          if (tracked) {
+            await recordHistory(db, conflict.collection, [
+              { before: null, after: restored.toJSON() }
+            ], audit);
+          }
+        }
+      }
+    } else {
+      const patch = buildResolutionPatch(conflict, choices);
+      if (Object.keys(patch).length > 0) {
+        if (!current) {
+          throw new Error('The document was deleted in the meantime');
+        }
+        if (tracked) {
+          await auditedPatch(db, conflict.collection, current, patch, await createAudit());
+        } else {
+          if (collection.schema.jsonSchema.properties.updated_at) {
+            patch.updated_at = Date.now();
+          }
+          await current.incrementalPatch(patch);
+        }
+      }
+    }
+
+    // qty follows the ledger, whichever version of the article was kept
+    if (conflict.collection === 'articles') {
+      scheduleReconcile(conflict.document_id);
+    }
+
+    await conflictDoc.remove();
+    return true;
+  } catch (error) {
+    console.error('Error resolving conflict:', error);
+    throw error;
+  }
+};
+
+// Keep the server version that replication already applied
+export const dismissConflict = async (conflictId) => {
+  try {
+    const db = await initDatabase();
+    const conflictDoc = await db.conflicts.findOne(conflictId).exec();
+    if (conflictDoc) {
+      await conflictDoc.remove();
+    }
+    return true;
+  } catch (error) {
+    console.error('Error dismissing conflict:', error);
+    throw error;
+  }
+};
+
+// Live queries: each emits the current result and again after every
+// local write or document pulled by replication
+export const observeAllBusinesses = async () => {
+  const db = await initDatabase();
+  return db.businesses.find({ selector: NOT_TRASHED }).$;
+};
+
+// Newest first
+export const observeStockMovements = async (articleId) => {
+  const db = await initDatabase();
+  return db.stock_movements
+    .find({
+      selector: { article_id: articleId },
+      sort: [{ created_at: 'desc' }]
+    })
+    .$;
+};
+
+// Field changes of a business or article, newest first
+export const observeHistory = async (documentId) => {
+  const db = await initDatabase();
+  return db.history
+    .find({
+      selector: { document_id: documentId },
+      sort: [{ created_at: 'desc' }]
+    })
+    .$;
+};
+
+// filters: see buildArticleQuery; without a limit every match is returned
+export const observeArticles = async (filters, limit) => {
+  const db = await initDatabase();
+  const query = buildArticleQuery(filters);
+  return db.articles.find(limit ? { ...query, limit } : query).$;
+};
+
+export const observeCategories = async (businessId) => {
+  const db = await initDatabase();
+  return db.categories
+    .find({ selector: { business_id: businessId }, sort: [{ sort_order: 'asc' }] })
+    .$;
+};
+
+// { atCost, atSelling, articlesWithoutCost } of a business's stock on hand
+export const observeStockValue = async (businessId) => {
+  const db = await initDatabase();
+  const articles = await observeArticles({ businessId });
+  return combineLatest([db.businesses.findOne(businessId).$, articles]).pipe(
+    map(([business, docs]) => calculateStockValue(
+      docs.map(doc => doc.toJSON()),
+      business ? business.toJSON().tax_rates : []
+    ))
+  );
+};
+
+// Report of one business for its detail screen, null once it's gone or trashed
+export const observeBusinessReport = async (businessId) => {
+  const db = await initDatabase();
+  return combineLatest([
+    db.businesses.findOne(businessId).$,
+    db.articles.find({ selector: { business_id: businessId, ...NOT_TRASHED } }).$
+  ]).pipe(
+    map(([business, articles]) => (business && !isTrashed(business)
+      ? buildBusinessReport(business.toJSON(), articles.map(doc => doc.toJSON()))
+      : null))
+  );
+};
+
+// Per-business inventory reports, recomputed whenever a business or article changes
+export const observeInventoryReports = async () => {
+  const db = await initDatabase();
+  return combineLatest([
+    db.businesses.find({ selector: NOT_TRASHED }).$,
+    db.articles.find({ selector: NOT_TRASHED }).$
+  ]).pipe(
+    map(([businesses, articles]) => buildInventoryReports(
+      businesses.map(doc => doc.toJSON()),
+      articles.map(doc => doc.toJSON())
+    ))
+  );
+};
+
+// Low-stock articles of all businesses; qty changes from sales, movements
+// and replication all land in the articles collection and re-emit here
+export const observeArticlesToReorder = async () => {
+  const db = await initDatabase();
+  return combineLatest([
+    db.businesses.find({ selector: NOT_TRASHED }).$,
+    db.articles.find({ selector: NOT_TRASHED }).$
+  ]).pipe(
+    map(([businesses, articles]) => findArticlesToReorder(
+      businesses.map(doc => doc.toJSON()),
+      articles.map(doc => doc.toJSON())
+    ))
+  );
+};
+
+export const observeStorageStats = async () => {
+  const db = await initDatabase();
+  return combineLatest([
+    db.businesses.count({ selector: NOT_TRASHED }).$,
+    db.articles.count({ selector: NOT_TRASHED }).$
+  ]).pipe(
+    map(([businesses, articles]) => ({ businesses, articles }))
+  );
+};
+
+// Trashed businesses and articles, see buildTrashList
+export const observeTrash = async () => {
+  const db = await initDatabase();
+  const trashed = { deleted_at: { $gt: 0 } };
+  return combineLatest([
+    db.businesses.find().$,
+    db.articles.find({ selector: trashed }).$
+  ]).pipe(
+    map(([businesses, articles]) => buildTrashList(
+      businesses.map(doc => doc.toJSON()),
+      articles.map(doc => doc.toJSON())
+    ))
+  );
+};
@@ -0,0 +1,228 @@
+// src/database/discovery.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { config } from '../config/environment';
+
+const KNOWN_SERVERS_KEY = 'known_couchdb_servers';
+// Legacy single URL written by the old sequential scan
+const LEGACY_URL_KEY = 'couchdb_url';
+const MAX_KNOWN_SERVERS = 10;
+
+const DISCOVERY_CONFIG = config.couchdb.discovery;
+
+const trimUrl = url => url.replace(/\/+$/, '');
+
+/**
+ * CouchDB answers GET / with {"couchdb":"Welcome","version":...}.
+ * Anything else listening on the port (routers, dev servers) is ignored.
+ */
+export const isCouchDBWelcome = (body) =>
+  !!body && typeof body === 'object' && body.couchdb === 'Welcome';
+
+const parseIPv4 = (address) => {
+  const parts = String(address || '').split('.').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => value * 256 + part, 0);
+};
+
+const formatIPv4 = (value) =>
+  [3, 2, 1, 0].map(octet => Math.floor(value / 256 ** octet) % 256).join('.');
+
+/**
+ * Host addresses of the device's subnet, excluding network, broadcast and
+ * the device itself. Masks wider than maxPrefix are narrowed to the block
+ * around the device so a /16 network doesn't turn into 65k requests.
+ */
+export const getSubnetHosts = (ipAddress, subnetMask, maxPrefix = 24) => {
+  const ip = parseIPv4(ipAddress);
+  if (ip === null) return [];
+
+  const mask = parseIPv4(subnetMask);
+  const largestBlock = 2 ** (32 - maxPrefix);
+  const blockSize = mask === null ? largestBlock : Math.min(2 ** 32 - mask, largestBlock);
+
+  const network = Math.floor(ip / blockSize) * blockSize;
+  const broadcast = network + blockSize - 1;
+
+  const hosts = [];
+  for (let host = network + 1; host < broadcast; host++) {
+    if (host !== ip) {
+      hosts.push(formatIPv4(host));
+    }
+  }
+  return hosts;
+};
+
+/**
+ * Runs worker over items with at most `limit` calls in flight.
+ * Results keep the order of items.
+ */
+export const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const runners = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    runners.push(runNext());
+  }
+  await Promise.all(runners);
+  return results;
+};
+
+/**
+ * Orders responsive servers best first: lowest latency wins, servers that
+ * answered before get a head start so a known server isn't dropped for a
+ * marginally faster newcomer.
+ */
+export const rankServers = (servers, knownServers = []) => {
+  const successCounts = {};
+  knownServers.forEach(server => {
+    successCounts[server.url] = server.successCount || 0;
+  });
+
+  const score = server =>
+    server.latency - Math.min(successCounts[server.url] || 0, 5) * DISCOVERY_CONFIG.knownServerBonus;
+
+  return [...servers].sort((a, b) => score(a) - score(b));
+};
+
+/**
+ * Requests GET / on a candidate and returns
+ * { url, latency, version, vendor } for a CouchDB server, null otherwise.
+ */
+export const probeServer = async (url, timeout = DISCOVERY_CONFIG.probeTimeout) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const startedAt = Date.now();
+
+  try {
+    const cleanUrl = trimUrl(url);
+    const response = await fetch(`${cleanUrl}/`, {
+      signal: controller.signal,
+      headers: { Accept: 'application/json' }
+    });
+    if (!response.ok) return null;
+
+    const body = await response.json();
+    if (!isCouchDBWelcome(body)) return null;
+
+    return {
+      url: cleanUrl,
+      latency: Date.now() - startedAt,
+      version: body.version || null,
+      vendor: body.vendor?.name || null,
+    };
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+export const getKnownServers = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(KNOWN_SERVERS_KEY);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+
+    const legacyUrl = await AsyncStorage.getItem(LEGACY_URL_KEY);
+    return legacyUrl ? [{ url: trimUrl(legacyUrl), successCount: 1, lastSeenAt: 0 }] : [];
+  } catch (error) {
+    console.error('Error loading known servers:', error);
+    return [];
+  }
+};
+
+// Records servers that answered so the next discovery tries them first
+const rememberServers = async (servers) => {
+  if (servers.length === 0) return;
+
+  const known = await getKnownServers();
+  const byUrl = {};
+  known.forEach(server => {
+    byUrl[server.url] = server;
+  });
+
+  const now = Date.now();
+  servers.forEach(server => {
+    const previous = byUrl[server.url];
+    byUrl[server.url] = {
+      url: server.url,
+      version: server.version,
+      latency: server.latency,
+      successCount: (previous?.successCount || 0) + 1,
+      lastSeenAt: now,
+    };
+  });
+
+  const remembered = Object.values(byUrl)
+    .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+    .slice(0, MAX_KNOWN_SERVERS);
+
+  await AsyncStorage.setItem(KNOWN_SERVERS_KEY, JSON.stringify(remembered));
+  await AsyncStorage.removeItem(LEGACY_URL_KEY);
+};
+
+const probeAll = async (urls, onFound) => {
+  const results = await runWithConcurrency(urls, DISCOVERY_CONFIG.concurrency, async url => {
+    const result = await probeServer(url);
+    if (result && onFound) {
+      onFound(result);
+    }
+    return result;
+  });
+  return results.filter(Boolean);
+};
+
+const getSubnetCandidates = async () => {
+  const state = await NetInfo.fetch();
+  const { ipAddress, subnet } = state.details || {};
+  return getSubnetHosts(ipAddress, subnet, DISCOVERY_CONFIG.maxPrefix)
+    .map(host => `http://${host}:${DISCOVERY_CONFIG.port}`);
+};
+
+/**
+ * Probes remembered servers, the configured extra hosts and every host of
+ * the current subnet in parallel. onFound is called as servers answer so a
+ * list can fill in while the scan is still running.
+ * Resolves with all CouchDB servers found, best first.
+ */
+export const discoverServers = async ({ onFound } = {}) => {
+  const known = await getKnownServers();
+  const candidates = [
+    ...known.map(server => server.url),
+    ...DISCOVERY_CONFIG.extraUrls,
+    ...await getSubnetCandidates(),
+  ];
+  const unique = [...new Set(candidates.map(trimUrl))];
+
+  const found = await probeAll(unique, onFound);
+  await rememberServers(found);
+  return rankServers(found, known);
+};
+
+/**
+ * Finds a single server for syncing. Remembered servers are tried first,
+ * the full subnet scan only runs when none of them answers.
+ */
+export const findBestServer = async () => {
+  const known = await getKnownServers();
+  const reachable = await probeAll(known.map(server => server.url));
+  if (reachable.length > 0) {
+    await rememberServers(reachable);
+    return rankServers(reachable, known)[0];
+  }
+
+  const discovered = await discoverServers();
+  return discovered[0] || null;
+};
@@ -0,0 +1,64 @@
+// src/database/files.js
+//
+// Text files shared with and picked from other apps. Files are written to
+// the cache directory and handed to the share sheet as attachments, as
+// large exports don't fit in the text of a share intent; picked files are
+// read through the system document picker.
+
+import RNFS from 'react-native-fs';
+import Share from 'react-native-share';
+import {
+  pick,
+  keepLocalCopy,
+  isErrorWithCode,
+  errorCodes,
+} from '@react-native-documents/picker';
+
+/**
+ * Writes text to a file named fileName and opens the share sheet with it.
+ * The copy in the cache directory is left for the OS to clean up, as the
+ * receiving app may still be reading it after the share sheet closes.
+ */
+export const shareTextFile = async ({ text, fileName, mimeType }) => {
+  const path = `${RNFS.CachesDirectoryPath}/${fileName}`;
+  await RNFS.writeFile(path, text, 'utf8');
+  await Share.open({
+    url: `file://${path}`,
+    type: mimeType,
+    filename: fileName,
+    failOnCancel: false,
+  });
+  return fileName;
+};
+
+/**
+ * Lets the user pick a file of one of the given picker types and returns
+ * { name, text }, or null when the picker is cancelled.
+ */
+export const pickTextFile = async ({ type, fallbackName }) => {
+  let file;
+  try {
+    [file] = await pick({ type, mode: 'import' });
+  } catch (error) {
+    if (isErrorWithCode(error) && error.code === errorCodes.OPERATION_CANCELED) {
+      return null;
+    }
+    throw error;
+  }
+
+  // Android hands out content:// URIs, which have to be copied to a file first
+  const [copy] = await keepLocalCopy({
+    files: [{ uri: file.uri, fileName: file.name || fallbackName }],
+    destination: 'cachesDirectory',
+  });
+  if (copy.status !== 'success') {
+    throw new Error(`Could not read the file: ${copy.copyError}`);
+  }
+
+  const path = decodeURIComponent(copy.localUri.replace(/^file:\/\//, ''));
+  try {
+    return { name: file.name, text: await RNFS.readFile(path, 'utf8') };
+  } finally {
+    await RNFS.unlink(path).catch(() => {});
+  }
+};
@@ -0,0 +1,125 @@
+// src/database/history.js
+//
+// Field-level change log of businesses and articles. Every write made
+// through database.js appends an entry listing the changed fields together
+// with who made the change and on which device. Entries replicate like
+// stock movements, so a document's history includes edits made elsewhere.
+
+import { formatMoney } from './money';
+import { describeTaxRate } from './tax';
+import { formatAddress } from './businessProfile';
+
+export const HISTORY_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+};
+
+// Fields whose changes are logged, per collection
+export const TRACKED_FIELDS = {
+  businesses: [
+    'name', 'currency', 'tax_rates', 'address', 'phone', 'email', 'tax_id',
+    'logo', 'deleted_at',
+  ],
+  articles: [
+    'name', 'sku', 'category_id', 'business_id', 'qty', 'selling_price',
+    'cost_price', 'tax_rate_id', 'price_includes_tax', 'reorder_level',
+    'reorder_qty', 'deleted_at',
+  ],
+};
+
+const PRICE_FIELDS = ['selling_price', 'cost_price'];
+
+const FIELD_LABELS = {
+  name: 'Name',
+  sku: 'SKU',
+  currency: 'Currency',
+  tax_rates: 'Tax rates',
+  address: 'Address',
+  phone: 'Phone',
+  email: 'Email',
+  tax_id: 'Tax registration number',
+  logo: 'Logo',
+  tax_rate_id: 'Tax rate',
+  price_includes_tax: 'Price includes tax',
+  category_id: 'Category',
+  business_id: 'Business',
+  qty: 'Quantity',
+  selling_price: 'Selling price',
+  cost_price: 'Cost price',
+  reorder_level: 'Reorder level',
+  reorder_qty: 'Reorder quantity',
+};
+
+// Logged values are scalars; lists and objects are logged as their
+// description, images only by size
+const LOGGED_VALUES = {
+  tax_rates: taxRates => taxRates.map(describeTaxRate).join(', '),
+  address: formatAddress,
+  logo: logo => (logo ? `Image of ${Math.ceil(logo.length / 1024)} KB` : ''),
+};
+
+const valueOf = (doc, field) => {
+  const value = doc?.[field] ?? null;
+  return value !== null && LOGGED_VALUES[field] ? LOGGED_VALUES[field](value) : value;
+};
+
+/**
+ * Returns a history entry for a write that turned `before` into `after`,
+ * or null when no tracked field changed. `before` is null for a new
+ * document; its tracked fields are logged as changed from null.
+ * audit: { updated_at, updated_by, device_id } of the write.
+ */
+export const createHistoryEntry = ({ id, collection, before, after, audit }) => {
+  const fields = TRACKED_FIELDS[collection].filter(field =>
+    before || field !== 'deleted_at'
+  );
+  const changes = fields
+    .filter(field => valueOf(before, field) !== valueOf(after, field))
+    .map(field => ({ field, from: valueOf(before, field), to: valueOf(after, field) }));
+
+  if (before && changes.length === 0) return null;
+
+  return {
+    id,
+    collection,
+    document_id: after.id,
+    // A business is filed under itself so purging it finds its entries
+    business_id: after.business_id ?? after.id,
+    action: before ? HISTORY_ACTIONS.UPDATE : HISTORY_ACTIONS.CREATE,
+    // Prices are read in the currency they had when logged
+    currency: collection === 'articles' ? after.currency : '',
+    changes,
+    created_at: audit.updated_at,
+    updated_by: audit.updated_by,
+    device_id: audit.device_id,
+  };
+};
+
+const formatValue = (value) => {
+  if (value === null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+// One line per change, e.g. "Selling price: ₹10.00 → ₹12.00"; currency
+// is the one recorded on the entry
+export const describeChange = ({ field, from, to }, currency = '') => {
+  if (field === 'deleted_at') {
+    return to > 0 ? 'Moved to the trash' : 'Restored from the trash';
+  }
+  const label = FIELD_LABELS[field] || field;
+  // Ids mean nothing to the reader
+  if (field === 'category_id' || field === 'business_id' || field === 'tax_rate_id') {
+    return `${label} changed`;
+  }
+  const format = PRICE_FIELDS.includes(field) && currency
+    ? value => (value === null ? '—' : formatMoney(value, currency))
+    : formatValue;
+  return `${label}: ${format(from)} → ${format(to)}`;
+};
+
+// "anna · ios-5f2c…" for the editor fields of a document or history entry
+export const describeEditor = ({ updated_by, device_id }) => {
+  const user = updated_by || 'Unknown user';
+  return device_id ? `${user} · ${device_id.substring(0, 12)}…` : user;
+};
@@ -0,0 +1,203 @@
+// src/database/migrations.js
+//
+// Migration strategies per collection, keyed by the schema version they
+// migrate to. When a schema version is bumped, add the matching strategy
+// here and extend the v0 fixtures test in __tests__/migrations.test.js.
+//
+// Documents pulled from CouchDB carry no schema version (they may have been
+// written by a device still running an older app), so they are run through
+// the whole chain as well. Every strategy must therefore be idempotent:
+// applying it to a document that already has the new shape must not change it.
+
+const toFiniteNumber = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const toTimestamp = (value) => (Number.isInteger(value) && value >= 0 ? value : 0);
+
+// Before amounts were stored in minor units they were rupees as floats; a
+// currency code on the document marks it as already converted
+const LEGACY_CURRENCY = 'INR';
+const isCurrencyCode = (value) => typeof value === 'string' && /^[A-Z]{3}$/.test(value);
+const toLegacyMinorUnits = (value) => Math.round(toFiniteNumber(value) * 100);
+const LEGACY_PRICE_FIELDS = ['selling_price', 'cost_price'];
+
+const ADDRESS_FIELDS = ['line1', 'line2', 'city', 'postal_code', 'region', 'country'];
+const PROFILE_TEXT_FIELDS = ['phone', 'email', 'tax_id', 'logo'];
+
+const addAuditFields = (oldDoc) => {
+  oldDoc.created_at = toTimestamp(oldDoc.created_at);
+  oldDoc.updated_at = toTimestamp(oldDoc.updated_at);
+  oldDoc.updated_by = typeof oldDoc.updated_by === 'string' ? oldDoc.updated_by : '';
+  oldDoc.device_id = typeof oldDoc.device_id === 'string' ? oldDoc.device_id : '';
+  return oldDoc;
+};
+
+export const businessMigrationStrategies = {
+  // v1: soft delete, existing businesses are not trashed
+  1: (oldDoc) => {
+    oldDoc.deleted_at = toTimestamp(oldDoc.deleted_at);
+    return oldDoc;
+  },
+  // v2: audit fields; older edits are unattributed
+  2: (oldDoc) => addAuditFields(oldDoc),
+  // v3: currency of the business's prices
+  3: (oldDoc) => {
+    oldDoc.currency = isCurrencyCode(oldDoc.currency) ? oldDoc.currency : LEGACY_CURRENCY;
+    return oldDoc;
+  },
+  // v4: sales tax rates, none configured yet
+  4: (oldDoc) => {
+    oldDoc.tax_rates = Array.isArray(oldDoc.tax_rates) ? oldDoc.tax_rates : [];
+    return oldDoc;
+  },
+  // v5: profile with address, contact, tax ID and logo, all empty
+  5: (oldDoc) => {
+    const address = oldDoc.address && typeof oldDoc.address === 'object' ? oldDoc.address : {};
+    oldDoc.address = {};
+    ADDRESS_FIELDS.forEach(field => {
+      oldDoc.address[field] = typeof address[field] === 'string' ? address[field] : '';
+    });
+    PROFILE_TEXT_FIELDS.forEach(field => {
+      oldDoc[field] = typeof oldDoc[field] === 'string' ? oldDoc[field] : '';
+    });
+    return oldDoc;
+  },
+};
+
+export const stockMovementMigrationStrategies = {};
+
+export const saleMigrationStrategies = {
+  // v1: amounts in minor units of the sale's currency
+  1: (oldDoc) => {
+    if (isCurrencyCode(oldDoc.currency)) return oldDoc;
+    oldDoc.items = (oldDoc.items || []).map(item => ({
+      ...item,
+      unit_price: toLegacyMinorUnits(item.unit_price),
+      line_total: toLegacyMinorUnits(item.line_total),
+    }));
+    oldDoc.total = toLegacyMinorUnits(oldDoc.total);
+    oldDoc.currency = LEGACY_CURRENCY;
+    return oldDoc;
+  },
+  // v2: tax breakdown; earlier sales were recorded without tax
+  2: (oldDoc) => {
+    if (typeof oldDoc.tax_total === 'number') return oldDoc;
+    oldDoc.items = (oldDoc.items || []).map(item => ({
+      ...item,
+      tax_rate: 0,
+      net_total: item.line_total,
+      tax_total: 0,
+    }));
+    oldDoc.net_total = oldDoc.total;
+    oldDoc.tax_total = 0;
+    return oldDoc;
+  },
+};
+
+export const categoryMigrationStrategies = {};
+
+export const historyMigrationStrategies = {
+  // v1: logged prices in minor units of the recorded currency, '' for businesses
+  1: (oldDoc) => {
+    if (typeof oldDoc.currency === 'string') return oldDoc;
+    if (oldDoc.collection !== 'articles') {
+      oldDoc.currency = '';
+      return oldDoc;
+    }
+    oldDoc.changes = (oldDoc.changes || []).map(change =>
+      LEGACY_PRICE_FIELDS.includes(change.field)
+        ? {
+          ...change,
+          from: change.from === null ? null : toLegacyMinorUnits(change.from),
+          to: change.to === null ? null : toLegacyMinorUnits(change.to),
+        }
+        : change
+    );
+    oldDoc.currency = LEGACY_CURRENCY;
+    return oldDoc;
+  },
+  // v2: logged values may be booleans as well
+  2: (oldDoc) => oldDoc,
+};
+
+export const articleMigrationStrategies = {
+  // v1: older versions stored NaN (serialized as null) or strings for
+  // unparsable qty/price input
+  1: (oldDoc) => {
+    oldDoc.qty = Math.trunc(toFiniteNumber(oldDoc.qty));
+    oldDoc.selling_price = toFiniteNumber(oldDoc.selling_price);
+    return oldDoc;
+  },
+  // v2: indexed fields need a bounded length, sorting needs updated_at
+  2: (oldDoc) => {
+    oldDoc.name = String(oldDoc.name ?? '').slice(0, 200);
+    oldDoc.business_id = String(oldDoc.business_id ?? '');
+    const updatedAt = oldDoc.updated_at;
+    oldDoc.updated_at = Number.isInteger(updatedAt) && updatedAt >= 0 ? updatedAt : 0;
+    return oldDoc;
+  },
+  // v3: cost price for margin tracking
+  3: (oldDoc) => {
+    oldDoc.cost_price = toFiniteNumber(oldDoc.cost_price);
+    return oldDoc;
+  },
+  // v4: reorder level and quantity for low-stock alerts, 0 = not set
+  4: (oldDoc) => {
+    oldDoc.reorder_level = Math.max(Math.trunc(toFiniteNumber(oldDoc.reorder_level)), 0);
+    oldDoc.reorder_qty = Math.max(Math.trunc(toFiniteNumber(oldDoc.reorder_qty)), 0);
+    return oldDoc;
+  },
+  // v5: indexed SKU/barcode, empty when not set
+  5: (oldDoc) => {
+    oldDoc.sku = String(oldDoc.sku ?? '').trim().slice(0, 100);
+    return oldDoc;
+  },
+  // v6: category reference, empty when uncategorized
+  6: (oldDoc) => {
+    oldDoc.category_id = String(oldDoc.category_id ?? '');
+    return oldDoc;
+  },
+  // v7: soft delete, existing articles are not trashed
+  7: (oldDoc) => {
+    oldDoc.deleted_at = toTimestamp(oldDoc.deleted_at);
+    return oldDoc;
+  },
+  // v8: audit fields; older edits are unattributed
+  8: (oldDoc) => addAuditFields(oldDoc),
+  // v9: prices in minor units of the business's currency
+  9: (oldDoc) => {
+    if (isCurrencyCode(oldDoc.currency)) return oldDoc;
+    LEGACY_PRICE_FIELDS.forEach(field => {
+      oldDoc[field] = Math.max(toLegacyMinorUnits(oldDoc[field]), 0);
+    });
+    oldDoc.currency = LEGACY_CURRENCY;
+    return oldDoc;
+  },
+  // v10: sales tax; existing articles are untaxed at their current price
+  10: (oldDoc) => {
+    oldDoc.tax_rate_id = String(oldDoc.tax_rate_id ?? '');
+    oldDoc.price_includes_tax = typeof oldDoc.price_includes_tax === 'boolean'
+      ? oldDoc.price_includes_tax
+      : true;
+    return oldDoc;
+  },
+};
+
+/**
+ * Runs plain document data through the strategies between two schema
+ * versions. Returns null when a strategy drops the document.
+ */
+export const migrateDocumentData = (strategies, fromVersion, toVersion, docData) => {
+  let migrated = { ...docData };
+  for (let version = fromVersion + 1; version <= toVersion; version++) {
+    const strategy = strategies[version];
+    if (!strategy) {
+      throw new Error(`Missing migration strategy for version ${version}`);
+    }
+    migrated = strategy(migrated);
+    if (!migrated) return null;
+  }
+  return migrated;
+};
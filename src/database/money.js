@@ -0,0 +1,133 @@
+// src/database/money.js
+//
+// Money is stored as integer minor units (paise, cents) of the currency
+// recorded on the document, so sums never drift the way floats do.
+// Formatting and parsing follow the device locale; parsing also accepts
+// the other common decimal separator, as keyboards don't always offer
+// the locale's one.
+
+export const DEFAULT_CURRENCY = 'INR';
+
+// ISO 4217 codes offered for businesses, with their number of minor unit digits
+export const CURRENCIES = [
+  { code: 'INR', name: 'Indian rupee', decimals: 2 },
+  { code: 'USD', name: 'US dollar', decimals: 2 },
+  { code: 'EUR', name: 'Euro', decimals: 2 },
+  { code: 'GBP', name: 'Pound sterling', decimals: 2 },
+  { code: 'AED', name: 'UAE dirham', decimals: 2 },
+  { code: 'AUD', name: 'Australian dollar', decimals: 2 },
+  { code: 'BDT', name: 'Bangladeshi taka', decimals: 2 },
+  { code: 'CAD', name: 'Canadian dollar', decimals: 2 },
+  { code: 'CHF', name: 'Swiss franc', decimals: 2 },
+  { code: 'CNY', name: 'Chinese yuan', decimals: 2 },
+  { code: 'JPY', name: 'Japanese yen', decimals: 0 },
+  { code: 'KES', name: 'Kenyan shilling', decimals: 2 },
+  { code: 'KWD', name: 'Kuwaiti dinar', decimals: 3 },
+  { code: 'LKR', name: 'Sri Lankan rupee', decimals: 2 },
+  { code: 'NPR', name: 'Nepalese rupee', decimals: 2 },
+  { code: 'PKR', name: 'Pakistani rupee', decimals: 2 },
+  { code: 'SGD', name: 'Singapore dollar', decimals: 2 },
+  { code: 'ZAR', name: 'South African rand', decimals: 2 },
+];
+
+export const isSupportedCurrency = (code) =>
+  CURRENCIES.some(currency => currency.code === code);
+
+export const getCurrencyDecimals = (code) =>
+  CURRENCIES.find(currency => currency.code === code)?.decimals ?? 2;
+
+// Major units (12.5) to minor units (1250)
+export const toMinorUnits = (amount, currency = DEFAULT_CURRENCY) =>
+  Math.round(amount * 10 ** getCurrencyDecimals(currency));
+
+// Minor units (1250) to major units (12.5)
+export const fromMinorUnits = (minor, currency = DEFAULT_CURRENCY) =>
+  minor / 10 ** getCurrencyDecimals(currency);
+
+/**
+ * Re-expresses an amount when a document changes currency. Only the number
+ * of decimals is adjusted, 12.50 INR becomes 12.50 USD; there is no
+ * exchange rate conversion.
+ */
+export const convertMinorUnits = (minor, fromCurrency, toCurrency) =>
+  Math.round(minor * 10 ** (getCurrencyDecimals(toCurrency) - getCurrencyDecimals(fromCurrency)));
+
+export const getDefaultLocale = () => {
+  try {
+    return new Intl.NumberFormat().resolvedOptions().locale;
+  } catch (error) {
+    return 'en-US';
+  }
+};
+
+const getDecimalSeparator = (locale) => {
+  try {
+    const part = new Intl.NumberFormat(locale)
+      .formatToParts(1.5)
+      .find(({ type }) => type === 'decimal');
+    return part ? part.value : '.';
+  } catch (error) {
+    return '.';
+  }
+};
+
+// "₹1,234.50" for display, with the currency's fixed number of decimals
+export const formatMoney = (minor, currency = DEFAULT_CURRENCY, locale = getDefaultLocale()) => {
+  const decimals = getCurrencyDecimals(currency);
+  const amount = fromMinorUnits(minor, currency);
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }).format(amount);
+  } catch (error) {
+    return `${currency} ${amount.toFixed(decimals)}`;
+  }
+};
+
+// "1234.50" (or "1234,50") to prefill an input, without grouping
+export const formatMoneyInput = (minor, currency = DEFAULT_CURRENCY, locale = getDefaultLocale()) =>
+  fromMinorUnits(minor, currency)
+    .toFixed(getCurrencyDecimals(currency))
+    .replace('.', getDecimalSeparator(locale));
+
+/**
+ * Reads a typed amount into minor units, or null when it isn't a
+ * non-negative amount with at most the currency's number of decimals.
+ *
+ * Both "." and "," are accepted as decimal separator. When both appear the
+ * last one is; a lone separator followed by exactly three digits is read
+ * as the locale's grouping ("1,234" in en-US, "1.234" in de-DE).
+ */
+export const parseMoney = (text, currency = DEFAULT_CURRENCY, locale = getDefaultLocale()) => {
+  const cleaned = String(text ?? '').replace(/[\s']/g, '');
+  if (!/^[\d.,]*\d[\d.,]*$/.test(cleaned)) return null;
+
+  const lastDot = cleaned.lastIndexOf('.');
+  const lastComma = cleaned.lastIndexOf(',');
+  let decimalIndex = Math.max(lastDot, lastComma);
+  if (decimalIndex >= 0 && (lastDot < 0 || lastComma < 0)) {
+    const separator = cleaned[decimalIndex];
+    const repeated = cleaned.indexOf(separator) !== decimalIndex;
+    const grouped = separator !== getDecimalSeparator(locale) &&
+      cleaned.length - decimalIndex - 1 === 3;
+    if (repeated || grouped) {
+      decimalIndex = -1;
+    }
+  }
+
+  const whole = (decimalIndex >= 0 ? cleaned.slice(0, decimalIndex) : cleaned).replace(/[.,]/g, '');
+  const fraction = decimalIndex >= 0 ? cleaned.slice(decimalIndex + 1) : '';
+  const decimals = getCurrencyDecimals(currency);
+  if (/[.,]/.test(fraction) || fraction.length > decimals) return null;
+
+  return Number(whole || '0') * 10 ** decimals + Number(fraction.padEnd(decimals, '0') || '0');
+};
+
+// Quantities and counts: digits only, so "12abc" or "1.5" aren't silently truncated
+export const parseWholeNumber = (text) => {
+  const trimmed = String(text ?? '').trim();
+  return /^\d+$/.test(trimmed) ? Number(trimmed) : null;
+};
@@ -0,0 +1,37 @@
+// src/database/pricing.js
+
+import { calculateArticlePrice } from './tax';
+
+/**
+ * Margin: profit as a share of the selling price.
+ * null when there is no selling price to divide by.
+ */
+export const calculateMargin = (costPrice, sellingPrice) =>
+  sellingPrice > 0 ? ((sellingPrice - costPrice) / sellingPrice) * 100 : null;
+
+/**
+ * Markup: profit as a share of the cost price.
+ * null when the cost is unknown (0).
+ */
+export const calculateMarkup = (costPrice, sellingPrice) =>
+  costPrice > 0 ? ((sellingPrice - costPrice) / costPrice) * 100 : null;
+
+export const formatPercent = (value) =>
+  value === null ? '–' : `${value.toFixed(1)}%`;
+
+/**
+ * Value of the stock on hand at cost and at selling price, the latter
+ * including tax (taxAtSelling of it) at the business's taxRates. Negative
+ * quantities (oversold stock) count as none.
+ */
+export const calculateStockValue = (articles, taxRates = []) =>
+  articles.reduce((value, article) => {
+    const qty = Math.max(article.qty, 0);
+    const { gross, tax } = calculateArticlePrice(article, taxRates, qty);
+    return {
+      atCost: value.atCost + qty * (article.cost_price || 0),
+      atSelling: value.atSelling + gross,
+      taxAtSelling: value.taxAtSelling + tax,
+      articlesWithoutCost: value.articlesWithoutCost + (article.cost_price > 0 ? 0 : 1),
+    };
+  }, { atCost: 0, atSelling: 0, taxAtSelling: 0, articlesWithoutCost: 0 });
@@ -0,0 +1,37 @@
+// src/database/reorder.js
+
+/**
+ * An article needs reordering once its quantity has fallen to its
+ * reorder level. Articles without a level (0) never do.
+ */
+export const isLowStock = (article) =>
+  article.reorder_level > 0 && article.qty <= article.reorder_level;
+
+/**
+ * Units to order: the article's reorder quantity, but at least enough to
+ * bring the stock back above the reorder level.
+ */
+export const suggestedOrderQty = (article) =>
+  Math.max(article.reorder_qty, article.reorder_level - article.qty + 1);
+
+/**
+ * Low-stock articles of every business, grouped by business name and then
+ * sorted by article name. Articles of unknown businesses are skipped.
+ */
+export const findArticlesToReorder = (businesses, articles) => {
+  const businessNames = {};
+  businesses.forEach(business => {
+    businessNames[business.id] = business.name;
+  });
+
+  return articles
+    .filter(article => isLowStock(article) && article.business_id in businessNames)
+    .map(article => ({
+      ...article,
+      business_name: businessNames[article.business_id],
+      suggested_qty: suggestedOrderQty(article),
+    }))
+    .sort((a, b) =>
+      a.business_name.localeCompare(b.business_name) || a.name.localeCompare(b.name)
+    );
+};
@@ -0,0 +1,55 @@
+// src/database/reports.js
+//
+// Inventory figures for the Reports tab, computed from plain business and
+// article data so they work offline and can be recomputed on every change.
+// Values are minor units of the business's currency; values at selling
+// price include tax.
+
+import { calculateStockValue } from './pricing';
+import { calculateArticlePrice } from './tax';
+import { isLowStock } from './reorder';
+
+export const TOP_ARTICLES_LIMIT = 5;
+
+export const buildBusinessReport = (business, articles) => {
+  const taxRates = business.tax_rates || [];
+  const stockValue = calculateStockValue(articles, taxRates);
+  const articleValue = (article) =>
+    calculateArticlePrice(article, taxRates, Math.max(article.qty, 0)).gross;
+
+  return {
+    businessId: business.id,
+    businessName: business.name,
+    currency: business.currency,
+    articleCount: articles.length,
+    lowStockCount: articles.filter(isLowStock).length,
+    totalUnits: articles.reduce((units, article) => units + Math.max(article.qty, 0), 0),
+    valueAtCost: stockValue.atCost,
+    valueAtSelling: stockValue.atSelling,
+    taxAtSelling: stockValue.taxAtSelling,
+    topArticles: articles
+      .map(article => ({ id: article.id, name: article.name, value: articleValue(article) }))
+      .filter(article => article.value > 0)
+      .sort((a, b) => b.value - a.value)
+      .slice(0, TOP_ARTICLES_LIMIT),
+    zeroStock: articles
+      .filter(article => article.qty <= 0)
+      .map(article => ({ id: article.id, name: article.name, qty: article.qty }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+};
+
+// One report per business, in the order the businesses are given
+export const buildInventoryReports = (businesses, articles) => {
+  const articlesByBusiness = {};
+  articles.forEach(article => {
+    if (!articlesByBusiness[article.business_id]) {
+      articlesByBusiness[article.business_id] = [];
+    }
+    articlesByBusiness[article.business_id].push(article);
+  });
+
+  return businesses.map(business =>
+    buildBusinessReport(business, articlesByBusiness[business.id] || [])
+  );
+};
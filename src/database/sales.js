@@ -0,0 +1,57 @@
+// src/database/sales.js
+//
+// Cart and sale arithmetic. A cart is a list of { article, qty } entries;
+// prices always come from the article's stored selling_price. Amounts are
+// integer minor units; tax is rounded once per line, so totals are exact
+// sums of the lines.
+
+import { calculateArticlePrice } from './tax';
+
+// Adds qty of an article, merging with an existing entry for it
+export const addToCart = (cart, article, qty = 1) => {
+  const existing = cart.find(entry => entry.article.id === article.id);
+  if (existing) {
+    return setCartQty(cart, article.id, existing.qty + qty);
+  }
+  return [...cart, { article, qty }];
+};
+
+// A qty of 0 or less removes the entry
+export const setCartQty = (cart, articleId, qty) =>
+  qty > 0
+    ? cart.map(entry => (entry.article.id === articleId ? { ...entry, qty } : entry))
+    : cart.filter(entry => entry.article.id !== articleId);
+
+// taxRates: those of the business, see tax.js. line_total is gross
+export const buildSaleLines = (cart, taxRates = []) =>
+  cart.map(({ article, qty }) => {
+    const { net, tax, gross, rate } = calculateArticlePrice(article, taxRates, qty);
+    return {
+      article_id: article.id,
+      name: article.name,
+      qty,
+      unit_price: article.selling_price,
+      line_total: gross,
+      tax_rate: rate,
+      net_total: net,
+      tax_total: tax,
+    };
+  });
+
+const sumOf = (lines, field) => lines.reduce((sum, line) => sum + line[field], 0);
+
+export const calculateSaleTotals = (lines) => ({
+  item_count: sumOf(lines, 'qty'),
+  total: sumOf(lines, 'line_total'),
+  net_total: sumOf(lines, 'net_total'),
+  tax_total: sumOf(lines, 'tax_total'),
+});
+
+/**
+ * Entries asking for more than the article has on hand, as
+ * { article, qty, available }.
+ */
+export const findShortages = (cart) =>
+  cart
+    .filter(({ article, qty }) => qty > article.qty)
+    .map(({ article, qty }) => ({ article, qty, available: article.qty }));
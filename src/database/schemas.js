@@ -1,7 +1,34 @@
 // src/database/schemas.js
+
+// Maintained by every write made through database.js; timestamps are
+// milliseconds since epoch, 0 and '' where older documents don't know them
+const AUDIT_PROPERTIES = {
+  created_at: {
+    type: 'number',
+    minimum: 0,
+    maximum: 8640000000000000,
+    multipleOf: 1,
+  },
+  updated_at: {
+    type: 'number',
+    minimum: 0,
+    maximum: 8640000000000000,
+    multipleOf: 1,
+  },
+  // Username of the staff member who made the last edit
+  updated_by: {
+    type: 'string',
+  },
+  // Install that made the last edit, see getDeviceId
+  device_id: {
+    type: 'string',
+  },
+};
+const AUDIT_FIELDS = Object.keys(AUDIT_PROPERTIES);
+
 export const businessSchema = {
   title: 'business schema',
-  version: 0,
+  version: 5,
   description: 'describes a business',
   type: 'object',
   primaryKey: 'id',
@@ -12,15 +39,77 @@ export const businessSchema = {
     },
     name: {
       type: 'string',
-    }
+    },
+    // ISO 4217 code of the prices of the business's articles
+    currency: {
+      type: 'string',
+      minLength: 3,
+      maxLength: 3,
+    },
+    // Sales tax rates articles can refer to, see tax.js
+    tax_rates: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', maxLength: 100 },
+          name: { type: 'string', maxLength: 40 },
+          // Hundredths of a percent, 1800 = 18%
+          rate: { type: 'number', minimum: 0, maximum: 10000, multipleOf: 1 }
+        },
+        required: ['id', 'name', 'rate']
+      }
+    },
+    // Profile, see businessProfile.js; empty strings when not set
+    address: {
+      type: 'object',
+      properties: {
+        line1: { type: 'string' },
+        line2: { type: 'string' },
+        city: { type: 'string' },
+        postal_code: { type: 'string' },
+        region: { type: 'string' },
+        country: { type: 'string' }
+      },
+      required: ['line1', 'line2', 'city', 'postal_code', 'region', 'country']
+    },
+    phone: {
+      type: 'string',
+      maxLength: 40,
+    },
+    email: {
+      type: 'string',
+      maxLength: 254,
+    },
+    // Tax registration number, e.g. a GSTIN or VAT ID
+    tax_id: {
+      type: 'string',
+      maxLength: 40,
+    },
+    // Data URI of the logo image
+    logo: {
+      type: 'string',
+      maxLength: 98304,
+    },
+    // Milliseconds since epoch when moved to the trash, 0 if not trashed
+    deleted_at: {
+      type: 'number',
+      minimum: 0,
+      maximum: 8640000000000000,
+      multipleOf: 1,
+    },
+    ...AUDIT_PROPERTIES
   },
-  required: ['id', 'name'],
+  required: [
+    'id', 'name', 'currency', 'tax_rates', 'address', 'phone', 'email', 'tax_id', 'logo',
+    'deleted_at', ...AUDIT_FIELDS
+  ],
 };
 
 
 export const articleSchema = {
   title: 'article',
-  version: 0,
+  version: 10,
   type: 'object',
   primaryKey: 'id',
   description: 'describes an article',
@@ -30,18 +119,353 @@ export const articleSchema = {
       maxLength: 100,
     },
     name: {
-      type: 'string'
+      type: 'string',
+      maxLength: 200,
+    },
+    // SKU or barcode, unique within a business; empty when not set
+    sku: {
+      type: 'string',
+      maxLength: 100,
     },
     qty: {
       type: 'number'
     },
+    // Prices are integer minor units of currency
     selling_price: {
+      type: 'number',
+      minimum: 0,
+      multipleOf: 1,
+    },
+    // Purchase price per unit, 0 if unknown
+    cost_price: {
+      type: 'number',
+      minimum: 0,
+      multipleOf: 1,
+    },
+    // Currency of the article's business
+    currency: {
+      type: 'string',
+      minLength: 3,
+      maxLength: 3,
+    },
+    // Tax rate of the business, empty when the article is untaxed
+    tax_rate_id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    // Whether selling_price is the gross price (tax included) or the net one
+    price_includes_tax: {
+      type: 'boolean',
+    },
+    // Reorder once qty falls to this level, 0 disables the alert
+    reorder_level: {
+      type: 'number',
+      minimum: 0
+    },
+    // Units to order when the reorder level is reached
+    reorder_qty: {
+      type: 'number',
+      minimum: 0
+    },
+    business_id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    // Category of the same business, empty when uncategorized
+    category_id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    // Milliseconds since epoch when moved to the trash, 0 if not trashed
+    deleted_at: {
+      type: 'number',
+      minimum: 0,
+      maximum: 8640000000000000,
+      multipleOf: 1,
+    },
+    ...AUDIT_PROPERTIES
+  },
+  required: [
+    'id', 'name', 'sku', 'qty', 'selling_price', 'cost_price', 'currency',
+    'tax_rate_id', 'price_includes_tax', 'reorder_level', 'reorder_qty', 'business_id', 'category_id', 'deleted_at', ...AUDIT_FIELDS
+  ],
+  indexes: [
+    'business_id',
+    ['business_id', 'name'],
+    ['business_id', 'updated_at'],
+    ['business_id', 'sku'],
+    ['business_id', 'category_id'],
+  ]
+};
+
+
+export const categorySchema = {
+  title: 'category',
+  version: 0,
+  type: 'object',
+  primaryKey: 'id',
+  description: 'describes a category of articles within a business',
+  properties: {
+    id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    business_id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    name: {
+      type: 'string',
+      maxLength: 200,
+    },
+    // Parent category of the same business, empty for top level
+    parent_id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    // Position among siblings, lowest first
+    sort_order: {
+      type: 'number',
+      minimum: 0,
+      maximum: 1000000,
+      multipleOf: 1,
+    },
+    // Milliseconds since epoch of the last local edit
+    updated_at: {
+      type: 'number',
+      minimum: 0,
+      maximum: 8640000000000000,
+      multipleOf: 1,
+    }
+  },
+  required: ['id', 'business_id', 'name', 'parent_id', 'sort_order', 'updated_at'],
+  indexes: [
+    ['business_id', 'sort_order'],
+  ]
+};
+
+
+// Append-only ledger: an article's quantity is the sum of its movements
+export const stockMovementSchema = {
+  title: 'stock movement',
+  version: 0,
+  type: 'object',
+  primaryKey: 'id',
+  description: 'describes a change of an article\'s stock',
+  properties: {
+    id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    article_id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    business_id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    type: {
+      type: 'string',
+      enum: ['receipt', 'sale', 'adjustment', 'damage', 'return'],
+    },
+    // Signed: positive adds stock, negative removes it
+    qty: {
       type: 'number'
     },
+    reason: {
+      type: 'string'
+    },
+    created_at: {
+      type: 'number',
+      minimum: 0,
+      maximum: 8640000000000000,
+      multipleOf: 1,
+    },
+    device_id: {
+      type: 'string'
+    }
+  },
+  required: ['id', 'article_id', 'business_id', 'type', 'qty', 'created_at', 'device_id'],
+  indexes: [
+    ['article_id', 'created_at'],
+    'business_id',
+  ]
+};
+
+
+// A completed sale; prices and tax are copied so later changes don't alter
+// it. Amounts are integer minor units of currency, totals are gross
+export const saleSchema = {
+  title: 'sale',
+  version: 2,
+  type: 'object',
+  primaryKey: 'id',
+  description: 'describes a completed sale',
+  properties: {
+    id: {
+      type: 'string',
+      maxLength: 100,
+    },
     business_id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          article_id: { type: 'string' },
+          name: { type: 'string' },
+          qty: { type: 'number' },
+          unit_price: { type: 'number' },
+          line_total: { type: 'number' },
+          // Hundredths of a percent, see tax.js
+          tax_rate: { type: 'number' },
+          net_total: { type: 'number' },
+          tax_total: { type: 'number' }
+        },
+        required: [
+          'article_id', 'name', 'qty', 'unit_price', 'line_total', 'tax_rate', 'net_total',
+          'tax_total'
+        ]
+      }
+    },
+    item_count: {
+      type: 'number'
+    },
+    total: {
+      type: 'number'
+    },
+    net_total: {
+      type: 'number'
+    },
+    tax_total: {
+      type: 'number'
+    },
+    currency: {
+      type: 'string',
+      minLength: 3,
+      maxLength: 3,
+    },
+    created_at: {
+      type: 'number',
+      minimum: 0,
+      maximum: 8640000000000000,
+      multipleOf: 1,
+    },
+    device_id: {
+      type: 'string'
+    }
+  },
+  required: [
+    'id', 'business_id', 'items', 'item_count', 'total', 'net_total', 'tax_total', 'currency',
+    'created_at', 'device_id'
+  ],
+  indexes: [
+    ['business_id', 'created_at'],
+  ]
+};
+
+
+// Local only, never replicated: a document state that lost against the server
+export const conflictSchema = {
+  title: 'replication conflict',
+  version: 0,
+  type: 'object',
+  primaryKey: 'id',
+  description: 'describes a replication conflict awaiting review',
+  properties: {
+    id: {
+      type: 'string',
+      maxLength: 200,
+    },
+    collection: {
       type: 'string'
+    },
+    document_id: {
+      type: 'string'
+    },
+    fields: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    local: {
+      type: 'object'
+    },
+    remote: {
+      type: 'object'
+    },
+    detected_at: {
+      type: 'number'
     }
   },
-  required: ['id', 'name', 'qty', 'selling_price', 'business_id']
+  required: ['id', 'collection', 'document_id', 'fields', 'local', 'remote', 'detected_at']
 };
 
+// One logged write of a business or article, see history.js
+export const historySchema = {
+  title: 'history entry',
+  version: 2,
+  type: 'object',
+  primaryKey: 'id',
+  description: 'describes the fields changed by one write of a document',
+  properties: {
+    id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    collection: {
+      type: 'string',
+      enum: ['businesses', 'articles'],
+    },
+    document_id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    business_id: {
+      type: 'string',
+      maxLength: 100,
+    },
+    action: {
+      type: 'string',
+      enum: ['create', 'update'],
+    },
+    // Currency of logged prices at the time, '' for businesses
+    currency: {
+      type: 'string',
+    },
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string' },
+          from: { type: ['string', 'number', 'boolean', 'null'] },
+          to: { type: ['string', 'number', 'boolean', 'null'] }
+        },
+        required: ['field', 'from', 'to']
+      }
+    },
+    created_at: {
+      type: 'number',
+      minimum: 0,
+      maximum: 8640000000000000,
+      multipleOf: 1,
+    },
+    updated_by: {
+      type: 'string'
+    },
+    device_id: {
+      type: 'string'
+    }
+  },
+  required: [
+    'id', 'collection', 'document_id', 'business_id', 'action', 'currency', 'changes',
+    'created_at', 'updated_by', 'device_id'
+  ],
+  indexes: [
+    ['document_id', 'created_at'],
+  ]
+};
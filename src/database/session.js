@@ -0,0 +1,163 @@
+// src/database/session.js
+import { BehaviorSubject } from 'rxjs';
+import {
+  getSecureItem,
+  setSecureItem,
+  removeSecureItem,
+} from '../config/secureStore';
+
+const CREDENTIALS_KEY = 'couchdb_credentials';
+
+export const SESSION_STATUS = {
+  UNKNOWN: 'unknown',
+  SIGNED_OUT: 'signed-out',
+  AUTHENTICATED: 'authenticated',
+  // The server rejected the stored credentials; sync stays stopped until the user signs in again
+  EXPIRED: 'expired',
+};
+
+const sessionSubject = new BehaviorSubject({
+  status: SESSION_STATUS.UNKNOWN,
+  username: null,
+  roles: [],
+});
+
+export const session$ = sessionSubject.asObservable();
+
+export const getSession = () => sessionSubject.getValue();
+
+// { url, username, password, roles } of the signed-in staff member
+let credentials = null;
+let renewPromise = null;
+
+const trimUrl = url => url.replace(/\/+$/, '');
+
+// Creates a CouchDB cookie session; the native networking layer keeps the cookie
+const requestSession = async (url, username, password) => {
+  const response = await fetch(`${trimUrl(url)}/_session`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+    },
+    body: JSON.stringify({ name: username, password }),
+  });
+
+  if (!response.ok) {
+    const error = new Error(
+      response.status === 401
+        ? 'Invalid username or password'
+        : `Login failed (HTTP ${response.status})`
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  const body = await response.json();
+  return { name: body.name, roles: body.roles || [] };
+};
+
+export const restoreSession = async () => {
+  try {
+    credentials = await getSecureItem(CREDENTIALS_KEY);
+  } catch (error) {
+    console.error('Error restoring session:', error);
+    credentials = null;
+  }
+
+  // Offline-first: a stored login counts until the server says otherwise
+  sessionSubject.next(credentials ? {
+    status: SESSION_STATUS.AUTHENTICATED,
+    username: credentials.username,
+    roles: credentials.roles || [],
+  } : {
+    status: SESSION_STATUS.SIGNED_OUT,
+    username: null,
+    roles: [],
+  });
+  return getSession();
+};
+
+/**
+ * Signs in against the server at url. onAccepted runs once the server
+ * accepted the credentials and before the session starts, so callers can
+ * store settings that only hold for a working login.
+ */
+export const signIn = async (url, username, password, { onAccepted } = {}) => {
+  const { name, roles } = await requestSession(url, username, password);
+  await onAccepted?.();
+
+  credentials = { url: trimUrl(url), username: name, password, roles };
+  await setSecureItem(CREDENTIALS_KEY, credentials);
+
+  sessionSubject.next({
+    status: SESSION_STATUS.AUTHENTICATED,
+    username: name,
+    roles,
+  });
+  return getSession();
+};
+
+export const signOut = async () => {
+  if (credentials) {
+    try {
+      await fetch(`${credentials.url}/_session`, {
+        method: 'DELETE',
+        credentials: 'include',
+      });
+    } catch (error) {
+      // Offline: the cookie simply expires on the server
+    }
+  }
+
+  credentials = null;
+  await removeSecureItem(CREDENTIALS_KEY);
+  sessionSubject.next({
+    status: SESSION_STATUS.SIGNED_OUT,
+    username: null,
+    roles: [],
+  });
+};
+
+export const expireSession = () => {
+  if (getSession().status === SESSION_STATUS.AUTHENTICATED) {
+    sessionSubject.next({ ...getSession(), status: SESSION_STATUS.EXPIRED });
+  }
+};
+
+// Signs in again with the stored credentials; concurrent callers share one attempt
+const renewSession = () => {
+  if (!renewPromise) {
+    renewPromise = requestSession(credentials.url, credentials.username, credentials.password)
+      .then(() => true)
+      .catch(error => {
+        // Only a rejected login ends the session, network errors are retried by replication
+        if (error.status === 401) {
+          expireSession();
+        }
+        return false;
+      })
+      .finally(() => {
+        renewPromise = null;
+      });
+  }
+  return renewPromise;
+};
+
+/**
+ * fetch() for CouchDB requests made on behalf of the signed-in user.
+ * An expired cookie is renewed once transparently; if that fails the
+ * session is marked expired so the app can ask for the password again.
+ */
+export const sessionFetch = async (url, options = {}) => {
+  const request = () => fetch(url, { ...options, credentials: 'include' });
+
+  const response = await request();
+  if (response.status !== 401 || !credentials) {
+    return response;
+  }
+
+  const renewed = await renewSession();
+  return renewed ? request() : response;
+};
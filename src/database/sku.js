@@ -0,0 +1,34 @@
+// src/database/sku.js
+//
+// SKUs and barcodes are matched exactly; scanners and pasted text only
+// add surrounding whitespace, which is dropped.
+
+export const SKU_MAX_LENGTH = 100;
+
+export const normalizeSku = (value) => String(value ?? '').trim();
+
+// Error message for an unusable SKU, null when it is fine (empty = no SKU)
+export const validateSku = (value) => {
+  const sku = normalizeSku(value);
+  if (sku.length > SKU_MAX_LENGTH) {
+    return `SKU must be at most ${SKU_MAX_LENGTH} characters`;
+  }
+  if (/[\r\n\t]/.test(sku)) {
+    return 'SKU must not contain line breaks or tabs';
+  }
+  return null;
+};
+
+/**
+ * The article of a business that already uses the SKU, other than the
+ * article being saved. Empty SKUs never clash.
+ */
+export const findSkuClash = (articles, { sku, businessId, articleId }) => {
+  const normalized = normalizeSku(sku);
+  if (!normalized) return null;
+  return articles.find(article =>
+    article.business_id === businessId &&
+    article.id !== articleId &&
+    article.sku === normalized
+  ) || null;
+};
@@ -0,0 +1,261 @@
+// src/database/sqliteAdapter.js
+import SQLite from 'react-native-sqlite-storage';
+
+SQLite.enablePromise(true);
+
+const SQLITE_DB_NAME = 'businessapp.sqlite';
+const META_TABLE = 'loki_meta';
+const DOCUMENTS_TABLE = 'loki_documents';
+
+// Whole-database snapshots written by the first SQLite adapter version
+const LEGACY_CHUNKS_TABLE = 'loki_chunks';
+
+const LOKI_KEY = 'loki';
+const SAVE_DEBOUNCE_MS = 1000;
+
+let sqliteDbPromise = null;
+
+const openSQLiteDatabase = () => {
+  if (!sqliteDbPromise) {
+    sqliteDbPromise = SQLite.openDatabase({
+      name: SQLITE_DB_NAME,
+      location: 'default',
+    }).then(async sqliteDb => {
+      await sqliteDb.executeSql(
+        `CREATE TABLE IF NOT EXISTS ${META_TABLE} (
+          name TEXT NOT NULL,
+          key TEXT NOT NULL,
+          value TEXT NOT NULL,
+          PRIMARY KEY (name, key)
+        )`
+      );
+      await sqliteDb.executeSql(
+        `CREATE TABLE IF NOT EXISTS ${DOCUMENTS_TABLE} (
+          name TEXT NOT NULL,
+          collection TEXT NOT NULL,
+          loki_id INTEGER NOT NULL,
+          value TEXT NOT NULL,
+          PRIMARY KEY (name, collection, loki_id)
+        )`
+      );
+      return sqliteDb;
+    }).catch(error => {
+      sqliteDbPromise = null;
+      throw error;
+    });
+  }
+  return sqliteDbPromise;
+};
+
+const readRows = (result) => {
+  const rows = [];
+  for (let i = 0; i < result.rows.length; i++) {
+    rows.push(result.rows.item(i));
+  }
+  return rows;
+};
+
+// Reads a snapshot written by the previous adapter version, if there is one
+const loadLegacySnapshot = async (sqliteDb, dbname) => {
+  const [tables] = await sqliteDb.executeSql(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+    [LEGACY_CHUNKS_TABLE]
+  );
+  if (tables.rows.length === 0) return null;
+
+  const [result] = await sqliteDb.executeSql(
+    `SELECT value FROM ${LEGACY_CHUNKS_TABLE} WHERE name = ? ORDER BY chunk`,
+    [dbname]
+  );
+  if (result.rows.length === 0) return null;
+
+  return JSON.parse(readRows(result).map(row => row.value).join(''));
+};
+
+const loadDocuments = async (sqliteDb, dbname) => {
+  const [metaResult] = await sqliteDb.executeSql(
+    `SELECT key, value FROM ${META_TABLE} WHERE name = ?`,
+    [dbname]
+  );
+  const meta = {};
+  readRows(metaResult).forEach(row => {
+    meta[row.key] = JSON.parse(row.value);
+  });
+
+  const loki = meta[LOKI_KEY];
+  if (!loki) return null;
+
+  const [documentResult] = await sqliteDb.executeSql(
+    `SELECT collection, value FROM ${DOCUMENTS_TABLE} WHERE name = ? ORDER BY collection, loki_id`,
+    [dbname]
+  );
+  const documentsByCollection = {};
+  readRows(documentResult).forEach(row => {
+    if (!documentsByCollection[row.collection]) {
+      documentsByCollection[row.collection] = [];
+    }
+    documentsByCollection[row.collection].push(JSON.parse(row.value));
+  });
+
+  loki.collections = loki.collections.map(({ name }) => {
+    const collection = meta[`${name}.metadata`];
+    if (!collection) {
+      throw new Error(`Corrupted database - missing metadata for ${name}`);
+    }
+    collection.data = documentsByCollection[name] || [];
+    return collection;
+  });
+
+  return loki;
+};
+
+/**
+ * LokiJS persistence adapter backed by SQLite.
+ *
+ * Runs in loki's incremental mode: every document is its own row and a save
+ * only writes the documents loki marked dirty since the previous save.
+ * Saves are debounced so bursts of writes (e.g. a replication batch) end up
+ * in a single SQLite transaction; call flush() to write pending changes
+ * right away.
+ */
+export const createSQLiteAdapter = () => {
+  let pendingSave = null;
+  let debounceEnabled = true;
+  let fullSaveRequired = false;
+
+  const waitForDebounce = () => {
+    if (!debounceEnabled) return Promise.resolve();
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        pendingSave = null;
+        resolve();
+      }, SAVE_DEBOUNCE_MS);
+      pendingSave = { timer, resolve };
+    });
+  };
+
+  const writeChanges = async (dbname, loki) => {
+    const statements = [];
+    const writeAll = fullSaveRequired;
+
+    loki.collections.forEach((collection, index) => {
+      const dirtyIds = [...new Set(collection.dirtyIds)];
+
+      if (writeAll) {
+        statements.push([
+          `DELETE FROM ${DOCUMENTS_TABLE} WHERE name = ? AND collection = ?`,
+          [dbname, collection.name],
+        ]);
+        collection.data.forEach(doc => {
+          statements.push([
+            `INSERT INTO ${DOCUMENTS_TABLE} (name, collection, loki_id, value) VALUES (?, ?, ?, ?)`,
+            [dbname, collection.name, doc.$loki, JSON.stringify(doc)],
+          ]);
+        });
+      } else if (dirtyIds.length > 0) {
+        const docsById = new Map(collection.data.map(doc => [doc.$loki, doc]));
+        dirtyIds.forEach(lokiId => {
+          const doc = docsById.get(lokiId);
+          if (doc) {
+            statements.push([
+              `INSERT OR REPLACE INTO ${DOCUMENTS_TABLE} (name, collection, loki_id, value) VALUES (?, ?, ?, ?)`,
+              [dbname, collection.name, lokiId, JSON.stringify(doc)],
+            ]);
+          } else {
+            statements.push([
+              `DELETE FROM ${DOCUMENTS_TABLE} WHERE name = ? AND collection = ? AND loki_id = ?`,
+              [dbname, collection.name, lokiId],
+            ]);
+          }
+        });
+      }
+
+      if (writeAll || collection.dirty || dirtyIds.length > 0) {
+        collection.dirtyIds = [];
+        collection.idIndex = [];
+        collection.data = [];
+        statements.push([
+          `INSERT OR REPLACE INTO ${META_TABLE} (name, key, value) VALUES (?, ?, ?)`,
+          [dbname, `${collection.name}.metadata`, JSON.stringify(collection)],
+        ]);
+      }
+
+      // The loki entry only keeps the collection names
+      loki.collections[index] = { name: collection.name };
+    });
+
+    statements.push([
+      `INSERT OR REPLACE INTO ${META_TABLE} (name, key, value) VALUES (?, ?, ?)`,
+      [dbname, LOKI_KEY, JSON.stringify(loki)],
+    ]);
+
+    const sqliteDb = await openSQLiteDatabase();
+    await sqliteDb.transaction(tx => {
+      statements.forEach(([sql, params]) => tx.executeSql(sql, params));
+      if (writeAll) {
+        tx.executeSql(`DROP TABLE IF EXISTS ${LEGACY_CHUNKS_TABLE}`);
+      }
+    });
+    fullSaveRequired = false;
+  };
+
+  return {
+    mode: 'incremental',
+
+    loadDatabase: (dbname, callback) => {
+      openSQLiteDatabase()
+        .then(async sqliteDb => {
+          const loki = await loadDocuments(sqliteDb, dbname);
+          if (loki) return loki;
+
+          // Upgrade from the snapshot format: the next save rewrites everything
+          const legacyLoki = await loadLegacySnapshot(sqliteDb, dbname);
+          if (legacyLoki) {
+            fullSaveRequired = true;
+          }
+          return legacyLoki;
+        })
+        .then(loki => callback(loki))
+        .catch(error => {
+          console.error('Error loading database from SQLite:', error);
+          callback(error);
+        });
+    },
+
+    saveDatabase: (dbname, getLokiCopy, callback) => {
+      waitForDebounce()
+        .then(() => writeChanges(dbname, getLokiCopy()))
+        .then(() => callback(null))
+        .catch(error => {
+          console.error('Error saving database to SQLite:', error);
+          callback(error);
+        });
+    },
+
+    deleteDatabase: (dbname, callback) => {
+      openSQLiteDatabase()
+        .then(sqliteDb => sqliteDb.transaction(tx => {
+          tx.executeSql(`DELETE FROM ${META_TABLE} WHERE name = ?`, [dbname]);
+          tx.executeSql(`DELETE FROM ${DOCUMENTS_TABLE} WHERE name = ?`, [dbname]);
+        }))
+        .then(() => callback(null))
+        .catch(error => {
+          console.error('Error deleting database from SQLite:', error);
+          callback(error);
+        });
+    },
+
+    // Stop waiting for the debounce window, e.g. when the app is backgrounded
+    flush: () => {
+      if (pendingSave) {
+        clearTimeout(pendingSave.timer);
+        pendingSave.resolve();
+        pendingSave = null;
+      }
+    },
+
+    setDebounceEnabled: (enabled) => {
+      debounceEnabled = enabled;
+    },
+  };
+};
@@ -0,0 +1,45 @@
+// src/database/stockLedger.js
+//
+// An article's on-hand quantity is the sum of its stock movements. Movements
+// are append-only, so edits made offline on several devices add up instead
+// of overwriting each other.
+
+export const STOCK_MOVEMENT_TYPES = {
+  RECEIPT: 'receipt',
+  SALE: 'sale',
+  ADJUSTMENT: 'adjustment',
+  DAMAGE: 'damage',
+  RETURN: 'return',
+};
+
+export const STOCK_MOVEMENT_LABELS = {
+  [STOCK_MOVEMENT_TYPES.RECEIPT]: '📥 Receipt',
+  [STOCK_MOVEMENT_TYPES.SALE]: '🛒 Sale',
+  [STOCK_MOVEMENT_TYPES.ADJUSTMENT]: '⚖️ Adjustment',
+  [STOCK_MOVEMENT_TYPES.DAMAGE]: '💥 Damage',
+  [STOCK_MOVEMENT_TYPES.RETURN]: '↩️ Return',
+};
+
+const INCOMING_TYPES = [STOCK_MOVEMENT_TYPES.RECEIPT, STOCK_MOVEMENT_TYPES.RETURN];
+const OUTGOING_TYPES = [STOCK_MOVEMENT_TYPES.SALE, STOCK_MOVEMENT_TYPES.DAMAGE];
+
+/**
+ * Applies the direction implied by the movement type: receipts and returns
+ * add stock, sales and damage remove it, adjustments keep their own sign.
+ */
+export const signedQuantity = (type, qty) => {
+  const amount = Math.trunc(Number(qty) || 0);
+  if (INCOMING_TYPES.includes(type)) return Math.abs(amount);
+  if (OUTGOING_TYPES.includes(type)) return -Math.abs(amount);
+  return amount;
+};
+
+export const sumMovements = (movements) =>
+  movements.reduce((total, movement) => total + movement.qty, 0);
+
+/**
+ * Stock an article had before the ledger existed, or was created with.
+ * The id is derived from the article so devices backfilling the same
+ * article write the same document instead of counting it twice.
+ */
+export const openingBalanceId = (articleId) => `opening-${articleId}`;
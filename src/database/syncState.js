@@ -0,0 +1,118 @@
+// src/database/syncState.js
+import { BehaviorSubject } from 'rxjs';
+
+/**
+ * Sync status of one replicated collection:
+ * - offline: the device has no network connection
+ * - paused:  online, but no replication is running (e.g. no server found)
+ * - active:  documents are being pushed or pulled right now
+ * - idle:    replication is running and up to date
+ * - error:   the last replication attempt failed
+ */
+export const SYNC_STATUS = {
+  OFFLINE: 'offline',
+  PAUSED: 'paused',
+  ACTIVE: 'active',
+  IDLE: 'idle',
+  ERROR: 'error',
+};
+
+const initialCollectionState = {
+  status: SYNC_STATUS.OFFLINE,
+  running: false,
+  active: false,
+  lastPushAt: null,
+  lastPullAt: null,
+  lastError: null,
+};
+
+const syncStateSubject = new BehaviorSubject({
+  isOnline: false,
+  currentUrl: null,
+  collections: {},
+});
+
+export const syncState$ = syncStateSubject.asObservable();
+
+export const getSyncState = () => syncStateSubject.getValue();
+
+const deriveStatus = (isOnline, collectionState) => {
+  if (!isOnline) return SYNC_STATUS.OFFLINE;
+  if (collectionState.lastError) return SYNC_STATUS.ERROR;
+  if (!collectionState.running) return SYNC_STATUS.PAUSED;
+  if (collectionState.active) return SYNC_STATUS.ACTIVE;
+  return SYNC_STATUS.IDLE;
+};
+
+const emit = (patch) => {
+  const state = { ...getSyncState(), ...patch };
+  const collections = {};
+  Object.keys(state.collections).forEach(name => {
+    const collectionState = state.collections[name];
+    collections[name] = {
+      ...collectionState,
+      status: deriveStatus(state.isOnline, collectionState),
+    };
+  });
+  syncStateSubject.next({ ...state, collections });
+};
+
+const updateCollection = (name, patch) => {
+  const { collections } = getSyncState();
+  emit({
+    collections: {
+      ...collections,
+      [name]: { ...initialCollectionState, ...collections[name], ...patch },
+    },
+  });
+};
+
+export const setOnline = (isOnline) => {
+  emit({ isOnline: !!isOnline });
+};
+
+export const setCurrentUrl = (currentUrl) => {
+  emit({ currentUrl });
+};
+
+/**
+ * Follows a RxDB replication state and mirrors it into the store.
+ * An error is cleared once a later replication cycle ends without one,
+ * even when that cycle had no documents to move.
+ * Returns a function that stops tracking and marks the collection as stopped.
+ */
+export const trackReplication = (name, replicationState) => {
+  updateCollection(name, { running: true, active: false, lastError: null });
+  let cycleFailed = false;
+
+  const subscriptions = [
+    replicationState.active$.subscribe(active => {
+      if (active) {
+        cycleFailed = false;
+        updateCollection(name, { active });
+      } else {
+        updateCollection(name, cycleFailed ? { active } : { active, lastError: null });
+      }
+    }),
+    replicationState.sent$.subscribe(() => {
+      updateCollection(name, { lastPushAt: Date.now(), lastError: null });
+    }),
+    replicationState.received$.subscribe(() => {
+      updateCollection(name, { lastPullAt: Date.now(), lastError: null });
+    }),
+    replicationState.error$.subscribe(error => {
+      cycleFailed = true;
+      updateCollection(name, {
+        lastError: {
+          message: error?.message || String(error),
+          at: Date.now(),
+        },
+      });
+    }),
+  ];
+
+  return () => {
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+    updateCollection(name, { running: false, active: false });
+  };
+};
@@ -0,0 +1,100 @@
+// src/database/tax.js
+//
+// Sales tax (GST, VAT) arithmetic. A business configures its tax rates;
+// an article refers to one of them and says whether its selling_price
+// already includes the tax. Rates are integer hundredths of a percent
+// (1800 = 18%) so the split of an amount into net and tax stays integer.
+
+export const MAX_TAX_RATE = 10000;
+
+const MAX_TAX_RATE_NAME_LENGTH = 40;
+
+// 1800 -> "18%", 1250 -> "12.5%"
+export const formatTaxRate = (rate) =>
+  `${Number((rate / 100).toFixed(2))}%`;
+
+// "GST 18%"
+export const describeTaxRate = ({ name, rate }) => `${name} ${formatTaxRate(rate)}`;
+
+/**
+ * Reads a typed percentage ("18", "12.5", "0,25") into hundredths of a
+ * percent, or null when it isn't a rate between 0 and 100% with at most
+ * two decimals.
+ */
+export const parseTaxRate = (text) => {
+  const match = /^(\d{1,3})(?:[.,](\d{1,2}))?$/.exec(String(text ?? '').trim().replace(/%$/, ''));
+  if (!match) return null;
+  const rate = Number(match[1]) * 100 + Number((match[2] || '').padEnd(2, '0'));
+  return rate <= MAX_TAX_RATE ? rate : null;
+};
+
+export const findTaxRate = (taxRates = [], taxRateId) =>
+  (taxRateId && taxRates.find(taxRate => taxRate.id === taxRateId)) || null;
+
+/**
+ * Id of the rate in toRates with the same name and rate as taxRateId has
+ * in fromRates, '' if there is none. Used when articles move to another
+ * business, whose rates have ids of their own.
+ */
+export const findMatchingTaxRateId = (fromRates, taxRateId, toRates) => {
+  const taxRate = findTaxRate(fromRates, taxRateId);
+  const match = taxRate && toRates.find(candidate =>
+    candidate.rate === taxRate.rate &&
+    candidate.name.trim().toLowerCase() === taxRate.name.trim().toLowerCase()
+  );
+  return match ? match.id : '';
+};
+
+// Rate applying to an article, 0 when it has none or its rate was removed
+export const getArticleTaxRate = (article, taxRates = []) =>
+  findTaxRate(taxRates, article.tax_rate_id)?.rate ?? 0;
+
+/**
+ * Splits an amount in minor units into { net, tax, gross }. With
+ * `inclusive` the amount is the gross price and the tax is taken out of
+ * it; otherwise it is the net price and the tax is added on top. The tax
+ * is rounded to the nearest minor unit, so net + tax always equals gross.
+ */
+export const splitTax = (amount, rate, inclusive) => {
+  if (inclusive) {
+    const tax = Math.round((amount * rate) / (MAX_TAX_RATE + rate));
+    return { net: amount - tax, tax, gross: amount };
+  }
+  const tax = Math.round((amount * rate) / MAX_TAX_RATE);
+  return { net: amount, tax, gross: amount + tax };
+};
+
+/**
+ * { net, tax, gross, rate } of qty units of an article at its selling
+ * price. Tax is computed on the whole line, as it is on an invoice.
+ */
+export const calculateArticlePrice = (article, taxRates = [], qty = 1) => {
+  const rate = getArticleTaxRate(article, taxRates);
+  return {
+    ...splitTax(article.selling_price * qty, rate, article.price_includes_tax),
+    rate,
+  };
+};
+
+// Returns an error message for a business's list of rates, or null
+export const validateTaxRates = (taxRates) => {
+  const seen = new Set();
+  for (const { name, rate } of taxRates) {
+    if (!name.trim()) {
+      return 'Every tax rate needs a name';
+    }
+    if (name.trim().length > MAX_TAX_RATE_NAME_LENGTH) {
+      return `Tax rate names can have at most ${MAX_TAX_RATE_NAME_LENGTH} characters`;
+    }
+    if (!Number.isInteger(rate) || rate < 0 || rate > MAX_TAX_RATE) {
+      return `The rate of "${name.trim()}" must be between 0 and 100%`;
+    }
+    // "GST 5%" and "GST 18%" may share a name
+    const key = `${name.trim().toLowerCase()}|${rate}`;
+    if (seen.has(key)) {
+      return `"${describeTaxRate({ name: name.trim(), rate })}" is listed twice`;
+    }
+    seen.add(key);
+  }
+  return null;
+};
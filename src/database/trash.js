@@ -0,0 +1,66 @@
+// src/database/trash.js
+//
+// Deleting a business or article only stamps deleted_at, so a mistaken
+// delete can be undone on every device. Documents are removed for good
+// when purged by hand or once they have been in the trash for the
+// configured number of days.
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// 0 keeps trashed items until they are deleted by hand
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90, 0];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Selector part that hides trashed documents from normal queries
+export const NOT_TRASHED = { deleted_at: 0 };
+
+export const isTrashed = (doc) => doc.deleted_at > 0;
+
+// Documents trashed before the returned time are due for purging; null = never
+export const getPurgeCutoff = (now, retentionDays) =>
+  retentionDays > 0 ? now - retentionDays * DAY_MS : null;
+
+/**
+ * Entries for the Trash screen, most recently deleted first:
+ * { type: 'business' | 'article', id, name, deleted_at, ... }.
+ * Articles deleted together with their business are counted on the
+ * business entry instead of being listed, as restoring the business
+ * brings them back as well.
+ */
+export const buildTrashList = (businesses, articles) => {
+  const businessesById = {};
+  businesses.forEach(business => {
+    businessesById[business.id] = business;
+  });
+
+  const articleCounts = {};
+  const entries = [];
+  articles.filter(isTrashed).forEach(article => {
+    const business = businessesById[article.business_id];
+    if (business && isTrashed(business) && business.deleted_at === article.deleted_at) {
+      articleCounts[business.id] = (articleCounts[business.id] || 0) + 1;
+      return;
+    }
+    entries.push({
+      type: 'article',
+      id: article.id,
+      name: article.name,
+      deleted_at: article.deleted_at,
+      business_name: business?.name || '',
+      business_trashed: !!business && isTrashed(business),
+    });
+  });
+
+  businesses.filter(isTrashed).forEach(business => {
+    entries.push({
+      type: 'business',
+      id: business.id,
+      name: business.name,
+      deleted_at: business.deleted_at,
+      article_count: articleCounts[business.id] || 0,
+    });
+  });
+
+  return entries.sort((a, b) => b.deleted_at - a.deleted_at);
+};
@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useState } from 'react';
+import { of } from 'rxjs';
+import { observeArticles } from '../database/database';
+import { ARTICLE_PAGE_SIZE } from '../database/articleQuery';
+import { useRxQuery, toJSONList } from './useRxQuery';
+
+/**
+ * Articles of one business matching the filters of buildArticleQuery,
+ * kept up to date with local edits and replication. Results are paged:
+ * loadMore() extends the live query by another page.
+ * Pass pageSize: null to get every match at once. Price bounds are read
+ * as amounts of the given currency, that of the business.
+ */
+export const useArticles = (businessId, filters = {}) => {
+  const {
+    search,
+    minQty,
+    maxQty,
+    minPrice,
+    maxPrice,
+    sortField,
+    sortDirection,
+    currency,
+    pageSize = ARTICLE_PAGE_SIZE,
+  } = filters;
+  const [limit, setLimit] = useState(pageSize);
+
+  // A changed filter starts again at the first page
+  useEffect(() => {
+    setLimit(pageSize);
+  }, [businessId, search, minQty, maxQty, minPrice, maxPrice, sortField, sortDirection, currency, pageSize]);
+
+  const observeArticleList = useCallback(async () => {
+    if (!businessId) return of([]);
+    const observable = await observeArticles({
+      businessId,
+      search,
+      minQty,
+      maxQty,
+      minPrice,
+      maxPrice,
+      sortField,
+      sortDirection,
+      currency,
+    }, limit);
+    return observable.pipe(toJSONList);
+  }, [businessId, search, minQty, maxQty, minPrice, maxPrice, sortField, sortDirection, currency, limit]);
+
+  const { result, loading, error } = useRxQuery(observeArticleList, []);
+  const hasMore = !!limit && result.length >= limit;
+
+  const loadMore = useCallback(() => {
+    if (hasMore && !loading) {
+      setLimit(current => current + pageSize);
+    }
+  }, [hasMore, loading, pageSize]);
+
+  return { articles: result, loading, error, hasMore, loadMore };
+};
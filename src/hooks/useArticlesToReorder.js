@@ -0,0 +1,8 @@
+import { observeArticlesToReorder } from '../database/database';
+import { useRxQuery } from './useRxQuery';
+
+// Articles at or below their reorder level across all businesses
+export const useArticlesToReorder = () => {
+  const { result, loading, error } = useRxQuery(observeArticlesToReorder, []);
+  return { articles: result, loading, error };
+};
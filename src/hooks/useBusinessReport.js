@@ -0,0 +1,15 @@
+import { useCallback } from 'react';
+import { of } from 'rxjs';
+import { observeBusinessReport } from '../database/database';
+import { useRxQuery } from './useRxQuery';
+
+// Article counts and stock value of one business, kept up to date
+export const useBusinessReport = (businessId) => {
+  const observeReport = useCallback(async () => {
+    if (!businessId) return of(null);
+    return observeBusinessReport(businessId);
+  }, [businessId]);
+
+  const { result, loading } = useRxQuery(observeReport, null);
+  return { report: result, loading };
+};
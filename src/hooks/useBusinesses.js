@@ -0,0 +1,11 @@
+import { observeAllBusinesses } from '../database/database';
+import { useRxQuery, toJSONList } from './useRxQuery';
+
+const observeBusinessList = async () =>
+  (await observeAllBusinesses()).pipe(toJSONList);
+
+// All businesses, kept up to date with local edits and replication
+export const useBusinesses = () => {
+  const { result, loading, error } = useRxQuery(observeBusinessList, []);
+  return { businesses: result, loading, error };
+};
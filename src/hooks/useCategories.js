@@ -0,0 +1,20 @@
+import { useCallback, useMemo } from 'react';
+import { of } from 'rxjs';
+import { observeCategories } from '../database/database';
+import { buildCategoryTree } from '../database/categories';
+import { useRxQuery, toJSONList } from './useRxQuery';
+
+/**
+ * Categories of one business, kept up to date with local edits and
+ * replication. tree lists them in display order with depth and path.
+ */
+export const useCategories = (businessId) => {
+  const observeCategoryList = useCallback(async () => {
+    if (!businessId) return of([]);
+    return (await observeCategories(businessId)).pipe(toJSONList);
+  }, [businessId]);
+
+  const { result, loading, error } = useRxQuery(observeCategoryList, []);
+  const tree = useMemo(() => buildCategoryTree(result), [result]);
+  return { categories: result, tree, loading, error };
+};
@@ -0,0 +1,15 @@
+import { useCallback } from 'react';
+import { of } from 'rxjs';
+import { observeHistory } from '../database/database';
+import { useRxQuery, toJSONList } from './useRxQuery';
+
+// Field changes of a business or article, newest first, including replicated ones
+export const useDocumentHistory = (documentId) => {
+  const observeEntryList = useCallback(async () => {
+    if (!documentId) return of([]);
+    return (await observeHistory(documentId)).pipe(toJSONList);
+  }, [documentId]);
+
+  const { result, loading, error } = useRxQuery(observeEntryList, []);
+  return { entries: result, loading, error };
+};
@@ -0,0 +1,8 @@
+import { observeInventoryReports } from '../database/database';
+import { useRxQuery } from './useRxQuery';
+
+// Inventory figures of every business, recomputed live from local data
+export const useInventoryReports = () => {
+  const { result, loading, error } = useRxQuery(observeInventoryReports, []);
+  return { reports: result, loading, error };
+};
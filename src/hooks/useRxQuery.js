@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react';
+import { map } from 'rxjs';
+
+// Turns emitted RxDocuments into the plain objects screens and modals work with
+export const toJSONList = map(docs => docs.map(doc => doc.toJSON()));
+
+/**
+ * Subscribes to the observable resolved by createObservable and re-renders
+ * with every emission. Pass a stable function (module level or useCallback);
+ * a new function starts a new subscription.
+ */
+export const useRxQuery = (createObservable, initialResult) => {
+  const [state, setState] = useState({
+    result: initialResult,
+    loading: true,
+    error: null,
+  });
+
+  useEffect(() => {
+    let subscription = null;
+    let cancelled = false;
+
+    const fail = (error) => {
+      console.error('Error in live query:', error);
+      setState(current => ({ ...current, loading: false, error }));
+    };
+
+    setState(current => ({ ...current, loading: true }));
+    createObservable()
+      .then(observable => {
+        if (cancelled) return;
+        subscription = observable.subscribe({
+          next: result => setState({ result, loading: false, error: null }),
+          error: fail,
+        });
+      })
+      .catch(error => {
+        if (!cancelled) fail(error);
+      });
+
+    return () => {
+      cancelled = true;
+      subscription?.unsubscribe();
+    };
+  }, [createObservable]);
+
+  return state;
+};
@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+import { session$, getSession } from '../database/session';
+
+// Signed-in staff member and session status
+export const useSession = () => {
+  const [session, setSession] = useState(getSession);
+
+  useEffect(() => {
+    const subscription = session$.subscribe(setSession);
+    return () => subscription.unsubscribe();
+  }, []);
+
+  return session;
+};
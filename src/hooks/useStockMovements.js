@@ -0,0 +1,15 @@
+import { useCallback } from 'react';
+import { of } from 'rxjs';
+import { observeStockMovements } from '../database/database';
+import { useRxQuery, toJSONList } from './useRxQuery';
+
+// Ledger entries of one article, newest first, including replicated ones
+export const useStockMovements = (articleId) => {
+  const observeMovementList = useCallback(async () => {
+    if (!articleId) return of([]);
+    return (await observeStockMovements(articleId)).pipe(toJSONList);
+  }, [articleId]);
+
+  const { result, loading, error } = useRxQuery(observeMovementList, []);
+  return { movements: result, loading, error };
+};
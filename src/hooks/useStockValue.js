@@ -0,0 +1,17 @@
+import { useCallback } from 'react';
+import { of } from 'rxjs';
+import { observeStockValue } from '../database/database';
+import { useRxQuery } from './useRxQuery';
+
+const EMPTY_STOCK_VALUE = { atCost: 0, atSelling: 0, taxAtSelling: 0, articlesWithoutCost: 0 };
+
+// Stock value of one business at cost and at selling price, kept up to date
+export const useStockValue = (businessId) => {
+  const observeValue = useCallback(async () => {
+    if (!businessId) return of(EMPTY_STOCK_VALUE);
+    return observeStockValue(businessId);
+  }, [businessId]);
+
+  const { result } = useRxQuery(observeValue, EMPTY_STOCK_VALUE);
+  return result;
+};
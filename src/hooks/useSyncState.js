@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+import { syncState$, getSyncState } from '../database/syncState';
+
+// Live replication state: online flag, server URL and per-collection status
+export const useSyncState = () => {
+  const [syncState, setSyncState] = useState(getSyncState);
+
+  useEffect(() => {
+    const subscription = syncState$.subscribe(setSyncState);
+    return () => subscription.unsubscribe();
+  }, []);
+
+  return syncState;
+};
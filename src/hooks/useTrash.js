@@ -0,0 +1,8 @@
+import { observeTrash } from '../database/database';
+import { useRxQuery } from './useRxQuery';
+
+// Trashed businesses and articles, most recently deleted first
+export const useTrash = () => {
+  const { result, loading, error } = useRxQuery(observeTrash, []);
+  return { items: result, loading, error };
+};
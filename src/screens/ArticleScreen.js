@@ -1,68 +1,111 @@
-import React, { useEffect, useState } from 'react';
-import { View, Text, TextInput, FlatList, Button, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  SectionList,
+  Button,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  Switch,
+} from 'react-native';
 import { Picker } from '@react-native-picker/picker';
 import { 
   addArticle, 
-  getArticlesByBusinessId, 
-  getAllBusinesses, 
   deleteArticleWithSync,
-  syncStorageWithDatabase
+  findArticleBySku,
+  resyncNow
 } from '../database/database';
 import { v4 as uuidv4 } from 'uuid';
 import EditArticleModal from '../components/EditArticleModal';
+import StockMovementModal from '../components/StockMovementModal';
+import CategoryManagerModal from '../components/CategoryManagerModal';
+import ArticleFilterBar, {
+  EMPTY_ARTICLE_FILTERS,
+  hasActiveFilters,
+} from '../components/ArticleFilterBar';
+import { useBusinesses } from '../hooks/useBusinesses';
+import { useArticles } from '../hooks/useArticles';
+import { useStockValue } from '../hooks/useStockValue';
+import { useCategories } from '../hooks/useCategories';
+import {
+  calculateMargin,
+  calculateMarkup,
+  formatPercent,
+} from '../database/pricing';
+import { isLowStock } from '../database/reorder';
+import { groupArticlesByCategory } from '../database/categories';
+import { formatMoney, parseMoney, parseWholeNumber } from '../database/money';
+import {
+  calculateArticlePrice,
+  describeTaxRate,
+  findTaxRate,
+} from '../database/tax';
+
+const NO_TAX_RATES = [];
 
 const ArticleScreen = () => {
-  const [businesses, setBusinesses] = useState([]);
+  const { businesses, loading } = useBusinesses();
   const [selectedBusiness, setSelectedBusiness] = useState(null);
-  const [articles, setArticles] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(EMPTY_ARTICLE_FILTERS);
+  const business = businesses.find(biz => biz.id === selectedBusiness);
+  const currency = business?.currency;
+  const taxRates = business?.tax_rates || NO_TAX_RATES;
+  const { articles, hasMore, loadMore } = useArticles(selectedBusiness, { ...filters, currency });
+  const stockValue = useStockValue(selectedBusiness);
+  const { categories, tree: categoryTree } = useCategories(selectedBusiness);
+  const sections = useMemo(
+    () => groupArticlesByCategory(articles, categories),
+    [articles, categories]
+  );
+  const [collapsedSections, setCollapsedSections] = useState(new Set());
+  const [categoriesVisible, setCategoriesVisible] = useState(false);
 
   const [name, setName] = useState('');
+  const [sku, setSku] = useState('');
+  const [skuLookup, setSkuLookup] = useState('');
   const [qty, setQty] = useState('');
   const [price, setPrice] = useState('');
+  const [costPrice, setCostPrice] = useState('');
+  const [categoryId, setCategoryId] = useState('');
+  const [taxRateId, setTaxRateId] = useState('');
+  const [priceIncludesTax, setPriceIncludesTax] = useState(true);
   const [editModalVisible, setEditModalVisible] = useState(false);
   const [selectedArticle, setSelectedArticle] = useState(null);
+  const [stockArticle, setStockArticle] = useState(null);
 
+  // Keep a valid selection when businesses are added or deleted, here or remotely
   useEffect(() => {
-    loadBusinesses();
-  }, []);
+    if (!businesses.some(biz => biz.id === selectedBusiness)) {
+      setSelectedBusiness(businesses.length > 0 ? businesses[0].id : null);
+    }
+  }, [businesses, selectedBusiness]);
 
+  // Categories belong to one business; also drops a category deleted meanwhile
   useEffect(() => {
-    if (selectedBusiness) {
-      fetchArticles();
+    if (categoryId && !categories.some(category => category.id === categoryId)) {
+      setCategoryId('');
     }
-  }, [selectedBusiness]);
+  }, [categories, categoryId]);
 
-  const loadBusinesses = async () => {
-    try {
-      setLoading(true);
-      await syncStorageWithDatabase();
-      const result = await getAllBusinesses();
-      const list = result.map(doc => doc.toJSON());
-      setBusinesses(list);
-
-      if (list.length > 0) {
-        setSelectedBusiness(list[0].id);
-      }
-    } catch (error) {
-      console.error('Error loading businesses:', error);
-    } finally {
-      setLoading(false);
+  // Tax rates belong to one business as well, and may be removed meanwhile
+  useEffect(() => {
+    if (taxRateId && !findTaxRate(taxRates, taxRateId)) {
+      setTaxRateId('');
     }
-  };
-
-  const fetchArticles = async () => {
-    if (!selectedBusiness) return;
+  }, [taxRates, taxRateId]);
 
-    try {
-      await syncStorageWithDatabase();
-      const result = await getArticlesByBusinessId(selectedBusiness);
-      const list = result.map(doc => doc.toJSON());
-      setArticles(list);
-    } catch (error) {
-      console.error('Error fetching articles:', error);
-      setArticles([]);
-    }
+  const toggleSection = (key) => {
+    setCollapsedSections(current => {
+      const next = new Set(current);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
   };
 
   const handleAddArticle = async () => {
@@ -70,44 +113,81 @@ const ArticleScreen = () => {
       Alert.alert('Error', 'Please fill all fields');
       return;
     }
+    const qtyValue = parseWholeNumber(qty);
+    const sellingPrice = parseMoney(price, currency);
+    // Optional: margins are only shown once a cost is known
+    const costValue = costPrice.trim() ? parseMoney(costPrice, currency) : 0;
+    if (qtyValue === null) {
+      Alert.alert('Error', 'Please enter the quantity as a whole number');
+      return;
+    }
+    if (sellingPrice === null || costValue === null) {
+      Alert.alert('Error', `Please enter prices as amounts in ${currency}`);
+      return;
+    }
 
     try {
       const article = {
         id: uuidv4(),
         name,
-        qty: parseInt(qty),
-        selling_price: parseFloat(price),
+        sku,
+        qty: qtyValue,
+        selling_price: sellingPrice,
+        cost_price: costValue,
+        tax_rate_id: taxRateId,
+        price_includes_tax: priceIncludesTax,
         business_id: selectedBusiness,
+        category_id: categoryId,
       };
 
       await addArticle(article);
 
       // Clear form
       setName('');
+      setSku('');
       setQty('');
       setPrice('');
-
-      // Refresh articles list
-      await fetchArticles();
+      setCostPrice('');
     } catch (error) {
       console.error('Error adding article:', error);
       Alert.alert('Error', 'Error adding article: ' + error.message);
     }
   };
 
+  // Scanned or typed codes jump to the article's stock, e.g. when receiving goods
+  const handleSkuLookup = async () => {
+    const code = skuLookup.trim();
+    if (!code || !selectedBusiness) return;
+
+    try {
+      const article = await findArticleBySku(selectedBusiness, code);
+      setSkuLookup('');
+      if (article) {
+        setStockArticle(article.toJSON());
+        return;
+      }
+      Alert.alert(
+        'Not Found',
+        `No article of this business has SKU "${code}".`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Add Article', onPress: () => setSku(code) }
+        ]
+      );
+    } catch (error) {
+      Alert.alert('Error', 'Failed to look up SKU: ' + error.message);
+    }
+  };
+
   const handleEditArticle = (article) => {
     setSelectedArticle(article);
     setEditModalVisible(true);
   };
 
-  const handleArticleUpdated = async (updatedArticle) => {
-    await fetchArticles();
-  };
-
   const handleDeleteArticle = async (article) => {
     Alert.alert(
       'Delete Article',
-      `Delete "${article.name}"?`,
+      `Move "${article.name}" to the trash?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -118,8 +198,7 @@ const ArticleScreen = () => {
               const success = await deleteArticleWithSync(article.id);
               
               if (success) {
-                await fetchArticles();
-                Alert.alert('Deleted', 'Article deleted successfully');
+                Alert.alert('Deleted', 'Article moved to the trash');
               } else {
                 Alert.alert('Error', 'Article not found');
               }
@@ -133,34 +212,64 @@ const ArticleScreen = () => {
     );
   };
 
-  const handleRefresh = async () => {
-    await loadBusinesses();
-    if (selectedBusiness) {
-      await fetchArticles();
-    }
+  const renderItem = ({ item }) => {
+    const itemPrice = calculateArticlePrice(item, taxRates);
+    const taxRate = findTaxRate(taxRates, item.tax_rate_id);
+    return (
+      <View style={[styles.item, isLowStock(item) && styles.itemLowStock]}>
+        <View style={styles.articleInfo}>
+          <Text style={styles.name}>{item.name}</Text>
+          {!!item.sku && <Text style={styles.sku}>SKU {item.sku}</Text>}
+          <Text>Qty: {item.qty} | {formatMoney(itemPrice.gross, item.currency)}</Text>
+          {!!taxRate && (
+            <Text style={styles.margin}>
+              Net {formatMoney(itemPrice.net, item.currency)} + {describeTaxRate(taxRate)}
+              {' '}{formatMoney(itemPrice.tax, item.currency)}
+            </Text>
+          )}
+          {isLowStock(item) && (
+            <Text style={styles.lowStock}>
+              ⚠️ Low stock (reorder at {item.reorder_level})
+            </Text>
+          )}
+          <Text style={styles.margin}>
+            Cost {formatMoney(item.cost_price, item.currency)} · Margin {formatPercent(calculateMargin(item.cost_price, itemPrice.net))}
+            {' '}· Markup {formatPercent(calculateMarkup(item.cost_price, itemPrice.net))}
+          </Text>
+        </View>
+        <View style={styles.articleActions}>
+          <TouchableOpacity
+            onPress={() => setStockArticle(item)}
+            style={styles.actionButton}
+          >
+            <Text style={styles.editButton}>📦</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => handleEditArticle(item)}
+            style={styles.actionButton}
+          >
+            <Text style={styles.editButton}>✏️</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => handleDeleteArticle(item)}
+            style={styles.actionButton}
+          >
+            <Text style={styles.deleteButton}>🗑️</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
   };
 
-  const renderItem = ({ item }) => (
-    <View style={styles.item}>
-      <View style={styles.articleInfo}>
-        <Text style={styles.name}>{item.name}</Text>
-        <Text>Qty: {item.qty} | ₹{item.selling_price}</Text>
-      </View>
-      <View style={styles.articleActions}>
-        <TouchableOpacity
-          onPress={() => handleEditArticle(item)}
-          style={styles.actionButton}
-        >
-          <Text style={styles.editButton}>✏️</Text>
-        </TouchableOpacity>
-        <TouchableOpacity
-          onPress={() => handleDeleteArticle(item)}
-          style={styles.actionButton}
-        >
-          <Text style={styles.deleteButton}>🗑️</Text>
-        </TouchableOpacity>
-      </View>
-    </View>
+  const renderSectionHeader = ({ section }) => (
+    <TouchableOpacity
+      onPress={() => toggleSection(section.key)}
+      style={styles.sectionHeader}
+    >
+      <Text style={styles.sectionTitle}>
+        {collapsedSections.has(section.key) ? '▸' : '▾'} {section.title} ({section.count})
+      </Text>
+    </TouchableOpacity>
   );
 
   if (loading) {
@@ -175,7 +284,7 @@ const ArticleScreen = () => {
     <View style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.title}>Select Business</Text>
-        <Button title="🔄" onPress={handleRefresh} />
+        <Button title="🔄" onPress={resyncNow} />
       </View>
 
       {businesses.length === 0 ? (
@@ -184,7 +293,6 @@ const ArticleScreen = () => {
           <Text style={styles.noBusinessSubtext}>
             Please go to Business Screen and add a business first.
           </Text>
-          <Button title="Refresh" onPress={handleRefresh} />
         </View>
       ) : (
         <>
@@ -202,38 +310,136 @@ const ArticleScreen = () => {
             Selected: {businesses.find(b => b.id === selectedBusiness)?.name || 'None'}
           </Text>
 
+          <View style={styles.valueBar}>
+            <Text style={styles.valueText}>
+              Stock value at cost {formatMoney(stockValue.atCost, currency)}
+              {' '}| at selling {formatMoney(stockValue.atSelling, currency)}
+            </Text>
+            {stockValue.taxAtSelling > 0 && (
+              <Text style={styles.valueHint}>
+                incl. {formatMoney(stockValue.taxAtSelling, currency)} tax
+              </Text>
+            )}
+            {stockValue.articlesWithoutCost > 0 && (
+              <Text style={styles.valueHint}>
+                {stockValue.articlesWithoutCost} article(s) have no cost price yet
+              </Text>
+            )}
+          </View>
+
           <TextInput
             placeholder="Article Name"
             value={name}
             onChangeText={setName}
             style={styles.input}
           />
+          <TextInput
+            placeholder="SKU / Barcode (optional)"
+            value={sku}
+            onChangeText={setSku}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            style={styles.input}
+          />
           <TextInput
             placeholder="Quantity"
             value={qty}
             onChangeText={setQty}
-            keyboardType="numeric"
+            keyboardType="number-pad"
             style={styles.input}
           />
           <TextInput
-            placeholder="Selling Price"
+            placeholder={`Selling Price (${currency})`}
             value={price}
             onChangeText={setPrice}
-            keyboardType="numeric"
+            keyboardType="decimal-pad"
             style={styles.input}
           />
+          <TextInput
+            placeholder={`Cost Price in ${currency} (optional)`}
+            value={costPrice}
+            onChangeText={setCostPrice}
+            keyboardType="decimal-pad"
+            style={styles.input}
+          />
+
+          {taxRates.length > 0 && (
+            <View style={styles.categoryRow}>
+              <View style={styles.categoryPicker}>
+                <Picker selectedValue={taxRateId} onValueChange={setTaxRateId}>
+                  <Picker.Item label="No tax" value="" />
+                  {taxRates.map(taxRate => (
+                    <Picker.Item
+                      key={taxRate.id}
+                      label={describeTaxRate(taxRate)}
+                      value={taxRate.id}
+                    />
+                  ))}
+                </Picker>
+              </View>
+              <Text style={styles.taxInclusiveLabel}>incl. tax</Text>
+              <Switch value={priceIncludesTax} onValueChange={setPriceIncludesTax} />
+            </View>
+          )}
+
+          <View style={styles.categoryRow}>
+            <View style={styles.categoryPicker}>
+              <Picker selectedValue={categoryId} onValueChange={setCategoryId}>
+                <Picker.Item label="No category" value="" />
+                {categoryTree.map(category => (
+                  <Picker.Item key={category.id} label={category.path} value={category.id} />
+                ))}
+              </Picker>
+            </View>
+            <TouchableOpacity
+              onPress={() => setCategoriesVisible(true)}
+              style={styles.actionButton}
+            >
+              <Text style={styles.editButton}>🗂️</Text>
+            </TouchableOpacity>
+          </View>
 
           <Button title="Add Article" onPress={handleAddArticle} />
 
-          <Text style={styles.title}>Articles ({articles.length})</Text>
-          <FlatList
-            data={articles}
+          <TextInput
+            placeholder="🏷️ Scan or type SKU to open an article"
+            value={skuLookup}
+            onChangeText={setSkuLookup}
+            onSubmitEditing={handleSkuLookup}
+            returnKeyType="search"
+            autoCapitalize="characters"
+            autoCorrect={false}
+            style={[styles.input, styles.skuLookup]}
+          />
+
+          <ArticleFilterBar filters={filters} onChange={setFilters} />
+
+          <Text style={styles.title}>
+            Articles ({articles.length}{hasMore ? '+' : ''})
+          </Text>
+          <SectionList
+            sections={sections.map(section => ({
+              ...section,
+              count: section.data.length,
+              data: collapsedSections.has(section.key) ? [] : section.data,
+            }))}
             keyExtractor={item => item.id}
             renderItem={renderItem}
+            renderSectionHeader={renderSectionHeader}
+            stickySectionHeadersEnabled={false}
+            onEndReached={loadMore}
+            onEndReachedThreshold={0.5}
+            initialNumToRender={15}
+            windowSize={11}
+            removeClippedSubviews
+            ListFooterComponent={
+              hasMore && <Text style={styles.footer}>Loading more...</Text>
+            }
             ListEmptyComponent={
               <Text style={styles.empty}>
-                No articles found for this business.{'\n'}
-                Add an article above to get started.
+                {hasActiveFilters(filters)
+                  ? 'No articles match the search and filters.'
+                  : 'No articles found for this business.\nAdd an article above to get started.'}
               </Text>
             }
           />
@@ -246,7 +452,17 @@ const ArticleScreen = () => {
           setEditModalVisible(false);
           setSelectedArticle(null);
         }}
-        onUpdate={handleArticleUpdated}
+      />
+      <StockMovementModal
+        visible={!!stockArticle}
+        article={stockArticle}
+        onClose={() => setStockArticle(null)}
+      />
+      <CategoryManagerModal
+        visible={categoriesVisible}
+        businessId={selectedBusiness}
+        businessName={businesses.find(b => b.id === selectedBusiness)?.name}
+        onClose={() => setCategoriesVisible(false)}
       />
     </View>
   );
@@ -326,15 +542,84 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     alignItems: 'center',
   },
+  itemLowStock: {
+    backgroundColor: '#fff4e5',
+    borderLeftWidth: 4,
+    borderLeftColor: '#FF9800',
+  },
   name: {
     fontWeight: 'bold'
   },
+  sku: {
+    fontSize: 12,
+    color: '#666'
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 6,
+  },
+  taxInclusiveLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginHorizontal: 6,
+  },
+  categoryPicker: {
+    flex: 1,
+    backgroundColor: '#eee',
+    borderRadius: 8,
+  },
+  sectionHeader: {
+    backgroundColor: '#e8f1ff',
+    borderRadius: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginTop: 8,
+  },
+  sectionTitle: {
+    fontWeight: 'bold',
+    color: '#0056b3',
+  },
+  skuLookup: {
+    marginTop: 12
+  },
+  lowStock: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#E65100'
+  },
+  margin: {
+    fontSize: 12,
+    color: '#666'
+  },
+  valueBar: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 8,
+    marginBottom: 6
+  },
+  valueText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    textAlign: 'center'
+  },
+  valueHint: {
+    fontSize: 11,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 2
+  },
   empty: {
     textAlign: 'center',
     marginTop: 20,
     color: '#666',
     fontStyle: 'italic'
   },
+  footer: {
+    textAlign: 'center',
+    padding: 12,
+    color: '#666'
+  },
   articleInfo: {
     flex: 1,
   },
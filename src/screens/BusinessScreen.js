@@ -12,107 +12,60 @@ import {
 } from 'react-native';
 import {
   addBusiness,
-  getAllBusinesses,
   initDatabase,
   deleteBusiness,
-  getSyncStatus,
-  getStorageStats,
-  syncStorageWithDatabase
+  countArticlesByBusinessId,
+  observeStorageStats,
+  resyncNow
 } from '../database/database';
 import { v4 as uuidv4 } from 'uuid';
-import NetInfo from '@react-native-community/netinfo';
 import EditBusinessModal from '../components/EditBusinessModal';
+import BusinessDetailModal from '../components/BusinessDetailModal';
+import DeleteBusinessModal from '../components/DeleteBusinessModal';
+import { useSyncState } from '../hooks/useSyncState';
+import { useBusinesses } from '../hooks/useBusinesses';
+import { useRxQuery } from '../hooks/useRxQuery';
+import { SYNC_STATUS } from '../database/syncState';
+
+const formatTime = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleTimeString() : 'never';
 
 const BusinessScreen = () => {
   const [name, setName] = useState('');
-  const [businesses, setBusinesses] = useState([]);
-  const [isOnline, setIsOnline] = useState(true);
-  const [syncStatus, setSyncStatusState] = useState({
-    isOnline: false,
-    businessSyncActive: false,
-    articleSyncActive: false,
-    currentUrl: ''
-  });
-  const [storageStats, setStorageStats] = useState({
+  const { businesses } = useBusinesses();
+  const syncState = useSyncState();
+  const { result: storageStats } = useRxQuery(observeStorageStats, {
     businesses: 0,
     articles: 0
   });
-  const [refreshing, setRefreshing] = useState(false);
   const [dbReady, setDbReady] = useState(false);
   const [editModalVisible, setEditModalVisible] = useState(false);
   const [selectedBusiness, setSelectedBusiness] = useState(null);
+  // Looked up in the live list so the detail follows edits and sync
+  const [detailBusinessId, setDetailBusinessId] = useState(null);
+  const detailBusiness = businesses.find(biz => biz.id === detailBusinessId);
+  const [deleteModalVisible, setDeleteModalVisible] = useState(false);
+  const [businessToDelete, setBusinessToDelete] = useState(null);
+  const [affectedArticleCount, setAffectedArticleCount] = useState(0);
 
   useEffect(() => {
     initializeApp();
   }, []);
 
+  const businessSync = syncState.collections.businesses || {};
+  const articleSync = syncState.collections.articles || {};
+
   const initializeApp = async () => {
     try {
       // Initialize database
       await initDatabase();
       setDbReady(true);
-
-      // Setup network monitoring
-      const unsubscribe = NetInfo.addEventListener(state => {
-        setIsOnline(state.isConnected);
-        setTimeout(updateSyncStatus, 1000);
-      });
-
-      // Fetch initial data
-      await fetchBusinessesWithSync();
-      await updateSyncStatus();
-
-      // Update sync status periodically
-      const statusInterval = setInterval(updateSyncStatus, 5000);
-
-      return () => {
-        unsubscribe();
-        clearInterval(statusInterval);
-      };
     } catch (error) {
       console.error('Error initializing app:', error);
       Alert.alert('Error', 'Failed to initialize app: ' + error.message);
     }
   };
 
-  const updateSyncStatus = async () => {
-    try {
-      const status = getSyncStatus();
-      const stats = await getStorageStats();
-      setSyncStatusState(status);
-      setStorageStats(stats);
-    } catch (error) {
-      console.error('Error updating sync status:', error);
-    }
-  };
-
-  const fetchBusinessesWithSync = async () => {
-    try {
-      await syncStorageWithDatabase();
-      const result = await getAllBusinesses();
-      const list = result.map(doc => doc.toJSON());
-      setBusinesses(list);
-      return list;
-    } catch (error) {
-      console.error('Error fetching businesses:', error);
-      setBusinesses([]);
-      throw error;
-    }
-  };
-
-  const onRefresh = async () => {
-    setRefreshing(true);
-    try {
-      await syncStorageWithDatabase();
-      await fetchBusinessesWithSync();
-      await updateSyncStatus();
-    } catch (error) {
-      console.error('Error in refresh:', error);
-    } finally {
-      setRefreshing(false);
-    }
-  };
-
   const handleAddBusiness = async () => {
     if (!name.trim()) {
       Alert.alert('Error', 'Please enter a business name');
@@ -133,10 +86,8 @@ const BusinessScreen = () => {
       await addBusiness(businessData);
       setName('');
 
-      await fetchBusinessesWithSync();
-      await updateSyncStatus();
-
-      const syncMessage = isOnline && syncStatus.businessSyncActive ?
+      const syncMessage = businessSync.status === SYNC_STATUS.IDLE ||
+        businessSync.status === SYNC_STATUS.ACTIVE ?
         ' (Syncing to server...)' :
         ' (Will sync when online)';
 
@@ -155,15 +106,32 @@ const BusinessScreen = () => {
     setEditModalVisible(true);
   };
 
-  const handleBusinessUpdated = async (updatedBusiness) => {
-    await fetchBusinessesWithSync();
-    await updateSyncStatus();
+  // One page sheet at a time: the detail closes while editing
+  const handleEditFromDetail = (business) => {
+    setDetailBusinessId(null);
+    handleEditBusiness(business);
   };
 
-  const handleDelete = async (id) => {
+  const handleDelete = async (business) => {
+    let articleCount = 0;
+    try {
+      articleCount = await countArticlesByBusinessId(business.id);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to check articles: ' + error.message);
+      return;
+    }
+
+    // Articles need a decision first: cascade, reassign or keep
+    if (articleCount > 0) {
+      setBusinessToDelete(business);
+      setAffectedArticleCount(articleCount);
+      setDeleteModalVisible(true);
+      return;
+    }
+
     Alert.alert(
       'Delete Business',
-      'Are you sure you want to delete this business?',
+      `Move "${business.name}" to the trash? It has no articles.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -172,11 +140,9 @@ const BusinessScreen = () => {
           onPress: async () => {
             try {
               const db = await initDatabase();
-              const doc = await db.businesses.findOne({ selector: { id } }).exec();
+              const doc = await db.businesses.findOne({ selector: { id: business.id } }).exec();
               if (doc) {
                 await deleteBusiness(doc);
-                await fetchBusinessesWithSync();
-                await updateSyncStatus();
               }
             } catch (error) {
               console.error('Error deleting business:', error);
@@ -188,26 +154,42 @@ const BusinessScreen = () => {
     );
   };
 
+  const hasStatus = (status) =>
+    businessSync.status === status || articleSync.status === status;
+
   const getSyncStatusText = () => {
     if (!dbReady) return '🔧 Initializing...';
-    if (!syncStatus.isOnline) return '📱 Offline Mode';
-    if (syncStatus.businessSyncActive || syncStatus.articleSyncActive) return '🔄 Syncing...';
-    return '✅ Online & Ready';
+    if (!syncState.isOnline) return '📱 Offline Mode';
+    if (hasStatus(SYNC_STATUS.ERROR)) return '⚠️ Sync Error';
+    if (hasStatus(SYNC_STATUS.ACTIVE)) return '🔄 Syncing...';
+    if (hasStatus(SYNC_STATUS.IDLE)) return '✅ Online & Synced';
+    return '⏸️ No Server Connected';
   };
 
   const getSyncStatusColor = () => {
     if (!dbReady) return '#9E9E9E';
-    if (!syncStatus.isOnline) return '#FF9800';
-    if (syncStatus.businessSyncActive || syncStatus.articleSyncActive) return '#2196F3';
-    return '#4CAF50';
+    if (!syncState.isOnline) return '#FF9800';
+    if (hasStatus(SYNC_STATUS.ERROR)) return '#F44336';
+    if (hasStatus(SYNC_STATUS.ACTIVE)) return '#2196F3';
+    if (hasStatus(SYNC_STATUS.IDLE)) return '#4CAF50';
+    return '#9E9E9E';
   };
 
+  const getLatest = (field) =>
+    Math.max(businessSync[field] || 0, articleSync[field] || 0);
+
+  const getLastError = () =>
+    businessSync.lastError?.message || articleSync.lastError?.message;
+
   const renderItem = ({ item }) => (
     <View style={styles.itemContainer}>
-      <View style={styles.businessInfo}>
+      <TouchableOpacity
+        onPress={() => setDetailBusinessId(item.id)}
+        style={styles.businessInfo}
+      >
         <Text style={styles.name}>{item.name}</Text>
-        <Text style={styles.id}>ID: {item.id.substring(0, 8)}...</Text>
-      </View>
+        <Text style={styles.id}>{item.currency} · ID: {item.id.substring(0, 8)}...</Text>
+      </TouchableOpacity>
       <View style={styles.actionButtons}>
         <TouchableOpacity
           onPress={() => handleEditBusiness(item)}
@@ -216,7 +198,7 @@ const BusinessScreen = () => {
           <Text style={styles.editButton}>✏️</Text>
         </TouchableOpacity>
         <TouchableOpacity
-          onPress={() => handleDelete(item.id)}
+          onPress={() => handleDelete(item)}
           style={styles.actionButton}
         >
           <Text style={styles.delete}>🗑️</Text>
@@ -230,6 +212,15 @@ const BusinessScreen = () => {
       {/* Status Bar */}
       <View style={[styles.statusBar, { backgroundColor: getSyncStatusColor() }]}>
         <Text style={styles.statusText}>{getSyncStatusText()}</Text>
+        {syncState.currentUrl && (
+          <Text style={styles.statusDetail}>
+            {syncState.currentUrl} · ⬆ {formatTime(getLatest('lastPushAt'))}
+            {' '}· ⬇ {formatTime(getLatest('lastPullAt'))}
+          </Text>
+        )}
+        {getLastError() && (
+          <Text style={styles.statusDetail}>{getLastError()}</Text>
+        )}
       </View>
 
       {/* Stats Bar */}
@@ -254,23 +245,31 @@ const BusinessScreen = () => {
         />
 
         <Text style={styles.heading}>📦 Business List ({businesses.length})</Text>
+        {/* The list updates on its own, pulling down asks the server for changes now */}
         <FlatList
           data={businesses}
           keyExtractor={item => item.id}
           renderItem={renderItem}
           refreshControl={
-            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+            <RefreshControl refreshing={false} onRefresh={resyncNow} />
           }
           ListEmptyComponent={
             <Text style={styles.empty}>
               {!dbReady ? 'Initializing database...' : 'No businesses added yet.'}
               {'\n'}
-              {!isOnline && 'Data will sync when you go online.'}
+              {!syncState.isOnline && 'Data will sync when you go online.'}
             </Text>
           }
         />
       </View>
 
+      <BusinessDetailModal
+        visible={!!detailBusiness}
+        business={detailBusiness}
+        onClose={() => setDetailBusinessId(null)}
+        onEdit={handleEditFromDetail}
+      />
+
       <EditBusinessModal
         visible={editModalVisible}
         business={selectedBusiness}
@@ -278,7 +277,16 @@ const BusinessScreen = () => {
           setEditModalVisible(false);
           setSelectedBusiness(null);
         }}
-        onUpdate={handleBusinessUpdated}
+      />
+
+      <DeleteBusinessModal
+        visible={deleteModalVisible}
+        business={businessToDelete}
+        articleCount={affectedArticleCount}
+        onClose={() => {
+          setDeleteModalVisible(false);
+          setBusinessToDelete(null);
+        }}
       />
     </View>
   );
@@ -300,6 +308,12 @@ const styles = StyleSheet.create({
     fontSize: 14,
     textAlign: 'center',
   },
+  statusDetail: {
+    color: 'white',
+    fontSize: 11,
+    textAlign: 'center',
+    marginTop: 2,
+  },
   statsBar: {
     backgroundColor: '#f5f5f5',
     padding: 8,
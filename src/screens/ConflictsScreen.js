@@ -0,0 +1,135 @@
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { getConflicts } from '../database/database';
+import ResolveConflictModal from '../components/ResolveConflictModal';
+
+const COLLECTION_ICONS = {
+  businesses: '📦',
+  categories: '🗂️',
+};
+
+const ConflictsScreen = () => {
+  const [conflicts, setConflicts] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+  const [selectedConflict, setSelectedConflict] = useState(null);
+
+  const fetchConflicts = async () => {
+    try {
+      const result = await getConflicts();
+      setConflicts(result.map(doc => doc.toJSON()));
+    } catch (error) {
+      console.error('Error fetching conflicts:', error);
+      setConflicts([]);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchConflicts();
+    }, [])
+  );
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    try {
+      await fetchConflicts();
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.item}
+      onPress={() => setSelectedConflict(item)}
+    >
+      <Text style={styles.name}>
+        {COLLECTION_ICONS[item.collection] || '🧾'}{' '}
+        {item.remote.name || item.local.name || item.document_id}
+      </Text>
+      <Text style={styles.fields}>
+        Conflicting: {item.fields.join(', ')}
+      </Text>
+      <Text style={styles.date}>
+        {new Date(item.detected_at).toLocaleString()}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.heading}>⚠️ Sync Conflicts ({conflicts.length})</Text>
+      <FlatList
+        data={conflicts}
+        keyExtractor={item => item.id}
+        renderItem={renderItem}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+        ListEmptyComponent={
+          <Text style={styles.empty}>
+            No conflicts.{'\n'}
+            Edits made on several devices were merged automatically.
+          </Text>
+        }
+      />
+
+      <ResolveConflictModal
+        visible={!!selectedConflict}
+        conflict={selectedConflict}
+        onClose={() => setSelectedConflict(null)}
+        onResolve={fetchConflicts}
+      />
+    </View>
+  );
+};
+
+export default ConflictsScreen;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+    backgroundColor: '#fff',
+  },
+  heading: {
+    fontSize: 18,
+    marginBottom: 10,
+    fontWeight: 'bold',
+  },
+  item: {
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#ffcc80',
+    backgroundColor: '#fff8e1',
+    marginBottom: 10,
+    borderRadius: 8,
+  },
+  name: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  fields: {
+    fontSize: 13,
+    color: '#e65100',
+    marginTop: 4,
+  },
+  date: {
+    fontSize: 12,
+    color: 'gray',
+    marginTop: 2,
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 20,
+    color: 'gray',
+  },
+});
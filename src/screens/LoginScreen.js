@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Button,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { getServerSettings, login } from '../database/database';
+import { getSession } from '../database/session';
+import ServerDiscoveryModal from '../components/ServerDiscoveryModal';
+
+const LoginScreen = ({ expired = false, onDismiss }) => {
+  const [url, setUrl] = useState('');
+  const [discoveryVisible, setDiscoveryVisible] = useState(false);
+  const [username, setUsername] = useState(getSession().username || '');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    getServerSettings().then(settings => setUrl(settings.url));
+  }, []);
+
+  const handleLogin = async () => {
+    if (!/^https?:\/\/.+/.test(url.trim())) {
+      Alert.alert('Error', 'Please enter a server URL starting with http:// or https://');
+      return;
+    }
+    if (!username.trim() || !password) {
+      Alert.alert('Error', 'Please enter your username and password');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await login({ url: url.trim(), username, password });
+      setPassword('');
+      onDismiss?.();
+    } catch (error) {
+      Alert.alert('Login Failed', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <Text style={styles.title}>🔐 Sign In</Text>
+      <Text style={styles.subtitle}>
+        {expired
+          ? 'Your session has expired. Sign in again to resume syncing.'
+          : 'Sign in with your CouchDB staff account to sync. Until then, changes are kept on this device only.'}
+      </Text>
+
+      <View style={styles.labelRow}>
+        <Text style={styles.label}>Server URL</Text>
+        <TouchableOpacity
+          onPress={() => setDiscoveryVisible(true)}
+          disabled={loading}
+        >
+          <Text style={styles.linkText}>🔍 Find Servers</Text>
+        </TouchableOpacity>
+      </View>
+      <TextInput
+        value={url}
+        onChangeText={setUrl}
+        placeholder="http://192.168.1.100:5984"
+        autoCapitalize="none"
+        autoCorrect={false}
+        keyboardType="url"
+        style={styles.input}
+        editable={!loading}
+      />
+
+      <Text style={styles.label}>Username</Text>
+      <TextInput
+        value={username}
+        onChangeText={setUsername}
+        placeholder="Username"
+        autoCapitalize="none"
+        autoCorrect={false}
+        style={styles.input}
+        editable={!loading}
+      />
+
+      <Text style={styles.label}>Password</Text>
+      <TextInput
+        value={password}
+        onChangeText={setPassword}
+        placeholder="Password"
+        secureTextEntry
+        style={styles.input}
+        editable={!loading}
+        onSubmitEditing={handleLogin}
+      />
+
+      <View style={styles.buttonContainer}>
+        {onDismiss && (
+          <>
+            <Button
+              title="Continue Offline"
+              onPress={onDismiss}
+              color="#666"
+              disabled={loading}
+            />
+            <View style={styles.buttonSpacer} />
+          </>
+        )}
+        <Button
+          title={loading ? 'Signing in...' : 'Sign In'}
+          onPress={handleLogin}
+          disabled={loading}
+        />
+      </View>
+
+      <ServerDiscoveryModal
+        visible={discoveryVisible}
+        selectedUrl={url}
+        onClose={() => setDiscoveryVisible(false)}
+        onSelect={setUrl}
+      />
+    </KeyboardAvoidingView>
+  );
+};
+
+export default LoginScreen;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 24,
+    justifyContent: 'center',
+    backgroundColor: '#fff',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 8,
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    marginTop: 12,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#007bff',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 24,
+  },
+  buttonSpacer: {
+    width: 20,
+  },
+});
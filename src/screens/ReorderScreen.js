@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import StockMovementModal from '../components/StockMovementModal';
+import { useArticlesToReorder } from '../hooks/useArticlesToReorder';
+
+const ReorderScreen = () => {
+  const { articles, loading } = useArticlesToReorder();
+  const [stockArticle, setStockArticle] = useState(null);
+
+  const renderItem = ({ item, index }) => {
+    const showBusiness = index === 0 || articles[index - 1].business_id !== item.business_id;
+    return (
+      <View>
+        {showBusiness && <Text style={styles.business}>{item.business_name}</Text>}
+        <View style={styles.item}>
+          <View style={styles.articleInfo}>
+            <Text style={styles.name}>{item.name}</Text>
+            <Text style={styles.detail}>
+              On hand {item.qty} · Reorder level {item.reorder_level}
+            </Text>
+            <Text style={styles.suggestion}>Order {item.suggested_qty}</Text>
+          </View>
+          {/* Receiving the delivery clears the alert once qty is above the level */}
+          <TouchableOpacity
+            onPress={() => setStockArticle(item)}
+            style={styles.actionButton}
+          >
+            <Text style={styles.actionText}>📦</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Loading articles...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Needs reorder ({articles.length})</Text>
+      <FlatList
+        data={articles}
+        keyExtractor={item => item.id}
+        renderItem={renderItem}
+        ListEmptyComponent={
+          <Text style={styles.empty}>
+            No article is at or below its reorder level.
+          </Text>
+        }
+      />
+      <StockMovementModal
+        visible={!!stockArticle}
+        article={stockArticle}
+        onClose={() => setStockArticle(null)}
+      />
+    </View>
+  );
+};
+
+export default ReorderScreen;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+    backgroundColor: '#fff'
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#fff'
+  },
+  loadingText: {
+    fontSize: 16,
+    color: '#666'
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8
+  },
+  business: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    marginTop: 12,
+    marginBottom: 4
+  },
+  item: {
+    backgroundColor: '#fff4e5',
+    borderLeftWidth: 4,
+    borderLeftColor: '#FF9800',
+    padding: 10,
+    marginVertical: 4,
+    borderRadius: 8,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  articleInfo: {
+    flex: 1,
+  },
+  name: {
+    fontWeight: 'bold'
+  },
+  detail: {
+    fontSize: 12,
+    color: '#666'
+  },
+  suggestion: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#E65100'
+  },
+  actionButton: {
+    padding: 8,
+  },
+  actionText: {
+    fontSize: 16,
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 20,
+    color: '#666',
+    fontStyle: 'italic'
+  },
+});
@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  useWindowDimensions,
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import BarChart from '../components/charts/BarChart';
+import PieChart from '../components/charts/PieChart';
+import { useInventoryReports } from '../hooks/useInventoryReports';
+import { formatMoney } from '../database/money';
+
+const SCREEN_PADDING = 16;
+
+const ReportsScreen = () => {
+  const { reports, loading } = useInventoryReports();
+  const { width } = useWindowDimensions();
+  const [selectedBusiness, setSelectedBusiness] = useState(null);
+
+  // Keep a valid selection when businesses are added or deleted, here or remotely
+  useEffect(() => {
+    if (!reports.some(report => report.businessId === selectedBusiness)) {
+      setSelectedBusiness(reports.length > 0 ? reports[0].businessId : null);
+    }
+  }, [reports, selectedBusiness]);
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Loading reports...</Text>
+      </View>
+    );
+  }
+
+  if (reports.length === 0) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Add a business and articles first.</Text>
+      </View>
+    );
+  }
+
+  const report = reports.find(item => item.businessId === selectedBusiness) || reports[0];
+  // Amounts of different currencies can't be compared, so the pie only has
+  // the businesses sharing the selected business's currency
+  const sameCurrency = reports.filter(item => item.currency === report.currency);
+  const totalAtSelling = sameCurrency.reduce((sum, item) => sum + item.valueAtSelling, 0);
+  const chartWidth = width - SCREEN_PADDING * 2;
+  const formatValue = (value) => formatMoney(value, report.currency);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.heading}>Inventory value by business ({report.currency})</Text>
+      {totalAtSelling > 0 ? (
+        <PieChart
+          data={sameCurrency.map(item => ({ label: item.businessName, value: item.valueAtSelling }))}
+          formatValue={formatValue}
+        />
+      ) : (
+        <Text style={styles.empty}>No stock on hand yet.</Text>
+      )}
+
+      <Picker
+        selectedValue={report.businessId}
+        onValueChange={setSelectedBusiness}
+        style={styles.picker}
+      >
+        {reports.map(item => (
+          <Picker.Item label={item.businessName} value={item.businessId} key={item.businessId} />
+        ))}
+      </Picker>
+
+      <View style={styles.summary}>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryValue}>{report.articleCount}</Text>
+          <Text style={styles.summaryLabel}>Articles</Text>
+        </View>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryValue}>{report.totalUnits}</Text>
+          <Text style={styles.summaryLabel}>Units</Text>
+        </View>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryValue}>{formatValue(report.valueAtCost)}</Text>
+          <Text style={styles.summaryLabel}>At cost</Text>
+        </View>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryValue}>{formatValue(report.valueAtSelling)}</Text>
+          <Text style={styles.summaryLabel}>
+            {report.taxAtSelling > 0 ? `At selling, incl. ${formatValue(report.taxAtSelling)} tax` : 'At selling'}
+          </Text>
+        </View>
+      </View>
+
+      <Text style={styles.heading}>Top articles by value</Text>
+      {report.topArticles.length > 0 ? (
+        <BarChart
+          data={report.topArticles.map(item => ({ label: item.name, value: item.value }))}
+          width={chartWidth}
+          formatValue={formatValue}
+        />
+      ) : (
+        <Text style={styles.empty}>No stock on hand yet.</Text>
+      )}
+
+      <Text style={styles.heading}>Out of stock ({report.zeroStock.length})</Text>
+      {report.zeroStock.length > 0 ? (
+        report.zeroStock.map(item => (
+          <View key={item.id} style={styles.zeroStockRow}>
+            <Text style={styles.zeroStockName}>{item.name}</Text>
+            <Text style={styles.zeroStockQty}>{item.qty}</Text>
+          </View>
+        ))
+      ) : (
+        <Text style={styles.empty}>Every article is in stock.</Text>
+      )}
+    </ScrollView>
+  );
+};
+
+export default ReportsScreen;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff'
+  },
+  content: {
+    padding: SCREEN_PADDING,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#fff'
+  },
+  loadingText: {
+    fontSize: 16,
+    color: '#666'
+  },
+  heading: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 12,
+    marginBottom: 4
+  },
+  picker: {
+    backgroundColor: '#eee',
+    marginTop: 12,
+  },
+  summary: {
+    flexDirection: 'row',
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    paddingVertical: 12,
+    marginTop: 8,
+  },
+  summaryItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  summaryValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#666',
+  },
+  zeroStockRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  zeroStockName: {
+    flex: 1,
+  },
+  zeroStockQty: {
+    fontWeight: 'bold',
+    color: '#F44336',
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 12,
+    color: '#666',
+    fontStyle: 'italic'
+  },
+});
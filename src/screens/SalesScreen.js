@@ -0,0 +1,331 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  FlatList,
+  Button,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { completeSale, findArticleBySku } from '../database/database';
+import {
+  addToCart,
+  setCartQty,
+  buildSaleLines,
+  calculateSaleTotals,
+} from '../database/sales';
+import { useBusinesses } from '../hooks/useBusinesses';
+import { useArticles } from '../hooks/useArticles';
+import { formatMoney } from '../database/money';
+import { calculateArticlePrice } from '../database/tax';
+
+const NO_TAX_RATES = [];
+
+const SalesScreen = () => {
+  const { businesses, loading } = useBusinesses();
+  const [selectedBusiness, setSelectedBusiness] = useState(null);
+  const [search, setSearch] = useState('');
+  const { articles } = useArticles(selectedBusiness, { search, pageSize: 20 });
+  const [cart, setCart] = useState([]);
+  const [completing, setCompleting] = useState(false);
+  const business = businesses.find(biz => biz.id === selectedBusiness);
+  const currency = business?.currency;
+  const taxRates = business?.tax_rates || NO_TAX_RATES;
+
+  // Keep a valid selection when businesses are added or deleted, here or remotely
+  useEffect(() => {
+    if (!businesses.some(biz => biz.id === selectedBusiness)) {
+      setSelectedBusiness(businesses.length > 0 ? businesses[0].id : null);
+    }
+  }, [businesses, selectedBusiness]);
+
+  // A cart belongs to one business
+  useEffect(() => {
+    setCart([]);
+  }, [selectedBusiness]);
+
+  const lines = buildSaleLines(cart, taxRates);
+  const totals = calculateSaleTotals(lines);
+
+  const handleAdd = (article) => {
+    const inCart = cart.find(entry => entry.article.id === article.id)?.qty || 0;
+    if (inCart >= article.qty) {
+      Alert.alert('Out of Stock', `Only ${article.qty} of "${article.name}" on hand`);
+      return;
+    }
+    setCart(addToCart(cart, article));
+  };
+
+  // Barcode scanners type the code followed by Enter
+  const handleSearchSubmit = async () => {
+    try {
+      const article = await findArticleBySku(selectedBusiness, search);
+      if (article) {
+        handleAdd(article.toJSON());
+        setSearch('');
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to look up SKU: ' + error.message);
+    }
+  };
+
+  const handleComplete = async () => {
+    setCompleting(true);
+    try {
+      const sale = await completeSale({
+        businessId: selectedBusiness,
+        items: cart.map(({ article, qty }) => ({ articleId: article.id, qty }))
+      });
+      setCart([]);
+      setSearch('');
+      Alert.alert(
+        'Sale Completed',
+        `${sale.item_count} item(s) sold for ${formatMoney(sale.total, sale.currency)}`
+      );
+    } catch (error) {
+      Alert.alert('Error', 'Failed to complete sale: ' + error.message);
+    } finally {
+      setCompleting(false);
+    }
+  };
+
+  const renderArticle = ({ item }) => (
+    <TouchableOpacity
+      onPress={() => handleAdd(item)}
+      style={[styles.article, item.qty <= 0 && styles.articleOutOfStock]}
+    >
+      <View style={styles.articleInfo}>
+        <Text style={styles.name}>{item.name}</Text>
+        <Text style={styles.detail}>
+          In stock: {item.qty}{item.sku ? ` · SKU ${item.sku}` : ''}
+        </Text>
+      </View>
+      <Text style={styles.price}>
+        {formatMoney(calculateArticlePrice(item, taxRates).gross, item.currency)}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderCartLine = ({ item }) => {
+    const entry = cart.find(cartEntry => cartEntry.article.id === item.article_id);
+    return (
+      <View style={styles.cartLine}>
+        <View style={styles.articleInfo}>
+          <Text style={styles.name}>{item.name}</Text>
+          <Text style={styles.detail}>
+            {item.qty} × {formatMoney(item.unit_price, currency)}
+            {item.tax_total > 0 && !entry.article.price_includes_tax ? ' + tax' : ''}
+            {' '}= {formatMoney(item.line_total, currency)}
+            {item.tax_total > 0 && ` (tax ${formatMoney(item.tax_total, currency)})`}
+          </Text>
+        </View>
+        <TouchableOpacity
+          onPress={() => setCart(setCartQty(cart, item.article_id, item.qty - 1))}
+          style={styles.qtyButton}
+          disabled={completing}
+        >
+          <Text style={styles.qtyButtonText}>−</Text>
+        </TouchableOpacity>
+        <Text style={styles.qty}>{item.qty}</Text>
+        <TouchableOpacity
+          onPress={() => handleAdd(entry.article)}
+          style={styles.qtyButton}
+          disabled={completing}
+        >
+          <Text style={styles.qtyButtonText}>+</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Loading businesses...</Text>
+      </View>
+    );
+  }
+
+  if (businesses.length === 0) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Add a business and articles first.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Picker
+        selectedValue={selectedBusiness}
+        onValueChange={setSelectedBusiness}
+        style={styles.picker}
+        enabled={!completing}
+      >
+        {businesses.map(biz => (
+          <Picker.Item label={biz.name} value={biz.id} key={biz.id} />
+        ))}
+      </Picker>
+
+      <TextInput
+        value={search}
+        onChangeText={setSearch}
+        onSubmitEditing={handleSearchSubmit}
+        placeholder="🔍 Find article to add, or scan SKU"
+        returnKeyType="search"
+        autoCorrect={false}
+        style={styles.input}
+      />
+      <FlatList
+        data={articles}
+        keyExtractor={item => item.id}
+        renderItem={renderArticle}
+        style={styles.articleList}
+        keyboardShouldPersistTaps="handled"
+        ListEmptyComponent={
+          <Text style={styles.empty}>No articles found.</Text>
+        }
+      />
+
+      <Text style={styles.heading}>🛒 Cart ({totals.item_count})</Text>
+      <FlatList
+        data={lines}
+        keyExtractor={item => item.article_id}
+        renderItem={renderCartLine}
+        style={styles.cartList}
+        ListEmptyComponent={
+          <Text style={styles.empty}>Tap an article above to add it.</Text>
+        }
+      />
+
+      <View style={styles.totalBar}>
+        <View>
+          <Text style={styles.total}>Total: {formatMoney(totals.total, currency)}</Text>
+          {totals.tax_total > 0 && (
+            <Text style={styles.detail}>
+              Net {formatMoney(totals.net_total, currency)} + tax {formatMoney(totals.tax_total, currency)}
+            </Text>
+          )}
+        </View>
+        <Button
+          title={completing ? 'Completing...' : 'Complete Sale'}
+          onPress={handleComplete}
+          disabled={completing || cart.length === 0}
+        />
+      </View>
+    </View>
+  );
+};
+
+export default SalesScreen;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+    backgroundColor: '#fff'
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#fff'
+  },
+  loadingText: {
+    fontSize: 16,
+    color: '#666'
+  },
+  picker: {
+    backgroundColor: '#eee',
+    marginBottom: 8
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 6,
+  },
+  articleList: {
+    flex: 1,
+  },
+  article: {
+    backgroundColor: '#f9f9f9',
+    padding: 10,
+    marginVertical: 3,
+    borderRadius: 8,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  articleOutOfStock: {
+    opacity: 0.5,
+  },
+  articleInfo: {
+    flex: 1,
+  },
+  name: {
+    fontWeight: 'bold'
+  },
+  detail: {
+    fontSize: 12,
+    color: '#666'
+  },
+  price: {
+    fontWeight: 'bold'
+  },
+  heading: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 12,
+    marginBottom: 4
+  },
+  cartList: {
+    flex: 1,
+  },
+  cartLine: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  qtyButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#e8f1ff',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  qtyButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#007bff',
+  },
+  qty: {
+    width: 36,
+    textAlign: 'center',
+    fontSize: 16,
+  },
+  totalBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+  total: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 12,
+    color: '#666',
+    fontStyle: 'italic'
+  },
+});
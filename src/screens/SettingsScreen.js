@@ -0,0 +1,349 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Button,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  ScrollView,
+  Modal,
+} from 'react-native';
+import {
+  getServerSettings,
+  testCouchDBConnection,
+  updateServerSettings,
+  logout,
+  exportBackup,
+} from '../database/database';
+import { useSyncState } from '../hooks/useSyncState';
+import ServerDiscoveryModal from '../components/ServerDiscoveryModal';
+import CsvExportModal from '../components/CsvExportModal';
+import CsvImportModal from '../components/CsvImportModal';
+import RestoreBackupModal from '../components/RestoreBackupModal';
+import { useSession } from '../hooks/useSession';
+import { shareBackupFile } from '../database/backupFile';
+import { DATABASE_SETTINGS, DEFAULT_SERVER_SETTINGS } from '../config/serverSettings';
+import { SESSION_STATUS } from '../database/session';
+import LoginScreen from './LoginScreen';
+
+const SettingsScreen = () => {
+  const [url, setUrl] = useState('');
+  const [discoveryVisible, setDiscoveryVisible] = useState(false);
+  const [exportVisible, setExportVisible] = useState(false);
+  const [importVisible, setImportVisible] = useState(false);
+  const [restoreVisible, setRestoreVisible] = useState(false);
+  const [backingUp, setBackingUp] = useState(false);
+  const [loginVisible, setLoginVisible] = useState(false);
+  const [databases, setDatabases] = useState({});
+  const [testing, setTesting] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const syncState = useSyncState();
+  const session = useSession();
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    const settings = await getServerSettings();
+    setUrl(settings.url);
+    setDatabases(settings);
+  };
+
+  const updateDatabase = (key, value) => {
+    setDatabases(current => ({ ...current, [key]: value }));
+  };
+
+  const getFormSettings = () => ({
+    url: url.trim(),
+    ...Object.fromEntries(DATABASE_SETTINGS.map(({ key }) => [key, (databases[key] || '').trim()])),
+  });
+
+  const validateForm = () => {
+    const settings = getFormSettings();
+    if (!/^https?:\/\/.+/.test(settings.url)) {
+      Alert.alert('Error', 'Please enter a server URL starting with http:// or https://');
+      return false;
+    }
+    if (DATABASE_SETTINGS.some(({ key }) => !settings[key])) {
+      Alert.alert('Error', 'Please enter every database name');
+      return false;
+    }
+    return true;
+  };
+
+  const handleTest = async () => {
+    if (!validateForm()) return;
+
+    setTesting(true);
+    try {
+      const ok = await testCouchDBConnection(getFormSettings());
+      if (ok) {
+        Alert.alert('Success', 'Connected to CouchDB successfully');
+      } else {
+        Alert.alert('Error', 'Could not reach the server. Check the URL.');
+      }
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) return;
+
+    setSaving(true);
+    try {
+      await updateServerSettings(getFormSettings());
+      Alert.alert('Success', 'Settings saved. Sync restarted with the new server.');
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save settings: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleBackup = async () => {
+    setBackingUp(true);
+    try {
+      await shareBackupFile(await exportBackup());
+    } catch (error) {
+      Alert.alert('Error', 'Failed to create backup: ' + error.message);
+    } finally {
+      setBackingUp(false);
+    }
+  };
+
+  const runLogout = async (wipeLocalData) => {
+    try {
+      await logout({ wipeLocalData });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to log out: ' + error.message);
+    }
+  };
+
+  const handleLogout = () => {
+    Alert.alert(
+      'Log Out',
+      'Sync stops until someone signs in again. Local data can be kept for the next user or wiped from this device.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Log Out', onPress: () => runLogout(false) },
+        {
+          text: 'Log Out & Wipe',
+          style: 'destructive',
+          onPress: () => runLogout(true)
+        }
+      ]
+    );
+  };
+
+  const busy = testing || saving;
+
+  return (
+    <ScrollView style={styles.container}>
+      <Text style={styles.heading}>🖥️ CouchDB Server</Text>
+      <Text style={styles.current}>
+        Connected to: {syncState.currentUrl || 'none'}
+      </Text>
+
+      <View style={styles.labelRow}>
+        <Text style={styles.label}>Server URL</Text>
+        <TouchableOpacity
+          onPress={() => setDiscoveryVisible(true)}
+          disabled={busy}
+        >
+          <Text style={styles.linkText}>🔍 Find Servers</Text>
+        </TouchableOpacity>
+      </View>
+      <TextInput
+        value={url}
+        onChangeText={setUrl}
+        placeholder="http://192.168.1.100:5984"
+        autoCapitalize="none"
+        autoCorrect={false}
+        keyboardType="url"
+        style={styles.input}
+        editable={!busy}
+      />
+
+      {DATABASE_SETTINGS.map(({ key, label }) => (
+        <View key={key}>
+          <Text style={styles.label}>{label}</Text>
+          <TextInput
+            value={databases[key] || ''}
+            onChangeText={value => updateDatabase(key, value)}
+            placeholder={DEFAULT_SERVER_SETTINGS[key]}
+            autoCapitalize="none"
+            autoCorrect={false}
+            style={styles.input}
+            editable={!busy}
+          />
+        </View>
+      ))}
+
+      <View style={styles.buttonContainer}>
+        <Button
+          title={testing ? 'Testing...' : 'Test Connection'}
+          onPress={handleTest}
+          color="#666"
+          disabled={busy}
+        />
+        <View style={styles.buttonSpacer} />
+        <Button
+          title={saving ? 'Saving...' : 'Save'}
+          onPress={handleSave}
+          disabled={busy}
+        />
+      </View>
+
+      <Text style={styles.heading}>📄 Spreadsheets</Text>
+      <Text style={styles.current}>
+        Exchange businesses and articles with spreadsheet apps as CSV
+      </Text>
+      <View style={styles.buttonContainer}>
+        <Button
+          title="Export CSV"
+          onPress={() => setExportVisible(true)}
+          disabled={busy}
+        />
+        <View style={styles.buttonSpacer} />
+        <Button
+          title="Import Articles"
+          onPress={() => setImportVisible(true)}
+          disabled={busy}
+        />
+      </View>
+
+      <Text style={styles.heading}>💾 Backup</Text>
+      <Text style={styles.current}>
+        Keep a copy of all data that hasn't reached a server yet
+      </Text>
+      <View style={styles.buttonContainer}>
+        <Button
+          title={backingUp ? 'Creating...' : 'Create Backup'}
+          onPress={handleBackup}
+          disabled={busy || backingUp}
+        />
+        <View style={styles.buttonSpacer} />
+        <Button
+          title="Restore"
+          onPress={() => setRestoreVisible(true)}
+          disabled={busy || backingUp}
+        />
+      </View>
+
+      <Text style={styles.heading}>👤 Account</Text>
+      <Text style={styles.current}>
+        {session.username
+          ? `Signed in as ${session.username}`
+          : 'Not signed in, sync is stopped'}
+        {session.roles.length > 0 ? ` (${session.roles.join(', ')})` : ''}
+        {session.status === SESSION_STATUS.EXPIRED ? ' · session expired' : ''}
+      </Text>
+      <View style={styles.logoutContainer}>
+        {session.status === SESSION_STATUS.AUTHENTICATED ? (
+          <Button
+            title="Log Out"
+            onPress={handleLogout}
+            color="#d32f2f"
+            disabled={busy}
+          />
+        ) : (
+          <Button
+            title="Sign In"
+            onPress={() => setLoginVisible(true)}
+            disabled={busy}
+          />
+        )}
+      </View>
+
+      <ServerDiscoveryModal
+        visible={discoveryVisible}
+        selectedUrl={url}
+        onClose={() => setDiscoveryVisible(false)}
+        onSelect={setUrl}
+      />
+      <CsvExportModal
+        visible={exportVisible}
+        onClose={() => setExportVisible(false)}
+      />
+      <CsvImportModal
+        visible={importVisible}
+        onClose={() => setImportVisible(false)}
+      />
+      <RestoreBackupModal
+        visible={restoreVisible}
+        onClose={() => setRestoreVisible(false)}
+      />
+      <Modal
+        visible={loginVisible}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setLoginVisible(false)}
+      >
+        <LoginScreen
+          expired={session.status === SESSION_STATUS.EXPIRED}
+          onDismiss={() => setLoginVisible(false)}
+        />
+      </Modal>
+    </ScrollView>
+  );
+};
+
+export default SettingsScreen;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+    backgroundColor: '#fff',
+  },
+  heading: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  current: {
+    fontSize: 12,
+    color: 'gray',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    marginTop: 12,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#007bff',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 24,
+    paddingBottom: 32,
+  },
+  buttonSpacer: {
+    width: 20,
+  },
+  logoutContainer: {
+    marginTop: 8,
+    paddingBottom: 32,
+  },
+});
@@ -0,0 +1,235 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import {
+  purgeArticle,
+  purgeBusiness,
+  purgeExpiredTrash,
+  restoreArticle,
+  restoreBusiness,
+} from '../database/database';
+import { TRASH_RETENTION_OPTIONS } from '../database/trash';
+import { loadTrashRetentionDays, saveTrashRetentionDays } from '../config/trashSettings';
+import { useTrash } from '../hooks/useTrash';
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+const retentionLabel = (days) => (days > 0 ? `${days} days` : 'Until deleted by hand');
+
+const TrashScreen = () => {
+  const { items, loading } = useTrash();
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    loadTrashRetentionDays().then(setRetentionDays);
+  }, []);
+
+  const handleRetentionChange = async (days) => {
+    setRetentionDays(days);
+    try {
+      await saveTrashRetentionDays(days);
+      await purgeExpiredTrash(days);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save setting: ' + error.message);
+    }
+  };
+
+  const handleRestore = async (item) => {
+    setBusyId(item.id);
+    try {
+      if (item.type === 'business') {
+        await restoreBusiness(item.id);
+      } else {
+        const { skuCleared } = await restoreArticle(item.id);
+        if (skuCleared) {
+          Alert.alert(
+            'Restored',
+            `"${item.name}" was restored without its SKU, which another article uses now.`
+          );
+        }
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to restore: ' + error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = (item) => {
+    const message = item.type === 'business'
+      ? `Permanently delete "${item.name}" with all its articles, categories and stock history?`
+      : `Permanently delete "${item.name}" and its stock history?`;
+    Alert.alert('Delete Forever', `${message} This cannot be undone.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          setBusyId(item.id);
+          try {
+            if (item.type === 'business') {
+              await purgeBusiness(item.id);
+            } else {
+              await purgeArticle(item.id);
+            }
+          } catch (error) {
+            Alert.alert('Error', 'Failed to delete: ' + error.message);
+          } finally {
+            setBusyId(null);
+          }
+        }
+      }
+    ]);
+  };
+
+  const renderItem = ({ item }) => {
+    const busy = busyId === item.id;
+    return (
+      <View style={styles.item}>
+        <View style={styles.itemInfo}>
+          <Text style={styles.name}>
+            {item.type === 'business' ? '🏢' : '📄'} {item.name}
+          </Text>
+          <Text style={styles.detail}>
+            {item.type === 'business'
+              ? `Business${item.article_count > 0 ? ` with ${item.article_count} article(s)` : ''}`
+              : `Article of ${item.business_name || 'a deleted business'}`}
+          </Text>
+          <Text style={styles.meta}>Deleted {formatDateTime(item.deleted_at)}</Text>
+        </View>
+        <TouchableOpacity
+          onPress={() => handleRestore(item)}
+          style={styles.actionButton}
+          disabled={busy || item.business_trashed}
+        >
+          <Text style={[styles.actionText, item.business_trashed && styles.actionDisabled]}>
+            ↩️
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => handlePurge(item)}
+          style={styles.actionButton}
+          disabled={busy}
+        >
+          <Text style={styles.actionText}>🗑️</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Loading trash...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Delete items in the trash after</Text>
+      {retentionDays !== null && (
+        <Picker
+          selectedValue={retentionDays}
+          onValueChange={handleRetentionChange}
+          style={styles.picker}
+        >
+          {TRASH_RETENTION_OPTIONS.map(days => (
+            <Picker.Item key={days} label={retentionLabel(days)} value={days} />
+          ))}
+        </Picker>
+      )}
+
+      <Text style={styles.title}>Trash ({items.length})</Text>
+      <FlatList
+        data={items}
+        keyExtractor={item => `${item.type}-${item.id}`}
+        renderItem={renderItem}
+        ListEmptyComponent={
+          <Text style={styles.empty}>The trash is empty.</Text>
+        }
+      />
+    </View>
+  );
+};
+
+export default TrashScreen;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+    backgroundColor: '#fff'
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#fff'
+  },
+  loadingText: {
+    fontSize: 16,
+    color: '#666'
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4
+  },
+  picker: {
+    backgroundColor: '#eee',
+    marginBottom: 8
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 8,
+    marginBottom: 8
+  },
+  item: {
+    backgroundColor: '#f9f9f9',
+    padding: 10,
+    marginVertical: 4,
+    borderRadius: 8,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  itemInfo: {
+    flex: 1,
+  },
+  name: {
+    fontWeight: 'bold'
+  },
+  detail: {
+    fontSize: 12,
+    color: '#666'
+  },
+  meta: {
+    fontSize: 11,
+    color: 'gray',
+    marginTop: 2
+  },
+  actionButton: {
+    padding: 8,
+  },
+  actionText: {
+    fontSize: 16,
+  },
+  actionDisabled: {
+    opacity: 0.3,
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 20,
+    color: '#666',
+    fontStyle: 'italic'
+  },
+});